@@ -49,12 +49,55 @@ console.log('API Configuration:', {
 const API_ENDPOINTS = {
     // Public gallery endpoints
     GALLERY_IMAGES: `${API_BASE_URL}/api/gallery-images`,
+    // Albums with their image counts (?album=<slug> on GALLERY_IMAGES filters by one)
+    GALLERY_ALBUMS: `${API_BASE_URL}/api/gallery-albums`,
+    // Checks an access code or link token, returns the token gallery requests send (X-Gallery-Access)
+    GALLERY_ACCESS: `${API_BASE_URL}/api/gallery-access`,
+
+    // Public booking endpoints
+    // Once a booking is stored, the backend issues its access token, sends the client the
+    // acknowledgement its `acknowledge` field asks for, and answers with
+    // { id, access_token, acknowledgement: { channel, to } }
+    BOOKINGS: `${API_BASE_URL}/api/bookings`,
+
+    // Public booking status, looked up by the access token the backend issued when it stored the request
+    BOOKING_STATUS: (token) => `${API_BASE_URL}/api/bookings/status/${token}`,
+
+    // Public deposit payment (booking id + the booking's access token or the payment link token)
+    // POST { token, provider, session_id } has the backend confirm a checkout session with the provider
+    BOOKING_DEPOSIT: (id) => `${API_BASE_URL}/api/bookings/${id}/deposit`,
+    BOOKING_DEPOSIT_CHECKOUT: (id) => `${API_BASE_URL}/api/bookings/${id}/deposit/checkout`,
+
+    // Public cancel/reschedule requests (same tokens as the payment page)
+    BOOKING_CANCELLATION: (id) => `${API_BASE_URL}/api/bookings/${id}/cancellation`,
+
+    // Public rate card (services page and booking quote)
+    RATE_CARD: `${API_BASE_URL}/api/rate-card`,
+
+    // Public availability (booking calendar)
+    AVAILABILITY: `${API_BASE_URL}/api/availability`,
+
+    // Public tour schedule (upcoming cities and booking city checks)
+    TOUR_DATES: `${API_BASE_URL}/api/tour-dates`,
+
+    // Published email templates (booking notification wording)
+    EMAIL_TEMPLATES: `${API_BASE_URL}/api/email-templates`,
 
     // CMS endpoints (require authentication)
     CMS_GALLERY_IMAGES: `${API_BASE_URL}/api/cms/gallery-images`,
     CMS_GALLERY_IMAGE: (id) => `${API_BASE_URL}/api/cms/gallery-images/${id}`,
     CMS_BULK_DELETE: `${API_BASE_URL}/api/cms/gallery-images/bulk`,
     CMS_REORDER_IMAGES: `${API_BASE_URL}/api/cms/gallery-images/reorder`,
+    CMS_BULK_UPDATE_IMAGES: `${API_BASE_URL}/api/cms/gallery-images/bulk`,
+    CMS_GALLERY_ALBUMS: `${API_BASE_URL}/api/cms/gallery-albums`,
+    CMS_GALLERY_ALBUM: (id) => `${API_BASE_URL}/api/cms/gallery-albums/${id}`,
+    CMS_BOOKINGS: `${API_BASE_URL}/api/cms/bookings`,
+    CMS_BOOKING: (id) => `${API_BASE_URL}/api/cms/bookings/${id}`,
+    CMS_BOOKINGS_BULK: `${API_BASE_URL}/api/cms/bookings/bulk`,
+    CMS_RATE_CARD: `${API_BASE_URL}/api/cms/rate-card`,
+    CMS_AVAILABILITY: `${API_BASE_URL}/api/cms/availability`,
+    CMS_TOUR_DATES: `${API_BASE_URL}/api/cms/tour-dates`,
+    CMS_EMAIL_TEMPLATES: `${API_BASE_URL}/api/cms/email-templates`,
 };
 
 // Export for use in other scripts
@@ -0,0 +1,343 @@
+/**
+ * Availability Module
+ * When dates can be requested, shared by the booking form and the CMS editor
+ * - Weekly start-time windows and blocked periods (confirmed dates, travel, time off)
+ * - Slot lists for a calendar day, respecting the date's duration
+ * - Loads the published availability from the API, falls back to open weekly hours
+ */
+
+(function() {
+    'use strict';
+
+    // ===========================
+    // Configuration
+    // ===========================
+    const CONFIG = {
+        // Request timeout in milliseconds
+        REQUEST_TIMEOUT: 10000
+    };
+
+    // Weekday keys in Date#getDay() order
+    const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+    const DAY_NAMES = {
+        sun: 'Sunday',
+        mon: 'Monday',
+        tue: 'Tuesday',
+        wed: 'Wednesday',
+        thu: 'Thursday',
+        fri: 'Friday',
+        sat: 'Saturday'
+    };
+
+    // ===========================
+    // Default Availability
+    // ===========================
+
+    // Times are local 'HH:MM' (weekly) and 'YYYY-MM-DDTHH:MM' (blocked), as entered in the CMS
+    const DEFAULT_AVAILABILITY = {
+        // Minutes between offered start times
+        slotMinutes: 60,
+
+        // How far ahead dates can be requested
+        horizonDays: 90,
+
+        // Windows in which a date may start, per weekday (end exclusive, '24:00' for midnight)
+        // Longer dates may run past the window; they only have to avoid blocked periods
+        weeklyHours: {
+            sun: [{ start: '12:00', end: '22:00' }],
+            mon: [{ start: '10:00', end: '22:00' }],
+            tue: [{ start: '10:00', end: '22:00' }],
+            wed: [{ start: '10:00', end: '22:00' }],
+            thu: [{ start: '10:00', end: '22:00' }],
+            fri: [{ start: '10:00', end: '24:00' }],
+            sat: [{ start: '10:00', end: '24:00' }]
+        },
+
+        // Periods when I'm unavailable; no part of a date may overlap one
+        // e.g. { start: '2025-03-01T00:00', end: '2025-03-04T00:00', note: 'Vancouver tour' }
+        blocked: []
+    };
+
+    // ===========================
+    // State
+    // ===========================
+
+    const clone = (value) => JSON.parse(JSON.stringify(value));
+
+    let availability = clone(DEFAULT_AVAILABILITY);
+    let source = 'default';
+    const listeners = [];
+
+    // ===========================
+    // Time Helpers
+    // ===========================
+
+    /**
+     * Minutes since midnight for 'HH:MM', or null if malformed ('24:00' allowed)
+     */
+    function parseTime(value) {
+        const match = /^(\d{2}):(\d{2})$/.exec(String(value));
+        if (!match) return null;
+
+        const hours = Number(match[1]);
+        const minutes = Number(match[2]);
+        if (minutes > 59 || hours > 24 || (hours === 24 && minutes > 0)) return null;
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Parse a local 'YYYY-MM-DDTHH:MM' string, or null if invalid
+     */
+    function parseLocal(value) {
+        if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(String(value))) return null;
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Format a Date as a local 'YYYY-MM-DDTHH:MM' string (datetime-local input value)
+     */
+    function toLocalValue(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+            `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    function startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    // ===========================
+    // Data Access
+    // ===========================
+
+    function getData() {
+        return availability;
+    }
+
+    function getDefaults() {
+        return clone(DEFAULT_AVAILABILITY);
+    }
+
+    function getSource() {
+        return source;
+    }
+
+    /**
+     * Check an availability document before it is used or published
+     * @returns {string[]} Problems found (empty when valid)
+     */
+    function validate(data) {
+        const errors = [];
+
+        if (!data || typeof data !== 'object') {
+            return ['Availability must be an object'];
+        }
+        if (!Number.isInteger(data.slotMinutes) || data.slotMinutes < 5 || data.slotMinutes > 24 * 60) {
+            errors.push('Slot length must be a whole number of minutes between 5 and 1440');
+        }
+        if (!Number.isInteger(data.horizonDays) || data.horizonDays < 1) {
+            errors.push('Booking horizon must be at least 1 day');
+        }
+
+        if (!data.weeklyHours || typeof data.weeklyHours !== 'object') {
+            errors.push('Weekly hours are missing');
+        } else {
+            DAY_KEYS.forEach(day => {
+                const windows = data.weeklyHours[day] || [];
+                if (!Array.isArray(windows)) {
+                    errors.push(`${DAY_NAMES[day]} hours must be a list`);
+                    return;
+                }
+                windows.forEach(range => {
+                    const start = parseTime(range.start);
+                    const end = parseTime(range.end);
+                    if (start === null || end === null) {
+                        errors.push(`${DAY_NAMES[day]} has an invalid time (use HH:MM)`);
+                    } else if (start >= end) {
+                        errors.push(`${DAY_NAMES[day]} window ${range.start}-${range.end} must end after it starts`);
+                    }
+                });
+            });
+        }
+
+        if (!Array.isArray(data.blocked)) {
+            errors.push('Blocked periods must be a list');
+        } else {
+            data.blocked.forEach((period, index) => {
+                const start = parseLocal(period.start);
+                const end = parseLocal(period.end);
+                if (!start || !end) {
+                    errors.push(`Blocked period ${index + 1} needs a valid start and end`);
+                } else if (start >= end) {
+                    errors.push(`Blocked period ${index + 1} must end after it starts`);
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Replace the active availability and notify listeners
+     * @param {Object} data - Availability document
+     * @param {string} from - Where it came from ('api', 'cms', ...)
+     */
+    function setData(data, from = 'custom') {
+        const errors = validate(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid availability: ${errors.join('; ')}`);
+        }
+
+        availability = clone(data);
+        source = from;
+        listeners.forEach(listener => {
+            try {
+                listener(availability);
+            } catch (error) {
+                console.error('Availability listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Register a listener called whenever the availability changes
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    /**
+     * Load the published availability from the API, keeping the current one on failure
+     * @returns {Promise<Object>} Active availability
+     */
+    async function load() {
+        if (typeof API_ENDPOINTS === 'undefined' || !API_ENDPOINTS.AVAILABILITY) {
+            return availability;
+        }
+
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeoutId = controller ? setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT) : null;
+
+        try {
+            const response = await fetch(API_ENDPOINTS.AVAILABILITY, {
+                method: 'GET',
+                mode: 'cors',
+                credentials: 'omit',
+                signal: controller ? controller.signal : undefined
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            // Endpoint returns null until availability has been published
+            if (data) {
+                setData(data.availability || data, 'api');
+            }
+        } catch (error) {
+            console.warn('Using built-in availability:', error.message);
+        } finally {
+            if (timeoutId) clearTimeout(timeoutId);
+        }
+
+        return availability;
+    }
+
+    // ===========================
+    // Availability Checks
+    // ===========================
+
+    // Whether a date may start at this time on its weekday
+    function isStartAllowed(start) {
+        const windows = availability.weeklyHours[DAY_KEYS[start.getDay()]] || [];
+        const minutes = start.getHours() * 60 + start.getMinutes();
+        return windows.some(range => minutes >= parseTime(range.start) && minutes < parseTime(range.end));
+    }
+
+    /**
+     * Blocked period overlapping [start, end), or null
+     */
+    function findConflict(start, end) {
+        return availability.blocked.find(period => {
+            const blockedStart = parseLocal(period.start);
+            const blockedEnd = parseLocal(period.end);
+            return blockedStart && blockedEnd && blockedStart < end && blockedEnd > start;
+        }) || null;
+    }
+
+    /**
+     * Whether a date of the given length can be requested at a start time
+     * @param {Date} start - Requested start
+     * @param {number} hours - Length of the date (defaults to 1 hour)
+     * @param {Date} earliest - Earliest acceptable start (e.g. now plus notice)
+     */
+    function isAvailable(start, hours = 1, earliest = new Date()) {
+        if (!(start instanceof Date) || isNaN(start.getTime())) return false;
+        if (start < earliest) return false;
+
+        const horizon = startOfDay(new Date());
+        horizon.setDate(horizon.getDate() + availability.horizonDays + 1);
+        if (start >= horizon) return false;
+
+        const end = new Date(start.getTime() + (hours || 1) * 60 * 60 * 1000);
+        return isStartAllowed(start) && !findConflict(start, end);
+    }
+
+    /**
+     * Start times offered on a calendar day
+     * @returns {Array<{ start: Date, value: string, available: boolean }>}
+     */
+    function getDaySlots(day, hours = 1, earliest = new Date()) {
+        const date = startOfDay(day);
+        const windows = availability.weeklyHours[DAY_KEYS[date.getDay()]] || [];
+        const slots = [];
+
+        windows.forEach(range => {
+            const end = parseTime(range.end);
+            for (let minutes = parseTime(range.start); minutes < end; minutes += availability.slotMinutes) {
+                const start = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, minutes);
+                slots.push({
+                    start: start,
+                    value: toLocalValue(start),
+                    available: isAvailable(start, hours, earliest)
+                });
+            }
+        });
+
+        return slots.sort((a, b) => a.start - b.start);
+    }
+
+    // ===========================
+    // Export to global scope
+    // ===========================
+    const Availability = {
+        CONFIG: CONFIG,
+        DAY_KEYS: DAY_KEYS,
+        DAY_NAMES: DAY_NAMES,
+        getData: getData,
+        getDefaults: getDefaults,
+        getSource: getSource,
+        validate: validate,
+        setData: setData,
+        onChange: onChange,
+        load: load,
+        parseTime: parseTime,
+        parseLocal: parseLocal,
+        toLocalValue: toLocalValue,
+        isAvailable: isAvailable,
+        findConflict: findConflict,
+        getDaySlots: getDaySlots
+    };
+
+    if (typeof window !== 'undefined') {
+        window.Availability = Availability;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Availability;
+    }
+
+})();
@@ -0,0 +1,76 @@
+/**
+ * Booking Acknowledgement Module
+ * Confirmation sent to the client once their booking request has been stored
+ * - Email to the client's address, or a text when they prefer texting
+ * - Wording from the editable templates (email-templates.js)
+ * - Links to the etiquette page and the deposit policy
+ *
+ * The browser never sends the acknowledgement itself, and never says where it
+ * goes or what it links to: it only names the channel and template, alongside
+ * the booking stored on our backend (API_ENDPOINTS.BOOKINGS). The backend
+ * renders the published template from the stored record, sends it to the
+ * address or number in that record, and builds the etiquette, deposit policy
+ * and status links from its own configured site origin and the access token it
+ * issued. It answers with { channel, to } when an acknowledgement went out; a
+ * text falls back to email when SMS is not set up there. Requests that are only
+ * delivered by EmailJS or a webhook, and never stored, are not acknowledged.
+ */
+
+(function() {
+    'use strict';
+
+    // ===========================
+    // Configuration
+    // ===========================
+    const CONFIG = {
+        // Template used for each channel (email-templates.js)
+        TEMPLATES: {
+            email: 'client_acknowledgement',
+            sms: 'client_acknowledgement_sms'
+        },
+
+        // Preferred contact methods answered by text message
+        SMS_CONTACT_METHODS: ['text']
+    };
+
+    /**
+     * Channel for a client's preferred contact method
+     * @param {string} contactMethod - 'email', 'phone' or 'text'
+     * @returns {string} 'sms' or 'email'
+     */
+    function choose(contactMethod) {
+        return CONFIG.SMS_CONTACT_METHODS.includes(contactMethod) ? 'sms' : 'email';
+    }
+
+    /**
+     * What the backend should send once it has stored the booking
+     * @param {Object} booking - Booking data as submitted (contact_method, ...)
+     * @returns {{ channel: string, template: string }}
+     */
+    function buildRequest(booking) {
+        const channel = choose(booking.contact_method);
+
+        return {
+            channel: channel,
+            template: CONFIG.TEMPLATES[channel]
+        };
+    }
+
+    // ===========================
+    // Export to global scope
+    // ===========================
+    const BookingAcknowledgement = {
+        CONFIG: CONFIG,
+        choose: choose,
+        buildRequest: buildRequest
+    };
+
+    if (typeof window !== 'undefined') {
+        window.BookingAcknowledgement = BookingAcknowledgement;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BookingAcknowledgement;
+    }
+
+})();
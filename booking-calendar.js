@@ -0,0 +1,266 @@
+/**
+ * Booking Calendar Module
+ * iCalendar (RFC 5545) events for booking requests, for the client and for me
+ * - TENTATIVE until the date is confirmed, then CONFIRMED (CANCELLED if declined)
+ * - Stable UID and increasing SEQUENCE so calendars update an imported event
+ * - Times in UTC, so no VTIMEZONE definitions are needed
+ * - Download and data-URL helpers for the booking form, emails and the CMS
+ */
+
+(function() {
+    'use strict';
+
+    // ===========================
+    // Configuration
+    // ===========================
+    const CONFIG = {
+        PRODUCT_ID: '-//Makayla Moon Inc.//Booking Requests//EN',
+
+        // Right-hand side of event UIDs
+        UID_DOMAIN: 'bookings.makaylamoon',
+
+        // Used when the date length (and so the duration) is unknown
+        DEFAULT_HOURS: 1,
+
+        // Clients' calendars are often shared or synced to work accounts, so keep theirs discreet
+        CLIENT_SUMMARY: 'Appointment',
+        PROVIDER_SUMMARY_PREFIX: 'Date'
+    };
+
+    // Booking workflow status => iCalendar STATUS
+    const EVENT_STATUSES = {
+        new: 'TENTATIVE',
+        screened: 'TENTATIVE',
+        confirmed: 'CONFIRMED',
+        completed: 'CONFIRMED',
+        declined: 'CANCELLED'
+    };
+
+    // ===========================
+    // iCalendar Formatting
+    // ===========================
+
+    /**
+     * Escape a TEXT value (RFC 5545 3.3.11)
+     */
+    function escapeText(value) {
+        return String(value == null ? '' : value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r\n|\r|\n/g, '\\n');
+    }
+
+    /**
+     * Fold a content line at 75 octets (RFC 5545 3.1), never splitting a character
+     */
+    function foldLine(line) {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        let chunk = '';
+        let size = 0;
+
+        for (const character of line) {
+            const bytes = encoder.encode(character).length;
+            // Continuation lines start with a space, which counts towards their 75
+            const limit = chunks.length === 0 ? 75 : 74;
+            if (size + bytes > limit) {
+                chunks.push(chunk);
+                chunk = '';
+                size = 0;
+            }
+            chunk += character;
+            size += bytes;
+        }
+        chunks.push(chunk);
+
+        return chunks.join('\r\n ');
+    }
+
+    // 2026-10-30T01:00:00.000Z => 20261030T010000Z
+    function formatUtc(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    // ===========================
+    // Booking Details
+    // ===========================
+
+    /**
+     * Start instant of a booking
+     * Stored records carry an offset; a bare 'YYYY-MM-DDTHH:MM' is read in the
+     * booking's time zone when timezones.js is loaded, otherwise in the browser's
+     * @returns {Date|null}
+     */
+    function getStart(booking) {
+        const value = booking && booking.preferred_datetime;
+        if (!value) return null;
+
+        const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/.test(String(value));
+        const timeZones = typeof window !== 'undefined' ? window.TimeZones : null;
+        const start = !hasOffset && booking.timezone && timeZones
+            ? timeZones.toInstant(value, booking.timezone)
+            : new Date(value);
+        return start && !isNaN(start.getTime()) ? start : null;
+    }
+
+    function getTier(booking) {
+        const rateCard = typeof window !== 'undefined' ? window.RateCard : null;
+        return rateCard ? rateCard.findTier(booking.date_length) : null;
+    }
+
+    function getHours(booking) {
+        const tier = getTier(booking);
+        return tier && tier.hours ? tier.hours : CONFIG.DEFAULT_HOURS;
+    }
+
+    function describeLength(booking) {
+        const rateCard = typeof window !== 'undefined' ? window.RateCard : null;
+        if (rateCard && booking.date_length) return rateCard.describeTier(booking.date_length);
+        return String(booking.date_length || '').replace(/_/g, ' ');
+    }
+
+    function getEventStatus(booking) {
+        return EVENT_STATUSES[booking.status] || EVENT_STATUSES.new;
+    }
+
+    /**
+     * UID shared by every export of the same booking, so re-importing updates the event
+     */
+    function getUid(booking) {
+        const key = booking.id != null
+            ? `booking-${booking.id}`
+            : `request-${String(booking.preferred_datetime).replace(/[^0-9A-Za-z]/g, '')}`;
+        return `${key}@${CONFIG.UID_DOMAIN}`;
+    }
+
+    function getDescription(booking, audience) {
+        const status = getEventStatus(booking);
+        const lines = [];
+
+        if (audience === 'provider') {
+            lines.push(`Client: ${booking.name || 'Unknown'}`);
+            if (booking.phone) lines.push(`Phone: ${booking.phone}`);
+            if (booking.email) lines.push(`Email: ${booking.email}`);
+            if (booking.contact_method) lines.push(`Preferred contact: ${booking.contact_method}`);
+        }
+
+        if (booking.date_length) lines.push(`Length: ${describeLength(booking)}`);
+        if (booking.location_preference) lines.push(`Location: ${booking.location_preference}`);
+        if (booking.timezone) lines.push(`Time zone: ${booking.timezone}`);
+        if (booking.id != null) lines.push(`Reference: #${booking.id}`);
+
+        if (status === 'TENTATIVE') {
+            lines.push(audience === 'provider'
+                ? 'Requested, not confirmed yet.'
+                : 'Requested, not confirmed yet. You will hear back within 24 hours.');
+        } else if (status === 'CANCELLED') {
+            lines.push('This date has been cancelled.');
+        }
+
+        return lines.join('\n');
+    }
+
+    // ===========================
+    // Calendar Building
+    // ===========================
+
+    /**
+     * iCalendar file with one event for a booking
+     * @param {Object} booking - Booking record (form fields, or a stored booking)
+     * @param {Object} options - { audience: 'client'|'provider', now: Date }
+     * @returns {string|null} .ics contents, or null without a valid start time
+     */
+    function build(booking, options = {}) {
+        const start = getStart(booking);
+        if (!start) return null;
+
+        const audience = options.audience === 'provider' ? 'provider' : 'client';
+        const now = options.now || new Date();
+        const end = new Date(start.getTime() + getHours(booking) * 60 * 60 * 1000);
+        const summary = audience === 'provider'
+            ? `${CONFIG.PROVIDER_SUMMARY_PREFIX}: ${booking.name || 'Booking request'}${booking.date_length ? ` · ${describeLength(booking)}` : ''}`
+            : CONFIG.CLIENT_SUMMARY;
+        const history = Array.isArray(booking.status_history) ? booking.status_history.length : 0;
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${CONFIG.PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'BEGIN:VEVENT',
+            `UID:${getUid(booking)}`,
+            `DTSTAMP:${formatUtc(now)}`,
+            `DTSTART:${formatUtc(start)}`,
+            `DTEND:${formatUtc(end)}`,
+            // Each status change is a new revision of the event
+            `SEQUENCE:${Math.max(0, history - 1)}`,
+            `STATUS:${getEventStatus(booking)}`,
+            `SUMMARY:${escapeText(summary)}`,
+            `DESCRIPTION:${escapeText(getDescription(booking, audience))}`
+        ];
+        if (booking.city) {
+            lines.push(`LOCATION:${escapeText(booking.city)}`);
+        }
+        lines.push('TRANSP:OPAQUE', 'END:VEVENT', 'END:VCALENDAR');
+
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    }
+
+    function getFilename(booking) {
+        return booking.id != null ? `booking-${booking.id}.ics` : 'booking-request.ics';
+    }
+
+    /**
+     * base64 data URL, e.g. for an emailed attachment
+     */
+    function toDataUrl(ics) {
+        const bytes = new TextEncoder().encode(ics);
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return `data:text/calendar;charset=utf-8;base64,${btoa(binary)}`;
+    }
+
+    /**
+     * Save an .ics file from the browser
+     */
+    function download(ics, filename) {
+        const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.hidden = true;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // ===========================
+    // Export to global scope
+    // ===========================
+    const BookingCalendar = {
+        CONFIG: CONFIG,
+        EVENT_STATUSES: EVENT_STATUSES,
+        escapeText: escapeText,
+        foldLine: foldLine,
+        getStart: getStart,
+        getEventStatus: getEventStatus,
+        build: build,
+        getFilename: getFilename,
+        toDataUrl: toDataUrl,
+        download: download
+    };
+
+    if (typeof window !== 'undefined') {
+        window.BookingCalendar = BookingCalendar;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BookingCalendar;
+    }
+
+})();
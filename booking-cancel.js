@@ -0,0 +1,232 @@
+/**
+ * Booking Cancel Module
+ * Client self-service cancel/reschedule page (cancel.html)
+ * - Loads the booking by id and link token (API_ENDPOINTS.BOOKING_CANCELLATION)
+ * - Shows the refund and rescheduling credit before anything is sent (cancellation-policy.js)
+ * - Sends the request to the CMS; I confirm and refund from there
+ */
+
+(function() {
+    'use strict';
+
+    if (window.BookingCancel) {
+        console.warn('booking-cancel.js is already loaded, skipping');
+        return;
+    }
+
+    // ===========================
+    // Elements and State
+    // ===========================
+    const container = document.getElementById('booking-cancel');
+    if (!container) return;
+
+    const loading = document.getElementById('cancel-loading');
+    const errorPanel = document.getElementById('cancel-error');
+    const errorHeading = document.getElementById('cancel-error-heading');
+    const errorMessage = document.getElementById('cancel-error-message');
+    const details = document.getElementById('cancel-details');
+    const summary = document.getElementById('cancel-summary');
+    const form = document.getElementById('cancel-form');
+    const newDatetimeRow = document.getElementById('cancel-new-datetime-row');
+    const newDatetimeInput = document.getElementById('cancel-new-datetime');
+    const newDatetimeHint = document.getElementById('cancel-new-datetime-hint');
+    const reasonInput = document.getElementById('cancel-reason');
+    const outcome = document.getElementById('cancel-outcome');
+    const submitButton = document.getElementById('cancel-submit-btn');
+    const statusText = document.getElementById('cancel-status');
+    const confirmation = document.getElementById('cancel-confirmation');
+    const confirmationMessage = document.getElementById('cancel-confirmation-message');
+
+    const params = new URLSearchParams(window.location.search);
+    const bookingId = params.get('booking');
+    const token = params.get('token');
+
+    // Booking record (with deposit and any change request) as returned by the API
+    let booking = null;
+
+    // ===========================
+    // API
+    // ===========================
+
+    function getUrl() {
+        return API_ENDPOINTS.BOOKING_CANCELLATION(encodeURIComponent(bookingId));
+    }
+
+    // ===========================
+    // Rendering
+    // ===========================
+
+    function showError(heading, message) {
+        loading.hidden = true;
+        form.classList.add('hidden');
+        errorHeading.textContent = heading;
+        errorMessage.textContent = message;
+        errorPanel.classList.remove('hidden');
+    }
+
+    function getTimeZone() {
+        return booking.timezone || (window.TimeZones ? window.TimeZones.CONFIG.HOME_TIMEZONE : undefined);
+    }
+
+    function renderSummary() {
+        const deposit = booking.deposit;
+        const rows = [
+            ['Date', ClientPages.formatDateTime(booking.preferred_datetime, booking.timezone)],
+            ['Length', booking.date_length && window.RateCard ? window.RateCard.describeTier(booking.date_length) : booking.date_length],
+            ['City', booking.city],
+            ['Deposit', deposit ? `${BookingDeposit.formatAmount(deposit)} · ${BookingDeposit.getLabel(deposit)}` : 'Not requested yet'],
+            ['Reference', `#${bookingId}`]
+        ];
+
+        summary.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            if (!value) return;
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+            summary.appendChild(term);
+            summary.appendChild(detail);
+        });
+        details.classList.remove('hidden');
+    }
+
+    function getAction() {
+        const checked = form.querySelector('input[name="action"]:checked');
+        return checked ? checked.value : 'reschedule';
+    }
+
+    /**
+     * Refund and credit if the request were sent now
+     */
+    function renderOutcome() {
+        const reschedule = getAction() === 'reschedule';
+        const result = CancellationPolicy.evaluate(booking, { by: 'client', reschedule: reschedule });
+
+        newDatetimeRow.classList.toggle('hidden', !reschedule);
+        submitButton.textContent = reschedule ? 'Request to Reschedule' : 'Request Cancellation';
+
+        outcome.innerHTML = '';
+        const title = document.createElement('p');
+        title.className = 'booking-quote-title';
+        title.textContent = reschedule ? 'If you reschedule now' : 'If you cancel now';
+        outcome.appendChild(title);
+
+        const list = document.createElement('ul');
+        list.className = 'booking-quote-notes';
+        CancellationPolicy.describe(result).forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            list.appendChild(item);
+        });
+        outcome.appendChild(list);
+    }
+
+    function showSent(request) {
+        form.classList.add('hidden');
+        const when = request.preferred_datetime ? ` for ${ClientPages.formatDateTime(request.preferred_datetime, booking.timezone)}` : '';
+        confirmationMessage.textContent = request.action === 'reschedule'
+            ? `Your request to reschedule${when} has been sent. I'll be in touch within 24 hours to settle on a new date.`
+            : "Your cancellation request has been sent. I'll confirm it and send any refund within 24 hours.";
+        confirmation.classList.remove('hidden');
+    }
+
+    function render() {
+        loading.hidden = true;
+        renderSummary();
+
+        const status = booking.status || 'new';
+        if (status === 'declined') {
+            showError('This booking is cancelled', 'There is nothing left to change. Book again any time.');
+            return;
+        }
+        if (status === 'completed') {
+            showError('This date has taken place', 'Past dates can no longer be changed.');
+            return;
+        }
+        if (booking.change_request && !booking.change_request.resolved_at) {
+            showSent(booking.change_request);
+            return;
+        }
+
+        newDatetimeHint.textContent = window.TimeZones
+            ? `In ${booking.city || window.TimeZones.CONFIG.HOME_CITY} time (${window.TimeZones.getZoneName(new Date(), getTimeZone())})`
+            : '';
+        form.classList.remove('hidden');
+        renderOutcome();
+    }
+
+    // ===========================
+    // Request Submission
+    // ===========================
+
+    async function submitRequest(event) {
+        event.preventDefault();
+
+        const action = getAction();
+        const result = CancellationPolicy.evaluate(booking, { by: 'client', reschedule: action === 'reschedule' });
+        const newDatetime = action === 'reschedule' ? newDatetimeInput.value : '';
+        const request = {
+            action: action,
+            preferred_datetime: newDatetime && window.TimeZones
+                ? window.TimeZones.toIsoString(newDatetime, getTimeZone())
+                : (newDatetime || null),
+            reason: reasonInput.value.trim() || null,
+            // As quoted to the client; the CMS works it out again when applying it
+            refund: result.refund,
+            credit: result.credit
+        };
+
+        submitButton.disabled = true;
+        statusText.textContent = 'Sending your request...';
+
+        try {
+            await ClientPages.requestJson(getUrl(), { method: 'POST', body: { token: token, ...request } });
+            statusText.textContent = '';
+            showSent(request);
+        } catch (error) {
+            console.error('Error sending change request:', error);
+            statusText.textContent = 'Your request wasn\'t sent. Please try again, or reply to your confirmation email.';
+        } finally {
+            submitButton.disabled = false;
+        }
+    }
+
+    form.addEventListener('change', (event) => {
+        if (event.target.name === 'action') renderOutcome();
+    });
+    form.addEventListener('submit', submitRequest);
+
+    // ===========================
+    // Initialize
+    // ===========================
+
+    async function init() {
+        if (!bookingId || !token) {
+            showError('We couldn\'t load this booking', 'This link is incomplete.');
+            return;
+        }
+
+        try {
+            const data = await ClientPages.requestJson(`${getUrl()}?token=${encodeURIComponent(token)}`);
+            booking = (data && data.booking) || data || {};
+            if (data && data.deposit && !booking.deposit) booking.deposit = data.deposit;
+        } catch (error) {
+            console.error('Error loading booking:', error);
+            showError('We couldn\'t load this booking', error.status === 404 || error.status === 403
+                ? 'This link is invalid or has expired.'
+                : 'Please check your connection and reload the page.');
+            return;
+        }
+
+        render();
+    }
+
+    init();
+
+    // Export for external use if needed
+    window.BookingCancel = {
+        getBooking: () => booking
+    };
+
+})();
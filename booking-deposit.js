@@ -0,0 +1,221 @@
+/**
+ * Booking Deposit Module
+ * Deposit requests for confirmed bookings, shared by the CMS and the payment page
+ * - Amount from the rate card's deposit rules (rate-card.js)
+ * - Deposit record stored on the booking (requested → paid, or failed and retried)
+ * - Unguessable token for the client's payment link (booking-workflow.js, only needed
+ *   by createRequest; the payment and cancel pages load this module without it)
+ * - Applying a payment result to the record (the CMS marking it paid by hand;
+ *   online payments are confirmed and recorded by the backend)
+ */
+
+(function() {
+    'use strict';
+
+    // ===========================
+    // Configuration
+    // ===========================
+    const CONFIG = {
+        // Client-facing payment page, relative to the site root
+        PAYMENT_PAGE: 'deposit.html',
+
+        // Used when the rate card has no currency
+        DEFAULT_CURRENCY: 'CAD'
+    };
+
+    const STATUSES = {
+        requested: { label: 'Deposit due', icon: '💳' },
+        paid: { label: 'Deposit paid', icon: '✅' },
+        failed: { label: 'Payment failed', icon: '⚠️' }
+    };
+
+    // ===========================
+    // Amount
+    // ===========================
+
+    function getRateCard() {
+        return typeof window !== 'undefined' ? window.RateCard : null;
+    }
+
+    function getWorkflow() {
+        return typeof window !== 'undefined' ? window.BookingWorkflow : null;
+    }
+
+    /**
+     * Rate card selection for a stored booking
+     * The incall band is picked by the city's clock time, so offsets are dropped
+     */
+    function getSelection(booking) {
+        return {
+            tier: booking.date_length,
+            city: booking.city,
+            location: booking.location_preference,
+            start: String(booking.preferred_datetime || '').slice(0, 16)
+        };
+    }
+
+    /**
+     * Deposit for a booking from the rate card's rules
+     * Where the incall fee is a range, the upper end is asked for; the CMS can adjust it
+     * @returns {{ amount: number, rate: number, currency: string }|null} null when the
+     *   length or travel zone is unknown
+     */
+    function compute(booking) {
+        const rateCard = getRateCard();
+        const quote = rateCard && booking ? rateCard.quote(getSelection(booking)) : null;
+        if (!quote || !quote.deposit) return null;
+
+        return {
+            amount: Math.round(quote.deposit.max),
+            rate: quote.deposit.rate,
+            currency: rateCard.getData().currency || CONFIG.DEFAULT_CURRENCY
+        };
+    }
+
+    // ===========================
+    // Deposit Records
+    // ===========================
+
+    function getStatus(deposit) {
+        return deposit && STATUSES[deposit.status] ? deposit.status : null;
+    }
+
+    function getLabel(deposit) {
+        const status = getStatus(deposit);
+        return status ? STATUSES[status].label : 'No deposit requested';
+    }
+
+    /**
+     * Whether the client can (still) pay a deposit
+     */
+    function isPayable(deposit) {
+        const status = getStatus(deposit);
+        return status === 'requested' || status === 'failed';
+    }
+
+    /**
+     * New deposit request for a booking
+     * @param {Object} booking - Stored booking record
+     * @param {Object} options - { amount (defaults to the computed deposit), now }
+     * @returns {Object|null} Deposit record, or null when no amount is known
+     * @throws {Error} When booking-workflow.js (which makes the link token) isn't loaded
+     */
+    function createRequest(booking, options = {}) {
+        const workflow = getWorkflow();
+        if (!workflow) {
+            throw new Error('BookingWorkflow is not loaded! Make sure booking-workflow.js is loaded before creating a deposit request');
+        }
+
+        const computed = compute(booking);
+        const amount = options.amount != null ? Number(options.amount) : (computed ? computed.amount : null);
+        if (amount === null || !isFinite(amount) || amount <= 0) return null;
+
+        const rateCard = getRateCard();
+        const now = options.now || new Date();
+        return {
+            status: 'requested',
+            amount: Math.round(amount),
+            currency: computed ? computed.currency : ((rateCard && rateCard.getData().currency) || CONFIG.DEFAULT_CURRENCY),
+            rate: computed ? computed.rate : null,
+            token: workflow.generateToken(),
+            requested_at: now.toISOString()
+        };
+    }
+
+    /**
+     * Deposit record with a new amount, before it has been paid
+     * The token is kept, so a link already sent still works
+     */
+    function changeAmount(deposit, amount) {
+        if (!isPayable(deposit)) {
+            throw new Error('Only an unpaid deposit can be changed');
+        }
+
+        const value = Number(amount);
+        if (!isFinite(value) || value <= 0) {
+            throw new Error('Deposit amount must be more than zero');
+        }
+
+        return { ...deposit, amount: Math.round(value) };
+    }
+
+    /**
+     * Deposit record after a payment attempt recorded in the CMS
+     * @param {Object} deposit - Current deposit record
+     * @param {Object} result - { status: 'paid'|'failed', provider, paymentId, message }
+     * @param {Date} [now] - Time of the result (defaults to now)
+     */
+    function applyResult(deposit, result, now = new Date()) {
+        if (!isPayable(deposit)) {
+            throw new Error(getStatus(deposit) === 'paid' ? 'This deposit has already been paid' : 'No deposit has been requested');
+        }
+        if (!result || (result.status !== 'paid' && result.status !== 'failed')) {
+            throw new Error(`Unknown payment result: ${result && result.status}`);
+        }
+
+        const updated = {
+            ...deposit,
+            status: result.status,
+            provider: result.provider || null,
+            payment_id: result.paymentId || null,
+            attempts: (Number(deposit.attempts) || 0) + 1
+        };
+
+        if (result.status === 'paid') {
+            updated.paid_at = now.toISOString();
+            delete updated.failure_reason;
+        } else {
+            updated.failed_at = now.toISOString();
+            updated.failure_reason = result.message || null;
+        }
+
+        return updated;
+    }
+
+    // ===========================
+    // Formatting and Links
+    // ===========================
+
+    function formatAmount(deposit) {
+        const amount = '$' + Math.round(Number(deposit.amount) || 0).toLocaleString('en-US');
+        return deposit.currency ? `${amount} ${deposit.currency}` : amount;
+    }
+
+    /**
+     * Client payment link for a booking's deposit
+     * @param {string} base - Page URL the link is resolved against (defaults to the current page)
+     */
+    function getPaymentUrl(bookingId, deposit, base) {
+        const url = new URL(CONFIG.PAYMENT_PAGE, base || window.location.href);
+        url.searchParams.set('booking', bookingId);
+        url.searchParams.set('token', deposit.token);
+        return url.toString();
+    }
+
+    // ===========================
+    // Export to global scope
+    // ===========================
+    const BookingDeposit = {
+        CONFIG: CONFIG,
+        STATUSES: STATUSES,
+        getSelection: getSelection,
+        compute: compute,
+        getStatus: getStatus,
+        getLabel: getLabel,
+        isPayable: isPayable,
+        createRequest: createRequest,
+        changeAmount: changeAmount,
+        applyResult: applyResult,
+        formatAmount: formatAmount,
+        getPaymentUrl: getPaymentUrl
+    };
+
+    if (typeof window !== 'undefined') {
+        window.BookingDeposit = BookingDeposit;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BookingDeposit;
+    }
+
+})();
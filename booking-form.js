@@ -1,15 +1,33 @@
 /**
  * Booking Form Module
- * Handles booking form submission and EmailJS integration
- * - Form validation
- * - EmailJS integration
+ * Handles booking form submission and delivery
+ * - Inline validation against booking rules (booking-validation.js)
+ * - Pluggable delivery transports (EmailJS, site API, webhook)
+ * - Date length options and live price/deposit quote from the rate card (rate-card.js)
  * - Datetime input optimization
- * - Success/error handling
+ * - Accessible status, retry and confirmation views
+ * - Offline queue with automatic retry (booking-queue.js)
+ * - Draft autosave and restore (localStorage)
+ * - Optional multi-step wizard mode with history navigation
+ * - Screening section; details are stored with the booking, never emailed
+ * - Availability calendar for the preferred date and time (availability.js)
+ * - Tour city suggestions and schedule-aware calendar (tour-dates.js)
+ * - Times in the destination city's time zone, converted for the client (timezones.js)
+ * - Calendar (.ics) event for the requested date, tentative until confirmed (booking-calendar.js)
+ * - Unguessable access token per request, for the client's status page (booking-workflow.js)
+ * - Anti-spam checks and challenge before any transport is called (booking-guard.js)
+ * - Email subject and body from editable templates, text and HTML (email-templates.js)
+ * - Acknowledgement to the client by email, or text when preferred, sent by the backend (booking-acknowledgement.js)
  */
 
 (function() {
     'use strict';
 
+    if (window.BookingForm) {
+        console.warn('booking-form.js is already loaded, skipping');
+        return;
+    }
+
     // ===========================
     // EmailJS Configuration
     // ===========================
@@ -21,11 +39,84 @@
     const EMAILJS_SERVICE_ID = 'service_42we7vj';
     const EMAILJS_TEMPLATE_ID = 'template_kgkgtf8';
 
-    // Initialize EmailJS
-    if (typeof emailjs !== 'undefined') {
-        (function() {
-            emailjs.init(EMAILJS_PUBLIC_KEY);
-        })();
+    // Shown to clients when delivery fails, and the notification recipient
+    const FALLBACK_EMAIL = 'casperigram@gmail.com';
+
+    // ===========================
+    // Transport Configuration
+    // ===========================
+
+    // Selects how booking requests are delivered: 'api', 'emailjs' or 'webhook'
+    // Override per browser with localStorage.setItem('BOOKING_TRANSPORT', 'webhook')
+    // The site API stores the request, checks its anti-spam proof and notifies me;
+    // the fallback only delivers when that backend can't be reached, never when it refuses
+    const TRANSPORT_CONFIG = {
+        transport: 'api',
+        fallback: 'emailjs',
+        emailjs: {
+            publicKey: EMAILJS_PUBLIC_KEY,
+            serviceId: EMAILJS_SERVICE_ID,
+            templateId: EMAILJS_TEMPLATE_ID
+        },
+        api: {
+            url: typeof API_ENDPOINTS !== 'undefined' ? API_ENDPOINTS.BOOKINGS : null
+        },
+        webhook: {
+            url: null
+        }
+    };
+
+    // Store every request on our backend (API_ENDPOINTS.BOOKINGS) so it shows up
+    // in the CMS bookings inbox, whichever transport delivers the notification
+    const PERSIST_BOOKINGS = true;
+
+    let transport = null;
+    let fallbackTransport = null;
+    if (window.BookingTransports) {
+        try {
+            transport = window.BookingTransports.resolve(TRANSPORT_CONFIG);
+            if (transport.name === 'api' && TRANSPORT_CONFIG.fallback) {
+                fallbackTransport = window.BookingTransports.create(
+                    TRANSPORT_CONFIG.fallback,
+                    TRANSPORT_CONFIG[TRANSPORT_CONFIG.fallback]
+                );
+            }
+        } catch (error) {
+            console.error('Booking transport configuration error:', error);
+        }
+    } else {
+        console.error('BookingTransports is not defined! Make sure booking-transports.js is loaded before booking-form.js');
+    }
+
+    // ===========================
+    // Anti-spam Configuration
+    // ===========================
+
+    // Challenge solved before a request is sent: 'proof-of-work', 'turnstile', 'none',
+    // or 'stub' (Turnstile's test token, for trying the form against a local backend).
+    // The proof goes out with the booking to our backend, which refuses the request
+    // (and sends nothing) when it doesn't pass; only the EmailJS fallback, used while
+    // that backend is unreachable, goes out unchecked (see booking-guard.js)
+    const GUARD_CONFIG = {
+        challenge: 'proof-of-work',
+        'proof-of-work': {},
+        turnstile: {
+            siteKey: null,
+            container: '#booking-challenge'
+        },
+        stub: {}
+    };
+
+    const guard = window.BookingGuard || null;
+    let challenge = null;
+    if (guard) {
+        try {
+            challenge = guard.resolve(GUARD_CONFIG);
+        } catch (error) {
+            console.error('Booking challenge configuration error:', error);
+        }
+    } else {
+        console.error('BookingGuard is not defined! Make sure booking-guard.js is loaded before booking-form.js');
     }
 
     // ===========================
@@ -34,8 +125,28 @@
 
     const bookingForm = document.getElementById('booking-form');
 
-    // Format datetime for display
-    const formatDateTime = (datetime) => {
+    const timeZones = window.TimeZones || null;
+
+    // Wording of the notification email, editable in the CMS
+    const emailTemplates = window.EmailTemplates || null;
+    if (emailTemplates) {
+        emailTemplates.load();
+    } else {
+        console.error('EmailTemplates is not defined! Make sure email-templates.js is loaded before booking-form.js');
+    }
+
+    // IANA time zone the preferred time was entered in (the destination city's)
+    const getBookingTimeZone = (bookingData) => {
+        return timeZones ? timeZones.resolve(bookingData.city).timeZone : null;
+    };
+
+    // Format a preferred time for display, e.g. "Thursday, October 29, 2026 at 07:00 PM MDT (America/Edmonton)"
+    const formatDateTime = (datetime, timeZone = null) => {
+        if (timeZone && timeZones) {
+            const instant = timeZones.toInstant(datetime, timeZone);
+            if (instant) return `${timeZones.format(instant, timeZone)} (${timeZone})`;
+        }
+
         const date = new Date(datetime);
         return date.toLocaleString('en-US', {
             weekday: 'long',
@@ -47,124 +158,1400 @@
         });
     };
 
+    // The preferred time in the client's own zone, or null when it's the same zone
+    const formatClientDateTime = (bookingData) => {
+        const timeZone = getBookingTimeZone(bookingData);
+        const instant = timeZone ? timeZones.toInstant(bookingData.preferred_datetime, timeZone) : null;
+        const clientZone = timeZones ? timeZones.getBrowserTimeZone() : null;
+        if (!instant || !clientZone ||
+            timeZones.getOffsetMinutes(instant, clientZone) === timeZones.getOffsetMinutes(instant, timeZone)) {
+            return null;
+        }
+        return timeZones.format(instant, clientZone);
+    };
+
+    /**
+     * Booking as stored: the preferred time becomes an ISO timestamp with the
+     * city's offset, alongside the IANA zones of the city and the client
+     */
+    const toBookingRecord = (bookingData) => {
+        const timeZone = getBookingTimeZone(bookingData);
+        if (!timeZone) return bookingData;
+
+        return Object.assign({}, bookingData, {
+            preferred_datetime: timeZones.toIsoString(bookingData.preferred_datetime, timeZone) || bookingData.preferred_datetime,
+            timezone: timeZone,
+            client_timezone: timeZones.getBrowserTimeZone()
+        });
+    };
+
+    // Estimate for a booking, or null when the rate card is unavailable
+    const getQuote = (bookingData) => {
+        if (!window.RateCard) return null;
+
+        return window.RateCard.quote({
+            tier: bookingData.date_length,
+            city: bookingData.city,
+            location: bookingData.location_preference,
+            // Stored records carry an offset; the leading 'YYYY-MM-DDTHH:MM' is still the city's clock time
+            start: String(bookingData.preferred_datetime || '').slice(0, 16)
+        });
+    };
+
+    // Readable date length, e.g. "Meet & Greet (1 hour)"
+    const describeDateLength = (dateLength) => {
+        return window.RateCard ? window.RateCard.describeTier(dateLength) : dateLength.replace(/_/g, ' ');
+    };
+
+    // Screening method for emails and summaries; the details themselves are never emailed
+    const describeScreening = (bookingData) => {
+        const labels = window.BookingValidation ? window.BookingValidation.SCREENING_METHOD_LABELS : {};
+        const label = labels[bookingData.screening_method] || bookingData.screening_method;
+        return label ? label.charAt(0).toUpperCase() + label.slice(1) : 'Not provided';
+    };
+
+    // Calendar event for the request, as an email attachment (EmailJS variable attachment)
+    const buildCalendarAttachment = (bookingData, bookingId) => {
+        if (!window.BookingCalendar) return '';
+
+        const record = Object.assign(toBookingRecord(bookingData), bookingId != null ? { id: bookingId } : {});
+        const ics = window.BookingCalendar.build(record, { audience: 'provider' });
+        return ics ? window.BookingCalendar.toDataUrl(ics) : '';
+    };
+
+    // Build the formatted message parameters for a booking
+    const buildEmailParams = (bookingData, bookingId = null) => {
+        const quote = getQuote(bookingData);
+        const dateLength = describeDateLength(bookingData.date_length);
+        const clientAge = window.BookingValidation && bookingData.date_of_birth
+            ? String(window.BookingValidation.getAge(bookingData.date_of_birth, new Date()))
+            : 'Not provided';
+        const estimatedTotal = quote ? window.RateCard.formatRange(quote.total.min, quote.total.max) : 'Not available';
+        const depositDue = quote && quote.deposit
+            ? `${window.RateCard.formatRange(quote.deposit.min, quote.deposit.max)} (${Math.round(quote.deposit.rate * 100)}%)`
+            : 'To be confirmed';
+        const screening = describeScreening(bookingData);
+        const timeZone = getBookingTimeZone(bookingData);
+        const preferredDateTime = formatDateTime(bookingData.preferred_datetime, timeZone);
+        const clientDateTime = formatClientDateTime(bookingData);
+        let screeningNote = '';
+        if (bookingData.screening_withheld) {
+            screeningNote = ' (lost: saved offline and sent after the page was reloaded, ask the client again)';
+        } else if (bookingData.screening_method) {
+            screeningNote = bookingId != null
+                ? ` (details stored with booking #${bookingId}, view them in the CMS)`
+                : ' (details withheld from email, see the CMS bookings inbox or ask the client)';
+        }
+
+        const params = {
+            to_email: FALLBACK_EMAIL,
+            from_name: bookingData.name,
+            from_email: bookingData.email,
+            reply_to: bookingData.email,
+
+            // Personal Information
+            client_name: bookingData.name,
+            client_email: bookingData.email,
+            client_phone: bookingData.phone,
+            client_pronouns: bookingData.pronouns,
+            preferred_contact: bookingData.contact_method,
+
+            // Booking Details
+            client_age: clientAge,
+            desired_city: bookingData.city,
+            date_length: dateLength,
+            meal_included: bookingData.meal_included ? 'Yes' : 'No',
+            preferred_datetime: preferredDateTime,
+            client_datetime: clientDateTime || '',
+            timezone: timeZone || 'Not recorded',
+            location_type: bookingData.location_preference.charAt(0).toUpperCase() + bookingData.location_preference.slice(1),
+            additional_info: bookingData.additional_info || 'None provided',
+            screening: screening,
+            screening_note: screeningNote,
+            booking_id: bookingId != null ? String(bookingId) : '',
+            booking_reference: bookingId != null ? String(bookingId) : 'Not stored',
+            // Only once stored; the status page looks the booking up by its token
+            status_url: bookingId != null && window.BookingWorkflow ? window.BookingWorkflow.getStatusUrl(bookingData) || '' : '',
+            estimated_total: estimatedTotal,
+            deposit_due: depositDue,
+            submitted_at: new Date().toLocaleString('en-US', { timeZoneName: 'short' }),
+            calendar_attachment: buildCalendarAttachment(bookingData, bookingId)
+        };
+
+        // Subject and formatted message body: text for the API and mailto, HTML for
+        // EmailJS (shown unescaped with {{{message_html}}} in the EmailJS template)
+        const email = emailTemplates
+            ? emailTemplates.render('booking_request', params)
+            : { subject: `New Booking Request from ${bookingData.name}`, text: '', html: '' };
+
+        return Object.assign(params, {
+            subject: email.subject,
+            message: email.text,
+            message_html: email.html
+        });
+    };
+
+    // Where the backend says it sent the acknowledgement: { channel, to }, or null
+    const getAcknowledgement = (data) => {
+        const sent = data && data.acknowledgement;
+        return sent && sent.to ? { channel: sent.channel, to: sent.to } : null;
+    };
+
+    // The backend answered and turned the request down (validation, anti-spam, rate limit)
+    const isRefused = (error) => error.status >= 400 && error.status < 500;
+
+    // No answer from the backend at all, or only from the gateway in front of it
+    const isUnreachable = (error) => !error.status || [502, 503, 504].includes(error.status);
+
+    // Create the booking record; delivery still goes ahead if the API is unreachable,
+    // but not when it refused the request
+    const persistBooking = async (request) => {
+        if (!PERSIST_BOOKINGS || !window.BookingTransports || (transport && transport.name === 'api')) {
+            return null;
+        }
+
+        try {
+            return await window.BookingTransports.create('api', TRANSPORT_CONFIG.api).send(request);
+        } catch (error) {
+            if (isRefused(error)) throw error;
+            console.warn('Failed to store booking record:', error);
+            return null;
+        }
+    };
+
+    // Deliver via the configured transport, or the fallback while the backend is unreachable
+    const deliver = async (request) => {
+        try {
+            return await transport.send(request);
+        } catch (error) {
+            if (!fallbackTransport || !isUnreachable(error)) throw error;
+            console.warn(`Booking API unreachable, delivering with ${fallbackTransport.name}:`, error);
+            return fallbackTransport.send(request);
+        }
+    };
+
+    // The stored record's id, and the access token the backend issued for the client's status link
+    const recordStored = (request, result) => {
+        const data = result.raw || {};
+        request.bookingId = result.id;
+        if (data.access_token) {
+            request.booking.access_token = data.access_token;
+        }
+        request.acknowledgement = getAcknowledgement(data);
+        request.emailParams = buildEmailParams(request.booking, result.id);
+    };
+
+    // Collect all form data into a plain object
+    const collectBookingData = () => {
+        const bookingData = {};
+        new FormData(bookingForm).forEach((value, key) => {
+            // The honeypot is only read by the anti-spam checks
+            if (guard && key === guard.CONFIG.HONEYPOT_FIELD) return;
+            bookingData[key] = value;
+        });
+        return bookingData;
+    };
+
+    // ===========================
+    // Inline Validation
+    // ===========================
+
+    const validator = window.BookingValidation || null;
+    if (!validator) {
+        console.error('BookingValidation is not defined! Make sure booking-validation.js is loaded before booking-form.js');
+    }
+
+    // Fields whose rules depend on another field's value
+    const DEPENDENT_FIELDS = {
+        date_length: ['meal_included', 'preferred_datetime'],
+        city: ['preferred_datetime', 'screening_method'],
+        location_preference: ['screening_method']
+    };
+
+    const showFieldError = (name, message) => {
+        const field = bookingForm.elements[name];
+        const group = field && field.closest('.form-group');
+        if (!group) return;
+
+        const errorId = `${name}-error`;
+        let errorEl = document.getElementById(errorId);
+        if (!errorEl) {
+            errorEl = document.createElement('p');
+            errorEl.id = errorId;
+            errorEl.className = 'field-error';
+            group.appendChild(errorEl);
+        }
+
+        errorEl.textContent = message;
+        group.classList.add('has-error');
+        field.setAttribute('aria-invalid', 'true');
+
+        // Keep any existing description (e.g. a hint) alongside the error
+        if (field.dataset.describedby === undefined) {
+            field.dataset.describedby = field.getAttribute('aria-describedby') || '';
+        }
+        field.setAttribute('aria-describedby', [field.dataset.describedby, errorId].filter(Boolean).join(' '));
+    };
+
+    const clearFieldError = (name) => {
+        const field = bookingForm.elements[name];
+        const group = field && field.closest('.form-group');
+        if (!group) return;
+
+        const errorEl = document.getElementById(`${name}-error`);
+        if (errorEl) errorEl.remove();
+        group.classList.remove('has-error');
+        field.removeAttribute('aria-invalid');
+        if (field.dataset.describedby) {
+            field.setAttribute('aria-describedby', field.dataset.describedby);
+        } else {
+            field.removeAttribute('aria-describedby');
+        }
+    };
+
+    const checkField = (name, bookingData = collectBookingData()) => {
+        if (!validator) return true;
+
+        const error = validator.validateField(name, bookingData);
+        if (error) {
+            showFieldError(name, error);
+        } else {
+            clearFieldError(name);
+        }
+        return !error;
+    };
+
+    /**
+     * Validate every field, show inline errors and focus the first invalid field
+     * @returns {boolean} Whether the booking can be sent
+     */
+    const checkForm = (bookingData, names) => {
+        if (!validator) return true;
+
+        const fieldNames = names || Object.keys(validator.RULES);
+        const { errors } = validator.validate(bookingData);
+        const invalid = fieldNames.filter(name => errors[name]);
+
+        fieldNames.forEach(name => {
+            if (errors[name]) {
+                showFieldError(name, errors[name]);
+            } else {
+                clearFieldError(name);
+            }
+        });
+
+        if (invalid.length > 0) {
+            const firstInvalid = Array.from(bookingForm.elements).find(field => invalid.includes(field.name));
+            if (firstInvalid) {
+                // In wizard mode the field may be on another step
+                showStepContaining(firstInvalid);
+                firstInvalid.focus();
+            }
+        }
+        return invalid.length === 0;
+    };
+
+    // Re-check a field once the client has left it, and any fields that depend on it
+    const handleFieldUpdate = (e) => {
+        const name = e.target.name;
+        if (!validator || !name || !validator.RULES[name]) return;
+
+        const bookingData = collectBookingData();
+        const hasError = e.target.getAttribute('aria-invalid') === 'true';
+        if (hasError || e.type === 'change' || e.target.value.trim() !== '') {
+            checkField(name, bookingData);
+        }
+
+        (DEPENDENT_FIELDS[name] || []).forEach(dependent => {
+            const field = bookingForm.elements[dependent];
+            if (field && field.getAttribute('aria-invalid') === 'true') {
+                checkField(dependent, bookingData);
+            }
+        });
+    };
+
+    // ===========================
+    // Submission Status
+    // ===========================
+
+    const formStatus = document.getElementById('booking-form-status');
+    const errorPanel = document.getElementById('booking-form-error');
+    const errorMessageEl = document.getElementById('booking-error-message');
+    const retryButton = document.getElementById('booking-retry-btn');
+    const copyEmailButton = document.getElementById('booking-copy-email-btn');
+    const copyDetailsButton = document.getElementById('booking-copy-details-btn');
+    const mailtoLink = document.getElementById('booking-mailto-link');
+    const confirmation = document.getElementById('booking-confirmation');
+    const confirmationTitle = document.getElementById('booking-confirmation-title');
+    const confirmationIcon = document.getElementById('booking-confirmation-icon');
+    const confirmationHeading = document.getElementById('booking-confirmation-heading');
+    const confirmationIntro = document.getElementById('booking-confirmation-intro');
+    const confirmationSummary = document.getElementById('booking-confirmation-summary');
+    const newRequestButton = document.getElementById('booking-new-request-btn');
+    const calendarButton = document.getElementById('booking-calendar-btn');
+    const statusLink = document.getElementById('booking-status-link');
+    const statusNote = document.getElementById('booking-status-note');
+    const acknowledgementNote = document.getElementById('booking-acknowledgement-note');
+
+    // Request that failed to send, kept so "Try Again" resends exactly the same booking
+    let pendingRequest = null;
+
+    // Request shown on the confirmation, for the calendar download
+    let confirmedRequest = null;
+
+    // When the client started on the form, for the minimum fill time check.
+    // Counted from their first input rather than page load; null skips the check
+    // for a draft restored from an earlier visit, which was filled in back then
+    let formStartedAt = Date.now();
+    let formStarted = false;
+
+    const markFormStarted = () => {
+        if (formStarted) return;
+        formStarted = true;
+        formStartedAt = Date.now();
+    };
+
+    // Announce progress to screen readers (polite live region)
+    const announce = (message) => {
+        if (formStatus) formStatus.textContent = message;
+    };
+
+    /**
+     * Copy text to the clipboard, falling back to a temporary textarea
+     * @returns {Promise<boolean>} Whether the copy succeeded
+     */
+    const copyText = async (text) => {
+        try {
+            if (navigator.clipboard && window.isSecureContext) {
+                await navigator.clipboard.writeText(text);
+                return true;
+            }
+        } catch (error) {
+            // Fall through to the legacy approach
+        }
+
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+
+        let copied = false;
+        try {
+            copied = document.execCommand('copy');
+        } catch (error) {
+            copied = false;
+        }
+        textarea.remove();
+        return copied;
+    };
+
+    // Briefly confirm a copy on the button itself
+    const flashButtonLabel = (button, label) => {
+        const original = button.dataset.label || button.textContent;
+        button.dataset.label = original;
+        button.textContent = label;
+        setTimeout(() => {
+            button.textContent = original;
+        }, 2000);
+    };
+
+    // Explain why a request failed in plain language
+    const describeError = (error) => {
+        if (error.guard) {
+            return error.message;
+        }
+        if (isRefused(error)) {
+            return 'Our booking service turned this request down. Please check your details and try again, or email it directly.';
+        }
+        if (error.text && error.text.includes('Invalid')) {
+            return 'Our booking service is misconfigured, so your request could not be delivered. Please email it directly instead.';
+        }
+        if (!navigator.onLine) {
+            return 'No internet connection detected. Please check your connection and try again.';
+        }
+        return 'A network or service error stopped your request from being delivered. Please try again, or email it directly.';
+    };
+
+    const hideSendError = () => {
+        if (errorPanel) errorPanel.classList.add('hidden');
+    };
+
+    const showSendError = (error, request) => {
+        pendingRequest = request;
+        announce('');
+
+        if (!errorPanel) return;
+
+        errorMessageEl.textContent = describeError(error);
+
+        const subject = request ? request.emailParams.subject : 'Booking Request';
+        const body = request ? request.emailParams.message.trim() : '';
+        mailtoLink.href = `mailto:${FALLBACK_EMAIL}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+
+        // Resending would skip the anti-spam checks that refused it
+        retryButton.hidden = !request || Boolean(error.guard);
+        copyDetailsButton.hidden = !request;
+
+        errorPanel.classList.remove('hidden');
+        errorPanel.focus();
+    };
+
+    // Fields listed in the confirmation, taken from the formatted email params
+    const SUMMARY_FIELDS = [
+        ['client_name', 'Name'],
+        ['client_email', 'Email'],
+        ['client_phone', 'Phone'],
+        ['preferred_contact', 'Preferred Contact'],
+        ['desired_city', 'City'],
+        ['date_length', 'Date Length'],
+        ['preferred_datetime', 'Preferred Date & Time'],
+        ['client_datetime', 'Your Local Time'],
+        ['location_type', 'Location'],
+        ['estimated_total', 'Estimated Total'],
+        ['deposit_due', 'Deposit Due'],
+        ['screening', 'Screening'],
+        ['additional_info', 'Additional Information']
+    ];
+
+    // Confirmation wording for sent requests and requests saved to the offline queue
+    const CONFIRMATION_TEXT = {
+        sent: {
+            icon: '✅',
+            heading: 'Booking Request Received',
+            intro: "Thank you! You will receive a response within 24 hours via your preferred contact method. Here's what you sent:"
+        },
+        queued: {
+            icon: '📶',
+            heading: 'Booking Request Saved',
+            intro: "You're offline, so your request is saved on this device and will be sent automatically when you reconnect. Here's what you entered:"
+        }
+    };
+
+    // Fill a <dl> with the non-empty summary fields of a request
+    const renderSummary = (list, emailParams, fields = SUMMARY_FIELDS) => {
+        list.innerHTML = '';
+
+        fields.forEach(([key, label]) => {
+            const value = emailParams[key];
+            if (!value) return;
+
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.textContent = key === 'booking_reference' ? `#${value}` : value;
+            list.appendChild(term);
+            list.appendChild(detail);
+        });
+    };
+
+    const showConfirmation = (request, state = 'sent') => {
+        if (!confirmation) return;
+
+        const text = CONFIRMATION_TEXT[state];
+        if (confirmationIcon) confirmationIcon.textContent = text.icon;
+        if (confirmationHeading) confirmationHeading.textContent = text.heading;
+        if (confirmationIntro) confirmationIntro.textContent = text.intro;
+
+        const fields = request.bookingId != null
+            ? [['booking_reference', 'Reference'], ...SUMMARY_FIELDS]
+            : SUMMARY_FIELDS;
+        renderSummary(confirmationSummary, request.emailParams, fields);
+
+        confirmedRequest = request;
+        if (calendarButton) {
+            calendarButton.hidden = !window.BookingCalendar || !window.BookingCalendar.build(request.booking);
+        }
+        if (statusLink) {
+            const statusUrl = request.emailParams.status_url;
+            statusLink.hidden = !statusUrl;
+            if (statusNote) statusNote.hidden = !statusUrl;
+            if (statusUrl) statusLink.href = statusUrl;
+        }
+        showAcknowledgement(request);
+
+        bookingForm.classList.add('hidden');
+        confirmation.classList.remove('hidden');
+        confirmationTitle.focus();
+    };
+
+    // Where the backend sent the acknowledgement, if it did
+    const showAcknowledgement = (request) => {
+        if (!acknowledgementNote) return;
+
+        const sent = request.acknowledgement;
+        acknowledgementNote.hidden = !sent;
+        if (sent) {
+            acknowledgementNote.textContent = sent.channel === 'sms'
+                ? `A confirmation has been texted to ${sent.to}.`
+                : `A confirmation has been emailed to ${sent.to}. Check your spam folder if it hasn't arrived.`;
+        }
+    };
+
+    /**
+     * Store and deliver a booking request
+     * Throws if delivery fails; the stored record (if any) is kept for a retry
+     */
+    const sendRequest = async (request) => {
+        if (!transport) {
+            throw new Error('No booking transport configured');
+        }
+
+        // Saved offline before a reload: the queued email still describes the screening details
+        if (request.booking.screening_withheld) {
+            request.emailParams = buildEmailParams(request.booking, request.bookingId);
+        }
+
+        // The backend acknowledges the client once it has stored the record
+        if (!request.acknowledge && window.BookingAcknowledgement) {
+            request.acknowledge = window.BookingAcknowledgement.buildRequest(request.booking);
+        }
+
+        // Store the record first so the notification can reference it
+        if (request.bookingId == null) {
+            const stored = await persistBooking(request);
+            if (stored && stored.id != null) {
+                recordStored(request, stored);
+            }
+        }
+
+        const result = await deliver(request);
+        if (!result.ok) {
+            throw new Error('Booking transport did not accept the request');
+        }
+
+        // The API transport creates the record itself, so its id is the reference
+        if (request.bookingId == null && result.id != null) {
+            recordStored(request, result);
+        }
+
+        return result;
+    };
+
+    /**
+     * Run the anti-spam checks and challenge before anything is sent
+     * Attaches the challenge proof to the request, or explains why it was refused
+     * @returns {Promise<boolean>} Whether the request may be sent
+     */
+    const guardRequest = async (request) => {
+        if (!guard) return true;
+
+        let result = guard.check(bookingForm, { startedAt: formStartedAt });
+        if (result.ok && challenge) {
+            const submitButton = bookingForm.querySelector('button[type="submit"]');
+            submitButton.disabled = true;
+            bookingForm.setAttribute('aria-busy', 'true');
+            announce('Checking your request…');
+
+            result = await guard.runChallenge(challenge, { request: request });
+            request.challenge = result.ok ? result.proof : null;
+
+            submitButton.disabled = false;
+            bookingForm.removeAttribute('aria-busy');
+        }
+
+        if (!result.ok) {
+            const error = new Error(result.message);
+            error.guard = result.reason;
+            console.warn(`Booking request refused (${result.reason})`);
+            showSendError(error, request);
+            return false;
+        }
+
+        guard.recordSubmission();
+        return true;
+    };
+
+    const submitRequest = async (request) => {
+        const submitButton = bookingForm.querySelector('button[type="submit"]');
+        const originalButtonText = submitButton.dataset.label || submitButton.textContent;
+        submitButton.dataset.label = originalButtonText;
+
+        // Show loading state
+        submitButton.textContent = 'Sending...';
+        submitButton.disabled = true;
+        if (retryButton) retryButton.disabled = true;
+        bookingForm.setAttribute('aria-busy', 'true');
+        hideSendError();
+        announce('Sending your booking request…');
+
+        try {
+            await sendRequest(request);
+
+            pendingRequest = null;
+            clearDraft();
+            bookingForm.reset();
+            announce('Your booking request has been sent.');
+            showConfirmation(request);
+        } catch (error) {
+            console.error(`Booking transport error (${transport ? transport.name : 'none'}):`, error);
+            if (queue && !navigator.onLine) {
+                queueRequest(request);
+            } else {
+                showSendError(error, request);
+            }
+        } finally {
+            // Restore button state
+            submitButton.textContent = originalButtonText;
+            submitButton.disabled = false;
+            if (retryButton) retryButton.disabled = false;
+            bookingForm.removeAttribute('aria-busy');
+        }
+    };
+
+    // ===========================
+    // Wizard Mode
+    // ===========================
+
+    const WIZARD_CONFIG = {
+        // 'wizard', 'single', or 'auto' (wizard on small screens, where the long form gets abandoned)
+        // Override per page with <form data-mode="..."> or per visit with book.html?mode=wizard
+        MODE: 'auto',
+        MOBILE_QUERY: '(max-width: 768px)',
+        MODE_PARAM: 'mode'
+    };
+
+    const steps = bookingForm ? Array.from(bookingForm.querySelectorAll('.booking-step')) : [];
+    const progressList = document.getElementById('booking-progress');
+    const wizardNav = bookingForm ? bookingForm.querySelector('.booking-wizard-nav') : null;
+    const stepBackButton = document.getElementById('booking-step-back-btn');
+    const stepNextButton = document.getElementById('booking-step-next-btn');
+    const reviewSummary = document.getElementById('booking-review-summary');
+
+    let wizardEnabled = false;
+    let currentStep = 0;
+
+    const getWizardMode = () => {
+        const mode = new URLSearchParams(window.location.search).get(WIZARD_CONFIG.MODE_PARAM)
+            || (bookingForm && bookingForm.dataset.mode)
+            || WIZARD_CONFIG.MODE;
+
+        if (mode === 'auto') {
+            return window.matchMedia && window.matchMedia(WIZARD_CONFIG.MOBILE_QUERY).matches ? 'wizard' : 'single';
+        }
+        return mode;
+    };
+
+    const getStepTitle = (step) => step.querySelector('.booking-step-title').textContent.trim();
+
+    // Validated fields on a step
+    const getStepFields = (step) => {
+        if (!validator) return [];
+        return Array.from(step.querySelectorAll('[name]'))
+            .map(field => field.name)
+            .filter(name => validator.RULES[name]);
+    };
+
+    const renderProgress = () => {
+        if (!progressList) return;
+
+        progressList.innerHTML = '';
+        steps.forEach((step, index) => {
+            const item = document.createElement('li');
+            item.className = 'booking-progress-step';
+            if (index < currentStep) item.classList.add('is-complete');
+            if (index === currentStep) {
+                item.classList.add('is-current');
+                item.setAttribute('aria-current', 'step');
+            }
+
+            const number = document.createElement('span');
+            number.className = 'booking-progress-number';
+            number.textContent = index + 1;
+            const label = document.createElement('span');
+            label.className = 'booking-progress-label';
+            label.textContent = getStepTitle(step);
+
+            item.appendChild(number);
+            item.appendChild(label);
+            progressList.appendChild(item);
+        });
+    };
+
+    /**
+     * Show one step
+     * @param {number} index - Step index
+     * @param {string} historyMode - 'push', 'replace' or 'none' (already navigated via back/forward)
+     * @param {boolean} moveFocus - Focus the step heading (not on first load)
+     */
+    const showStep = (index, historyMode = 'push', moveFocus = true) => {
+        currentStep = index;
+        const step = steps[index];
+        const isLast = index === steps.length - 1;
+
+        steps.forEach((candidate, i) => candidate.classList.toggle('is-current', i === index));
+        bookingForm.classList.toggle('is-last-step', isLast);
+        stepBackButton.hidden = index === 0;
+        stepNextButton.hidden = isLast;
+
+        if (isLast && reviewSummary) {
+            renderSummary(reviewSummary, buildEmailParams(collectBookingData()));
+        }
+        renderProgress();
+
+        const state = Object.assign({}, window.history.state, { bookingStep: index });
+        const url = `#${step.dataset.step}`;
+        if (historyMode === 'push') {
+            window.history.pushState(state, '', url);
+        } else if (historyMode === 'replace') {
+            window.history.replaceState(state, '', url);
+        }
+
+        if (moveFocus) {
+            step.querySelector('.booking-step-title').focus();
+            announce(`Step ${index + 1} of ${steps.length}: ${getStepTitle(step)}`);
+        }
+    };
+
+    /**
+     * Move to a step; moving forward requires every earlier step to be valid
+     * @returns {boolean} Whether the requested step is shown
+     */
+    const goToStep = (index, historyMode = 'push') => {
+        if (index > currentStep || historyMode === 'none') {
+            const names = steps.slice(0, index).flatMap(getStepFields);
+            // On failure checkForm has shown the step with the first invalid field
+            if (!checkForm(collectBookingData(), names)) return false;
+        }
+
+        showStep(index, historyMode);
+        return true;
+    };
+
+    // Bring the step holding a field into view (checkForm, wizard mode only)
+    const showStepContaining = (field) => {
+        if (!wizardEnabled) return;
+
+        const index = steps.findIndex(step => step.contains(field));
+        if (index !== -1 && index !== currentStep) {
+            showStep(index, 'replace', false);
+        }
+    };
+
+    const isWizardStepPending = () => wizardEnabled && currentStep < steps.length - 1;
+
+    const enableWizard = () => {
+        wizardEnabled = true;
+        bookingForm.classList.add('is-wizard');
+        if (progressList) progressList.classList.remove('hidden');
+        if (wizardNav) wizardNav.classList.remove('hidden');
+        steps.forEach(step => {
+            step.querySelector('.booking-step-title').tabIndex = -1;
+        });
+
+        showStep(0, 'replace', false);
+
+        stepNextButton.addEventListener('click', () => goToStep(currentStep + 1));
+        stepBackButton.addEventListener('click', () => window.history.back());
+
+        window.addEventListener('popstate', (e) => {
+            if (!e.state || typeof e.state.bookingStep !== 'number') return;
+            goToStep(Math.min(e.state.bookingStep, steps.length - 1), 'none');
+        });
+
+        bookingForm.addEventListener('reset', () => showStep(0, 'replace', false));
+    };
+
+    if (bookingForm && steps.length > 1 && stepNextButton && stepBackButton && getWizardMode() === 'wizard') {
+        enableWizard();
+    }
+
+    // ===========================
+    // Draft Autosave
+    // ===========================
+
+    const DRAFT_CONFIG = {
+        STORAGE_KEY: 'bookingDraft',
+
+        // Drafts older than this are discarded instead of offered (7 days)
+        EXPIRATION_MS: 7 * 24 * 60 * 60 * 1000,
+
+        // Wait for a pause in typing before saving
+        SAVE_DELAY: 500
+    };
+
+    const draftBanner = document.getElementById('booking-draft-banner');
+    const draftMessage = document.getElementById('booking-draft-message');
+    const draftRestoreButton = document.getElementById('booking-draft-restore-btn');
+    const draftDiscardButton = document.getElementById('booking-draft-discard-btn');
+
+    let draftSaveTimer = null;
+    // Draft from an earlier visit, held until the client restores or discards it
+    let offeredDraft = null;
+
+    const readDraft = () => {
+        try {
+            const draft = JSON.parse(localStorage.getItem(DRAFT_CONFIG.STORAGE_KEY));
+            if (!draft || typeof draft.savedAt !== 'number' || !draft.fields) {
+                return null;
+            }
+            if (Date.now() > draft.savedAt + DRAFT_CONFIG.EXPIRATION_MS) {
+                localStorage.removeItem(DRAFT_CONFIG.STORAGE_KEY);
+                return null;
+            }
+            return draft;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    const saveDraft = () => {
+        clearTimeout(draftSaveTimer);
+        // Don't overwrite a draft the client hasn't decided about yet
+        if (!bookingForm || offeredDraft) return;
+
+        // Screening details are sensitive, so they are never kept in a draft
+        const fields = collectBookingData();
+        SCREENING_FIELDS.forEach(name => delete fields[name]);
+        const hasContent = Object.values(fields).some(value => typeof value === 'string' && value.trim() !== '');
+
+        try {
+            if (hasContent) {
+                localStorage.setItem(DRAFT_CONFIG.STORAGE_KEY, JSON.stringify({
+                    savedAt: Date.now(),
+                    fields: fields
+                }));
+            } else {
+                localStorage.removeItem(DRAFT_CONFIG.STORAGE_KEY);
+            }
+        } catch (error) {
+            console.warn('Failed to save booking draft:', error);
+        }
+    };
+
+    const scheduleDraftSave = () => {
+        clearTimeout(draftSaveTimer);
+        draftSaveTimer = setTimeout(saveDraft, DRAFT_CONFIG.SAVE_DELAY);
+    };
+
+    const hideDraftBanner = () => {
+        offeredDraft = null;
+        if (draftBanner) draftBanner.classList.add('hidden');
+    };
+
+    const clearDraft = () => {
+        clearTimeout(draftSaveTimer);
+        hideDraftBanner();
+        try {
+            localStorage.removeItem(DRAFT_CONFIG.STORAGE_KEY);
+        } catch (error) {
+            // Storage unavailable, nothing to clear
+        }
+    };
+
+    const restoreDraft = (draft) => {
+        Array.from(bookingForm.elements).forEach(field => {
+            if (!field.name || !(field.name in draft.fields) || field.type === 'file') return;
+
+            const value = draft.fields[field.name];
+            if (field.type === 'checkbox' || field.type === 'radio') {
+                field.checked = field.value === value;
+            } else {
+                field.value = value;
+            }
+        });
+
+        updateMealField();
+        updateScreeningFields();
+        renderQuote();
+        updateTimeZone();
+        if (availability && datetimeInput) syncAvailabilityToInput();
+        hideDraftBanner();
+        saveDraft();
+        formStarted = true;
+        formStartedAt = null;
+        announce('Your draft has been restored.');
+
+        const firstField = bookingForm.querySelector('input, select, textarea');
+        if (firstField) firstField.focus();
+    };
+
+    // Offer a saved draft from an earlier visit
+    const offerDraft = () => {
+        const draft = readDraft();
+        if (!draft || !draftBanner) return;
+
+        offeredDraft = draft;
+        const savedAt = new Date(draft.savedAt).toLocaleString('en-US', {
+            weekday: 'long',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+        draftMessage.textContent = `You have an unsent booking request, last saved ${savedAt}. Would you like to pick up where you left off?`;
+        draftBanner.classList.remove('hidden');
+    };
+
+    if (draftRestoreButton) {
+        draftRestoreButton.addEventListener('click', () => {
+            if (offeredDraft) restoreDraft(offeredDraft);
+        });
+    }
+
+    if (draftDiscardButton) {
+        draftDiscardButton.addEventListener('click', () => {
+            clearDraft();
+            announce('Draft discarded.');
+        });
+    }
+
+    // ===========================
+    // Offline Queue
+    // ===========================
+
+    const queue = window.BookingQueue || null;
+
+    // Wait before retrying the queue after a failed send while online
+    const QUEUE_RETRY_DELAY = 60 * 1000;
+
+    const queuePanel = document.getElementById('booking-queue-status');
+    const queueHeading = document.getElementById('booking-queue-heading');
+    const queueMessage = document.getElementById('booking-queue-message');
+    const queueSendButton = document.getElementById('booking-queue-send-btn');
+
+    let queueRetryTimer = null;
+    let flushingQueue = false;
+    let sentFromQueue = 0;
+
+    /**
+     * Save a request to send later, then show it as saved
+     * Falls back to the error view if it cannot be stored
+     */
+    const queueRequest = async (request) => {
+        try {
+            // Like drafts, the saved copy leaves out screening details
+            await queue.add(request, { withhold: SCREENING_FIELDS });
+        } catch (error) {
+            console.error('Failed to queue booking request:', error);
+            showSendError(error, request);
+            return;
+        }
+
+        pendingRequest = null;
+        hideSendError();
+        clearDraft();
+        bookingForm.reset();
+        announce('You are offline. Your booking request is saved and will be sent when you reconnect.');
+        showConfirmation(request, 'queued');
+    };
+
+    const renderQueueStatus = (entries) => {
+        if (!queuePanel) return;
+
+        // The queue couldn't be read (storage blocked or full)
+        if (!entries) {
+            queueHeading.textContent = 'Saved requests unavailable';
+            queueMessage.textContent = "Requests saved on this device can't be read right now. " +
+                `If you sent one while offline, please send it again or email ${FALLBACK_EMAIL}.`;
+            queueSendButton.hidden = true;
+            queuePanel.classList.remove('hidden');
+            return;
+        }
+
+        if (entries.length === 0) {
+            if (sentFromQueue === 0) {
+                queuePanel.classList.add('hidden');
+                return;
+            }
+            queueHeading.textContent = 'Saved request sent';
+            queueMessage.textContent = sentFromQueue === 1
+                ? 'Your saved booking request has been sent.'
+                : `Your ${sentFromQueue} saved booking requests have been sent.`;
+            queueSendButton.hidden = true;
+            queuePanel.classList.remove('hidden');
+            return;
+        }
+
+        const requests = entries.length === 1 ? '1 booking request' : `${entries.length} booking requests`;
+        const saved = `${requests} ${entries.length === 1 ? 'is' : 'are'} saved on this device`;
+        const lastError = entries[0].attempts > 0 ? entries[0].lastError : null;
+
+        queueHeading.textContent = 'Waiting to send';
+        if (!navigator.onLine) {
+            queueMessage.textContent = `${saved} and will be sent automatically when you're back online.`;
+        } else if (flushingQueue) {
+            queueMessage.textContent = `Sending ${requests} saved on this device…`;
+        } else if (lastError) {
+            queueMessage.textContent = `${saved}. The last attempt failed (${lastError}); we'll keep trying.`;
+        } else {
+            queueMessage.textContent = `${saved} and will be sent shortly.`;
+        }
+
+        queueSendButton.hidden = false;
+        queueSendButton.disabled = !navigator.onLine || flushingQueue;
+        queuePanel.classList.remove('hidden');
+    };
+
+    const refreshQueueStatus = () => {
+        if (!queue) return;
+
+        queue.getAll().then(renderQueueStatus).catch(error => {
+            console.error('Failed to read booking queue:', error);
+            renderQueueStatus(null);
+        });
+    };
+
+    // Send queued requests, oldest first; retried later if any fails
+    const flushQueue = async () => {
+        if (!queue || !transport || flushingQueue || !navigator.onLine) return;
+
+        clearTimeout(queueRetryTimer);
+        flushingQueue = true;
+        refreshQueueStatus();
+
+        try {
+            const result = await queue.flush(sendRequest);
+            sentFromQueue += result.sent;
+
+            if (result.sent > 0) {
+                announce(result.sent === 1
+                    ? 'Your saved booking request has been sent.'
+                    : `${result.sent} saved booking requests have been sent.`);
+            }
+            if (result.error) {
+                console.error('Queued booking request failed to send:', result.error);
+                queueRetryTimer = setTimeout(flushQueue, QUEUE_RETRY_DELAY);
+            }
+        } catch (error) {
+            console.error('Failed to read booking queue:', error);
+        } finally {
+            flushingQueue = false;
+            refreshQueueStatus();
+        }
+    };
+
+    if (queue) {
+        queue.onChange(renderQueueStatus);
+        window.addEventListener('online', flushQueue);
+        window.addEventListener('offline', refreshQueueStatus);
+
+        if (queueSendButton) {
+            queueSendButton.addEventListener('click', flushQueue);
+        }
+
+        // Send anything left over from an earlier visit
+        refreshQueueStatus();
+        flushQueue();
+    } else {
+        console.warn('BookingQueue is not defined, bookings made offline cannot be saved');
+    }
+
     if (bookingForm) {
+        bookingForm.addEventListener('focusout', handleFieldUpdate);
+        bookingForm.addEventListener('change', handleFieldUpdate);
+
+        bookingForm.addEventListener('input', markFormStarted);
+        bookingForm.addEventListener('input', scheduleDraftSave);
+        bookingForm.addEventListener('change', scheduleDraftSave);
+        // Save immediately rather than lose the last few keystrokes on navigation
+        window.addEventListener('pagehide', saveDraft);
+
         bookingForm.addEventListener('submit', async (e) => {
             e.preventDefault();
+            // This module owns submission; keep any other submit handlers from sending again
+            e.stopImmediatePropagation();
 
-            // Show loading state
-            const submitButton = bookingForm.querySelector('button[type="submit"]');
-            const originalButtonText = submitButton.textContent;
-            submitButton.textContent = 'Sending...';
-            submitButton.disabled = true;
+            // Enter on an earlier wizard step moves on rather than sending
+            if (isWizardStepPending()) {
+                goToStep(currentStep + 1);
+                return;
+            }
 
-            try {
-                // Collect all form data
-                const formData = new FormData(bookingForm);
-                const bookingData = {};
-
-                formData.forEach((value, key) => {
-                    bookingData[key] = value;
-                });
-
-                // Format the email parameters
-                const emailParams = {
-                    to_email: 'casperigram@gmail.com',
-                    from_name: bookingData.name,
-                    from_email: bookingData.email,
-                    reply_to: bookingData.email,
-                    subject: `New Booking Request from ${bookingData.name}`,
-
-                    // Personal Information
-                    client_name: bookingData.name,
-                    client_email: bookingData.email,
-                    client_phone: bookingData.phone,
-                    client_pronouns: bookingData.pronouns,
-                    preferred_contact: bookingData.contact_method,
-
-                    // Booking Details
-                    desired_city: bookingData.city,
-                    date_length: bookingData.date_length.replace(/_/g, ' '),
-                    preferred_datetime: formatDateTime(bookingData.preferred_datetime),
-                    location_type: bookingData.location_preference.charAt(0).toUpperCase() + bookingData.location_preference.slice(1),
-                    additional_info: bookingData.additional_info || 'None provided',
-
-                    // Formatted message body
-                    message: `
-═══════════════════════════════════════
-         NEW BOOKING REQUEST
-═══════════════════════════════════════
-
-CLIENT INFORMATION:
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-Name: ${bookingData.name}
-Email: ${bookingData.email}
-Phone: ${bookingData.phone}
-Pronouns: ${bookingData.pronouns}
-Preferred Contact: ${bookingData.contact_method}
-
-BOOKING DETAILS:
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-Desired City: ${bookingData.city}
-Date Length: ${bookingData.date_length.replace(/_/g, ' ')}
-Preferred Date/Time: ${formatDateTime(bookingData.preferred_datetime)}
-Location Preference: ${bookingData.location_preference.charAt(0).toUpperCase() + bookingData.location_preference.slice(1)}
-
-ADDITIONAL INFORMATION:
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-${bookingData.additional_info || 'None provided'}
-
-═══════════════════════════════════════
-Submitted: ${new Date().toLocaleString('en-US')}
-═══════════════════════════════════════
-                `
-                };
-
-                // Send email via EmailJS
-                const response = await emailjs.send(
-                    EMAILJS_SERVICE_ID,
-                    EMAILJS_TEMPLATE_ID,
-                    emailParams
-                );
+            const bookingData = omitUnusedScreening(collectBookingData());
+            if (!checkForm(bookingData)) {
+                hideSendError();
+                announce('Please correct the highlighted fields.');
+                return;
+            }
+
+            const booking = toBookingRecord(bookingData);
+
+            const request = {
+                booking: booking,
+                emailParams: buildEmailParams(bookingData),
+                submittedAt: new Date().toISOString()
+            };
+
+            hideSendError();
+            if (!(await guardRequest(request))) return;
+
+            // No point trying while offline; keep it for when the connection returns
+            if (queue && !navigator.onLine) {
+                queueRequest(request);
+            } else {
+                submitRequest(request);
+            }
+        });
+    }
 
-                if (response.status === 200) {
-                    alert('✅ Thank you for your booking request!\n\nYour information has been received. You will receive a response within 24 hours via your preferred contact method.');
-                    bookingForm.reset();
-                }
+    if (retryButton) {
+        retryButton.addEventListener('click', () => {
+            if (pendingRequest) submitRequest(pendingRequest);
+        });
+    }
 
-            } catch (error) {
-                console.error('EmailJS Error:', error);
+    if (copyEmailButton) {
+        copyEmailButton.addEventListener('click', async () => {
+            const copied = await copyText(FALLBACK_EMAIL);
+            flashButtonLabel(copyEmailButton, copied ? 'Copied!' : 'Copy failed');
+            announce(copied ? 'Email address copied' : 'Could not copy, please select the address manually');
+        });
+    }
 
-                // User-friendly error messages
-                let errorMessage = '❌ Booking Submission Failed\n\n';
+    if (copyDetailsButton) {
+        copyDetailsButton.addEventListener('click', async () => {
+            if (!pendingRequest) return;
+            const copied = await copyText(pendingRequest.emailParams.message.trim());
+            flashButtonLabel(copyDetailsButton, copied ? 'Copied!' : 'Copy failed');
+            announce(copied ? 'Booking details copied' : 'Could not copy booking details');
+        });
+    }
 
-                if (error.text && error.text.includes('Invalid')) {
-                    errorMessage += 'EmailJS configuration error. Please contact the site administrator.\n\n';
-                    errorMessage += 'Alternative: Email your booking to casperigram@gmail.com';
-                } else if (!navigator.onLine) {
-                    errorMessage += 'No internet connection detected.\n\n';
-                    errorMessage += 'Please check your connection and try again.';
-                } else {
-                    errorMessage += 'Network or service error.\n\n';
-                    errorMessage += 'Please try again, or email directly to:\ncasperigram@gmail.com';
-                }
+    // The client's copy is tentative; I'll confirm the date separately
+    if (calendarButton) {
+        calendarButton.addEventListener('click', () => {
+            if (!confirmedRequest || !window.BookingCalendar) return;
 
-                alert(errorMessage);
-            } finally {
-                // Restore button state
-                submitButton.textContent = originalButtonText;
-                submitButton.disabled = false;
+            const record = Object.assign({}, confirmedRequest.booking, { id: confirmedRequest.bookingId });
+            const ics = window.BookingCalendar.build(record, { audience: 'client' });
+            if (ics) {
+                window.BookingCalendar.download(ics, window.BookingCalendar.getFilename(record));
+                announce('Calendar event downloaded');
             }
         });
     }
 
+    if (newRequestButton) {
+        newRequestButton.addEventListener('click', () => {
+            formStarted = false;
+            formStartedAt = Date.now();
+            confirmation.classList.add('hidden');
+            bookingForm.classList.remove('hidden');
+            announce('');
+            const firstField = bookingForm.querySelector('input, select, textarea');
+            if (firstField) firstField.focus();
+        });
+    }
+
+    // ===========================
+    // Date Length Options
+    // ===========================
+
+    const dateLengthSelect = document.getElementById('date_length');
+
+    // Rebuild the date length options from the bookable rate card tiers, keeping the selection
+    const renderDateLengthOptions = () => {
+        if (!dateLengthSelect || !window.RateCard) return;
+
+        const selected = dateLengthSelect.value;
+        const placeholder = dateLengthSelect.querySelector('option[value=""]');
+        const { formatPrice } = window.RateCard;
+
+        dateLengthSelect.innerHTML = '';
+        if (placeholder) {
+            dateLengthSelect.appendChild(placeholder);
+        }
+
+        window.RateCard.getBookableGroups().forEach(group => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group.category.title;
+
+            group.tiers.forEach(tier => {
+                const option = document.createElement('option');
+                option.value = tier.id;
+                option.textContent = [tier.name, tier.duration, tier.priceLabel || formatPrice(tier.price)]
+                    .filter(Boolean)
+                    .join(' · ');
+                optgroup.appendChild(option);
+            });
+
+            dateLengthSelect.appendChild(optgroup);
+        });
+
+        dateLengthSelect.value = selected;
+        if (dateLengthSelect.value !== selected) {
+            dateLengthSelect.value = '';
+        }
+    };
+
+    renderDateLengthOptions();
+
+    // Show the meal confirmation only for date lengths that require a meal
+    const mealRow = document.getElementById('meal-included-row');
+
+    const updateMealField = () => {
+        if (!mealRow || !bookingForm || !validator) return;
+
+        const required = validator.requiresMeal(collectBookingData());
+        mealRow.classList.toggle('hidden', !required);
+        if (!required) {
+            bookingForm.elements.meal_included.checked = false;
+            clearFieldError('meal_included');
+        }
+    };
+
+    if (dateLengthSelect) {
+        dateLengthSelect.addEventListener('change', updateMealField);
+        updateMealField();
+    }
+
+    // ===========================
+    // Screening
+    // ===========================
+
+    const SCREENING_FIELDS = validator ? validator.SCREENING_FIELDS : [];
+    const screeningSelect = document.getElementById('screening_method');
+    const screeningRows = bookingForm ? Array.from(bookingForm.querySelectorAll('[data-screening]')) : [];
+
+    // Show the chosen method's fields and mark what this booking type requires
+    const updateScreeningFields = () => {
+        if (!screeningSelect || !validator) return;
+
+        const requirement = validator.getScreeningRequirement(collectBookingData());
+
+        Array.from(screeningSelect.options).forEach(option => {
+            option.disabled = option.value !== '' && !requirement.methods.includes(option.value);
+        });
+
+        screeningRows.forEach(row => {
+            const visible = row.dataset.screening === screeningSelect.value;
+            row.classList.toggle('hidden', !visible);
+            if (!visible) {
+                row.querySelectorAll('[name]').forEach(field => clearFieldError(field.name));
+            }
+        });
+
+        bookingForm.querySelectorAll('.field-requirement').forEach(marker => {
+            const required = marker.dataset.field === 'screening_method'
+                ? requirement.required
+                : requirement.fields.includes(marker.dataset.field);
+            marker.textContent = required ? '*' : '(Optional)';
+        });
+    };
+
+    // Drop details entered for a screening method the client then switched away from
+    const omitUnusedScreening = (bookingData) => {
+        screeningRows.forEach(row => {
+            if (row.dataset.screening === bookingData.screening_method) return;
+            row.querySelectorAll('[name]').forEach(field => delete bookingData[field.name]);
+        });
+        return bookingData;
+    };
+
+    if (screeningSelect && bookingForm) {
+        ['screening_method', 'city', 'location_preference'].forEach(name => {
+            const field = bookingForm.elements[name];
+            if (field) field.addEventListener('change', updateScreeningFields);
+        });
+        updateScreeningFields();
+    }
+
+    // ===========================
+    // Live Quote
+    // ===========================
+
+    const quotePanel = document.getElementById('booking-quote');
+
+    const renderQuote = () => {
+        if (!quotePanel || !bookingForm || !window.RateCard) return;
+
+        const quote = getQuote(collectBookingData());
+        quotePanel.innerHTML = '';
+
+        if (!quote) {
+            quotePanel.classList.add('hidden');
+            return;
+        }
+
+        const { formatPrice, formatRange } = window.RateCard;
+
+        const title = document.createElement('h3');
+        title.className = 'booking-quote-title';
+        title.textContent = 'Estimated Total';
+        quotePanel.appendChild(title);
+
+        const list = document.createElement('dl');
+        list.className = 'booking-quote-lines';
+        quote.lines.forEach(line => {
+            const label = document.createElement('dt');
+            label.textContent = line.label;
+            const amount = document.createElement('dd');
+            amount.textContent = line.min === line.max ? formatPrice(line.min) : formatRange(line.min, line.max);
+            list.appendChild(label);
+            list.appendChild(amount);
+        });
+        quotePanel.appendChild(list);
+
+        const total = document.createElement('p');
+        total.className = 'booking-quote-total';
+        total.textContent = `Total: ${formatRange(quote.total.min, quote.total.max)}`;
+        quotePanel.appendChild(total);
+
+        if (quote.deposit) {
+            const deposit = document.createElement('p');
+            deposit.className = 'booking-quote-deposit';
+            deposit.textContent = `Deposit required: ${formatRange(quote.deposit.min, quote.deposit.max)} ` +
+                `(${Math.round(quote.deposit.rate * 100)}%${quote.zone ? ` · ${quote.zone.label}` : ''})`;
+            quotePanel.appendChild(deposit);
+        }
+
+        if (quote.notes.length > 0) {
+            const notes = document.createElement('ul');
+            notes.className = 'booking-quote-notes';
+            quote.notes.forEach(note => {
+                const item = document.createElement('li');
+                item.textContent = note;
+                notes.appendChild(item);
+            });
+            quotePanel.appendChild(notes);
+        }
+
+        quotePanel.classList.remove('hidden');
+    };
+
+    if (quotePanel && bookingForm) {
+        ['date_length', 'city', 'location_preference', 'preferred_datetime'].forEach(name => {
+            const field = bookingForm.elements[name];
+            if (field) {
+                field.addEventListener('input', renderQuote);
+                field.addEventListener('change', renderQuote);
+            }
+        });
+        bookingForm.addEventListener('reset', () => setTimeout(() => {
+            updateMealField();
+            updateScreeningFields();
+            renderQuote();
+        }, 0));
+        renderQuote();
+
+        // Re-quote once the published rate card replaces the built-in one
+        if (window.RateCard) {
+            window.RateCard.onChange(() => {
+                renderDateLengthOptions();
+                updateMealField();
+                updateScreeningFields();
+                renderQuote();
+            });
+            window.RateCard.load();
+        }
+    }
+
     // ===========================
     // Datetime Input Optimization
     // ===========================
 
-    // Set minimum date to today for datetime-local inputs
     const datetimeInput = document.getElementById('preferred_datetime');
-    if (datetimeInput) {
-        const today = new Date();
+    const timezoneNote = document.getElementById('preferred_datetime-timezone');
+
+    // Set minimum date to now, as the clock reads in the destination city
+    const updateDatetimeMin = () => {
+        if (!datetimeInput) return;
+
+        const timeZone = bookingForm ? getBookingTimeZone(collectBookingData()) : null;
+        const today = timeZone ? timeZones.toWallClock(new Date(), timeZone) : new Date();
         const year = today.getFullYear();
         const month = String(today.getMonth() + 1).padStart(2, '0');
         const day = String(today.getDate()).padStart(2, '0');
@@ -172,14 +1559,287 @@ Submitted: ${new Date().toLocaleString('en-US')}
         const minutes = String(today.getMinutes()).padStart(2, '0');
         const minDateTime = `${year}-${month}-${day}T${hours}:${minutes}`;
         datetimeInput.min = minDateTime;
+    };
+
+    // ===========================
+    // Time Zone
+    // ===========================
+
+    // Say which zone times are entered in, and what the chosen time is for the client
+    const renderTimezoneNote = () => {
+        if (!timezoneNote || !timeZones || !bookingForm) return;
+
+        const bookingData = collectBookingData();
+        const zone = timeZones.resolve(bookingData.city);
+        const instant = timeZones.toInstant(bookingData.preferred_datetime, zone.timeZone) || new Date();
+        let text = `Times are ${zone.label} (${timeZones.getZoneName(instant, zone.timeZone)}).`;
+
+        const clientDateTime = bookingData.preferred_datetime ? formatClientDateTime(bookingData) : null;
+        if (clientDateTime) {
+            text += ` That's ${clientDateTime} your time.`;
+        }
+
+        timezoneNote.textContent = text;
+        timezoneNote.hidden = false;
+    };
+
+    const updateTimeZone = () => {
+        updateDatetimeMin();
+        renderTimezoneNote();
+    };
+
+    updateDatetimeMin();
+    if (timeZones && bookingForm && datetimeInput) {
+        renderTimezoneNote();
+        ['input', 'change'].forEach(type => {
+            bookingForm.elements.city.addEventListener(type, updateTimeZone);
+            datetimeInput.addEventListener(type, renderTimezoneNote);
+        });
+        bookingForm.addEventListener('reset', () => setTimeout(updateTimeZone, 0));
     }
 
+    // ===========================
+    // Tour Cities
+    // ===========================
+
+    const tourDates = window.TourDates || null;
+    const citySuggestions = document.getElementById('city-suggestions');
+    const cityInput = bookingForm ? bookingForm.elements.city : null;
+
+    // Suggest the cities I'm visiting, labelled with their dates
+    const renderCitySuggestions = () => {
+        if (!citySuggestions || !tourDates) return;
+
+        const labels = new Map();
+        tourDates.getUpcoming().forEach(tour => {
+            const dates = tourDates.formatRange(tour);
+            labels.set(tour.city, labels.has(tour.city) ? `${labels.get(tour.city)}, ${dates}` : dates);
+        });
+
+        citySuggestions.innerHTML = '';
+        labels.forEach((dates, city) => {
+            const option = document.createElement('option');
+            option.value = city;
+            option.label = dates;
+            citySuggestions.appendChild(option);
+        });
+    };
+
+    // "Request a date" links on the Upcoming Cities section pass ?city=
+    const prefillCity = () => {
+        const city = new URLSearchParams(window.location.search).get('city');
+        if (!city || !cityInput || cityInput.value) return;
+
+        cityInput.value = city;
+        cityInput.dispatchEvent(new Event('change', { bubbles: true }));
+    };
+
+    if (tourDates) {
+        renderCitySuggestions();
+        tourDates.onChange(renderCitySuggestions);
+        // A tour stop may set its own time zone
+        tourDates.onChange(updateTimeZone);
+        // Recheck a date already entered against the published schedule
+        tourDates.onChange(() => {
+            if (datetimeInput && datetimeInput.value) checkField('preferred_datetime');
+        });
+        tourDates.load();
+    }
+    prefillCity();
+
+    // ===========================
+    // Availability Calendar
+    // ===========================
+
+    const availability = window.Availability || null;
+    const picker = document.getElementById('availability-picker');
+    const pickerMonth = document.getElementById('availability-month');
+    const pickerDays = document.getElementById('availability-days');
+    const pickerSlots = document.getElementById('availability-slots');
+    const prevMonthButton = document.getElementById('availability-prev-btn');
+    const nextMonthButton = document.getElementById('availability-next-btn');
+
+    const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    // First day of the month shown, and the day whose times are listed
+    let pickerMonthStart = null;
+    let pickerDay = null;
+
+    const isSameDay = (a, b) => Boolean(a && b) && a.toDateString() === b.toDateString();
+
+    // Length of the selected date, and the earliest start allowed with notice
+    const getPickerConstraints = () => {
+        const bookingData = collectBookingData();
+        const leadHours = validator ? validator.getLeadHours(bookingData) : 0;
+        // Slots are wall-clock times in the destination city, so count notice from its clock
+        const now = validator ? validator.getCityNow(bookingData, new Date()) : new Date();
+        return {
+            bookingData: bookingData,
+            hours: validator ? validator.getDateHours(bookingData) : 1,
+            earliest: new Date(now.getTime() + leadHours * 60 * 60 * 1000)
+        };
+    };
+
+    // Day's slots, also closing times that don't fit my tour schedule for the chosen city
+    const getPickerSlots = (day, constraints) => {
+        return availability.getDaySlots(day, constraints.hours, constraints.earliest).map(slot => {
+            const onTour = !validator || !slot.available || validator.getTourConflict(
+                Object.assign({}, constraints.bookingData, { preferred_datetime: slot.value })) === null;
+            return Object.assign(slot, { available: slot.available && onTour });
+        });
+    };
+
+    const selectSlot = (value) => {
+        datetimeInput.value = value;
+        // Let validation, the quote and draft autosave see the new time
+        datetimeInput.dispatchEvent(new Event('input', { bubbles: true }));
+        datetimeInput.dispatchEvent(new Event('change', { bubbles: true }));
+
+        const selectedSlot = pickerSlots.querySelector('[aria-pressed="true"]');
+        if (selectedSlot) selectedSlot.focus();
+    };
+
+    const renderAvailabilitySlots = (constraints) => {
+        pickerSlots.innerHTML = '';
+        if (!pickerDay) return;
+
+        const title = document.createElement('p');
+        title.className = 'availability-slots-title';
+        title.textContent = `Times on ${pickerDay.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}`;
+        pickerSlots.appendChild(title);
+
+        const slots = getPickerSlots(pickerDay, constraints);
+        if (slots.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'form-hint';
+            empty.textContent = 'No times are offered on this day.';
+            pickerSlots.appendChild(empty);
+            return;
+        }
+
+        const list = document.createElement('div');
+        list.className = 'availability-slot-list';
+        slots.forEach(slot => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'availability-slot';
+            button.textContent = slot.start.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+            button.disabled = !slot.available;
+            button.setAttribute('aria-pressed', String(datetimeInput.value === slot.value));
+            button.addEventListener('click', () => selectSlot(slot.value));
+            list.appendChild(button);
+        });
+        pickerSlots.appendChild(list);
+    };
+
+    const renderAvailability = () => {
+        if (!picker || !availability || !datetimeInput) return;
+
+        const constraints = getPickerConstraints();
+        const today = new Date();
+        const firstMonth = new Date(today.getFullYear(), today.getMonth(), 1);
+        const lastDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + availability.getData().horizonDays);
+
+        if (!pickerMonthStart) {
+            const base = availability.parseLocal(datetimeInput.value) || constraints.earliest;
+            pickerMonthStart = new Date(base.getFullYear(), base.getMonth(), 1);
+        }
+
+        const year = pickerMonthStart.getFullYear();
+        const month = pickerMonthStart.getMonth();
+        pickerMonth.textContent = pickerMonthStart.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+        prevMonthButton.disabled = pickerMonthStart <= firstMonth;
+        nextMonthButton.disabled = new Date(year, month + 1, 1) > lastDay;
+
+        pickerDays.innerHTML = '';
+        WEEKDAY_LABELS.forEach(label => {
+            const heading = document.createElement('span');
+            heading.className = 'availability-weekday';
+            heading.setAttribute('aria-hidden', 'true');
+            heading.textContent = label;
+            pickerDays.appendChild(heading);
+        });
+
+        for (let i = 0; i < pickerMonthStart.getDay(); i++) {
+            const blank = document.createElement('span');
+            blank.className = 'availability-day-blank';
+            pickerDays.appendChild(blank);
+        }
+
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        for (let date = 1; date <= daysInMonth; date++) {
+            const day = new Date(year, month, date);
+            const openSlots = getPickerSlots(day, constraints).filter(slot => slot.available).length;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'availability-day';
+            button.textContent = date;
+            button.dataset.date = day.toDateString();
+            button.disabled = openSlots === 0;
+            button.classList.toggle('is-today', isSameDay(day, today));
+            button.setAttribute('aria-pressed', String(isSameDay(day, pickerDay)));
+            button.setAttribute('aria-label', `${day.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}, ` +
+                (openSlots === 0 ? 'no times available' : `${openSlots} time${openSlots === 1 ? '' : 's'} available`));
+            button.addEventListener('click', () => {
+                pickerDay = day;
+                renderAvailability();
+                const current = pickerDays.querySelector(`[data-date="${day.toDateString()}"]`);
+                if (current) current.focus();
+            });
+            pickerDays.appendChild(button);
+        }
+
+        renderAvailabilitySlots(constraints);
+        picker.classList.remove('hidden');
+    };
+
+    // Follow times typed into the input, and show the chosen day's slots
+    const syncAvailabilityToInput = () => {
+        const selected = availability.parseLocal(datetimeInput.value);
+        if (selected) {
+            pickerDay = new Date(selected.getFullYear(), selected.getMonth(), selected.getDate());
+            pickerMonthStart = new Date(selected.getFullYear(), selected.getMonth(), 1);
+        }
+        renderAvailability();
+    };
+
+    const changeAvailabilityMonth = (offset) => {
+        pickerMonthStart = new Date(pickerMonthStart.getFullYear(), pickerMonthStart.getMonth() + offset, 1);
+        renderAvailability();
+    };
+
+    if (picker && availability && datetimeInput && bookingForm) {
+        datetimeInput.addEventListener('change', syncAvailabilityToInput);
+        ['date_length', 'city'].forEach(name => {
+            const field = bookingForm.elements[name];
+            if (field) field.addEventListener('change', renderAvailability);
+        });
+        prevMonthButton.addEventListener('click', () => changeAvailabilityMonth(-1));
+        nextMonthButton.addEventListener('click', () => changeAvailabilityMonth(1));
+        bookingForm.addEventListener('reset', () => setTimeout(() => {
+            pickerDay = null;
+            pickerMonthStart = null;
+            renderAvailability();
+        }, 0));
+
+        renderAvailability();
+        availability.onChange(renderAvailability);
+        availability.load();
+        if (tourDates) tourDates.onChange(renderAvailability);
+    }
+
+    // Options and quote are ready, so a restored draft shows its quote straight away
+    offerDraft();
+
     // Export for external use if needed
     window.BookingForm = {
         getConfig: () => ({
             publicKey: EMAILJS_PUBLIC_KEY,
             serviceId: EMAILJS_SERVICE_ID,
-            templateId: EMAILJS_TEMPLATE_ID
+            templateId: EMAILJS_TEMPLATE_ID,
+            transport: transport ? transport.name : null,
+            challenge: challenge ? challenge.name : null
         })
     };
 
@@ -0,0 +1,336 @@
+/**
+ * Booking Guard Module
+ * Anti-spam checks run before a booking request reaches any transport
+ * - Honeypot field that people never see, so only bots fill it in
+ * - Minimum time between starting on the form and sending it
+ * - Per-browser rate limit (localStorage)
+ * - Pluggable challenge (plugin-registry.js): proof-of-work, a provider adapter
+ *   (Turnstile), or a Turnstile stand-in for local testing
+ *
+ * Nothing here is verified in the browser. The challenge proof is sent with the
+ * booking (API_ENDPOINTS.BOOKINGS), and that backend checks it (Turnstile's
+ * siteverify, or the proof-of-work hash against a seed it derives from the
+ * booking and its own difficulty) before keeping the record or notifying anyone.
+ * Only the EmailJS fallback, used while that backend is unreachable, goes out
+ * unchecked, so on their own these checks only raise the cost of scripted submissions.
+ */
+
+(function() {
+    'use strict';
+
+    if (!window.PluginRegistry) {
+        console.error('PluginRegistry is not defined! Make sure plugin-registry.js is loaded before booking-guard.js');
+        return;
+    }
+
+    // ===========================
+    // Configuration
+    // ===========================
+    const CONFIG = {
+        // Name of the hidden field bots fill in (looks like a normal field to them)
+        HONEYPOT_FIELD: 'website',
+
+        // Quicker than this from starting on the form to sending is not a person (ms)
+        MIN_FILL_TIME: 4000,
+
+        // At most MAX requests per WINDOW from one browser
+        RATE_LIMIT_MAX: 3,
+        RATE_LIMIT_WINDOW: 60 * 60 * 1000,
+        RATE_LIMIT_KEY: 'bookingSubmissions',
+
+        // Challenge used when nothing else is configured
+        DEFAULT_CHALLENGE: 'proof-of-work',
+
+        // Leading zero bits the proof-of-work hash needs (about 2^n hashes, under a second)
+        // The backend enforces its own difficulty, so this has to match it
+        POW_DIFFICULTY: 14,
+
+        // Token Cloudflare's test secret keys accept, returned by the stub challenge
+        TURNSTILE_TEST_TOKEN: 'XXXX.DUMMY.TOKEN.XXXX',
+
+        // Give up on a challenge that takes longer than this (ms)
+        CHALLENGE_TIMEOUT: 30000
+    };
+
+    // What the client is told for each refusal; the honeypot reason is kept vague on purpose
+    const MESSAGES = {
+        honeypot: 'Your request could not be sent from this page.',
+        too_fast: 'That was quick! Please check your details, then send your request again.',
+        rate_limited: "You've sent several requests recently.",
+        challenge_failed: "We couldn't verify that this request came from a person. Please try again in a moment."
+    };
+
+    // ===========================
+    // Checks
+    // ===========================
+
+    function readStorage(key) {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage.getItem(key) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Whether the honeypot field has been filled in
+     */
+    function isHoneypotFilled(form) {
+        const field = form && form.elements ? form.elements.namedItem(CONFIG.HONEYPOT_FIELD) : null;
+        return Boolean(field && typeof field.value === 'string' && field.value.trim() !== '');
+    }
+
+    /**
+     * Time left before the form may be sent (0 once the minimum has passed)
+     */
+    function getFillTimeRemaining(startedAt, now = Date.now()) {
+        return Math.max(0, startedAt + CONFIG.MIN_FILL_TIME - now);
+    }
+
+    /**
+     * Timestamps of this browser's requests inside the rate limit window
+     */
+    function getRecentSubmissions(now = Date.now()) {
+        let stored = [];
+        try {
+            stored = JSON.parse(readStorage(CONFIG.RATE_LIMIT_KEY)) || [];
+        } catch (error) {
+            stored = [];
+        }
+        return Array.isArray(stored)
+            ? stored.filter(time => typeof time === 'number' && time > now - CONFIG.RATE_LIMIT_WINDOW && time <= now)
+            : [];
+    }
+
+    /**
+     * Time until another request is allowed (0 when one is allowed now)
+     */
+    function getRateLimitRemaining(now = Date.now()) {
+        const recent = getRecentSubmissions(now);
+        if (recent.length < CONFIG.RATE_LIMIT_MAX) return 0;
+
+        // The oldest request that still counts has to leave the window
+        const oldest = recent.sort((a, b) => a - b)[recent.length - CONFIG.RATE_LIMIT_MAX];
+        return oldest + CONFIG.RATE_LIMIT_WINDOW - now;
+    }
+
+    /**
+     * Count a request against the rate limit
+     */
+    function recordSubmission(now = Date.now()) {
+        const recent = getRecentSubmissions(now);
+        recent.push(now);
+        try {
+            localStorage.setItem(CONFIG.RATE_LIMIT_KEY, JSON.stringify(recent));
+        } catch (error) {
+            console.warn('Failed to record booking submission:', error);
+        }
+    }
+
+    function refuse(reason, retryAfter = 0) {
+        let message = MESSAGES[reason];
+        if (reason === 'rate_limited') {
+            const minutes = Math.max(1, Math.ceil(retryAfter / 60000));
+            message += ` Please wait ${minutes === 1 ? 'a minute' : `${minutes} minutes`} before sending another, or email me directly.`;
+        }
+        return { ok: false, reason: reason, message: message, retryAfter: retryAfter };
+    }
+
+    /**
+     * Checks that need no challenge, cheapest first
+     * @param {HTMLFormElement} form - Booking form (for the honeypot field)
+     * @param {Object} options - { startedAt: ms when the client started on the form (null skips the check), now }
+     * @returns {{ ok: boolean, reason?: string, message?: string, retryAfter?: number }}
+     */
+    function check(form, options = {}) {
+        const now = options.now || Date.now();
+
+        if (isHoneypotFilled(form)) {
+            return refuse('honeypot');
+        }
+        if (options.startedAt != null && getFillTimeRemaining(options.startedAt, now) > 0) {
+            return refuse('too_fast');
+        }
+
+        const wait = getRateLimitRemaining(now);
+        if (wait > 0) {
+            return refuse('rate_limited', wait);
+        }
+        return { ok: true };
+    }
+
+    // ===========================
+    // Challenge Registry
+    // ===========================
+
+    // Challenges: factory(options) => { solve(context) }, where solve resolves
+    // to a proof object sent with the request (or null)
+    const registry = window.PluginRegistry.createRegistry('booking challenge');
+    const register = registry.register;
+    const create = registry.create;
+
+    /**
+     * Create the configured challenge
+     * @param {Object} config - { challenge: 'proof-of-work', 'proof-of-work': {...}, turnstile: {...}, stub: {...} }
+     */
+    function resolve(config = {}) {
+        const name = config.challenge || CONFIG.DEFAULT_CHALLENGE;
+        return create(name, config[name] || {});
+    }
+
+    /**
+     * Solve a challenge, failing after CHALLENGE_TIMEOUT
+     * @returns {Promise<{ ok: true, proof: Object|null }|{ ok: false, reason, message }>}
+     */
+    async function runChallenge(challenge, context = {}) {
+        let timeoutId = null;
+        const timeout = new Promise((_, reject) => {
+            timeoutId = setTimeout(() => reject(new Error('Booking challenge timed out')), CONFIG.CHALLENGE_TIMEOUT);
+        });
+
+        try {
+            const proof = await Promise.race([challenge.solve(context), timeout]);
+            return { ok: true, proof: proof || null };
+        } catch (error) {
+            console.error(`Booking challenge error (${challenge.name}):`, error);
+            return refuse('challenge_failed');
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    // ===========================
+    // Built-in Challenges
+    // ===========================
+
+    const encoder = new TextEncoder();
+
+    async function sha256Hex(text) {
+        const digest = await crypto.subtle.digest('SHA-256', encoder.encode(text));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    function countLeadingZeroBits(bytes) {
+        let bits = 0;
+        for (const byte of bytes) {
+            if (byte === 0) {
+                bits += 8;
+                continue;
+            }
+            bits += Math.clz32(byte) - 24;
+            break;
+        }
+        return bits;
+    }
+
+    // No challenge; the other checks still run
+    register('none', function() {
+        return {
+            solve: async () => null
+        };
+    });
+
+    /**
+     * Proof-of-work seed for a booking, as the backend derives it from the stored record
+     * A proof only fits the booking it was solved for, and the client can't pick an easy seed
+     */
+    function getProofSeed(booking) {
+        const email = String(booking.email || '').trim().toLowerCase();
+        return sha256Hex(`${email}|${booking.preferred_datetime || ''}`);
+    }
+
+    // Proof-of-work: find a nonce whose SHA-256 with the booking's seed starts with
+    // POW_DIFFICULTY zero bits. Only the nonce is sent; the backend recomputes the seed
+    // and checks the hash against its own difficulty.
+    register('proof-of-work', function() {
+        return {
+            solve: async function(context = {}) {
+                if (typeof crypto === 'undefined' || !crypto.subtle) {
+                    throw new Error('Web Crypto is not available');
+                }
+                if (!context.request || !context.request.booking) {
+                    throw new Error('Proof-of-work needs the booking it is solved for');
+                }
+
+                const seed = await getProofSeed(context.request.booking);
+                for (let nonce = 0; ; nonce++) {
+                    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${seed}:${nonce}`));
+                    if (countLeadingZeroBits(new Uint8Array(digest)) >= CONFIG.POW_DIFFICULTY) {
+                        return { type: 'proof-of-work', nonce: nonce };
+                    }
+                    // Let the page repaint (the submit button shows progress)
+                    if (nonce % 2000 === 1999) {
+                        await new Promise(resolve => setTimeout(resolve, 0));
+                    }
+                }
+            }
+        };
+    });
+
+    // Cloudflare Turnstile: renders an invisible widget and returns its token.
+    // Needs https://challenges.cloudflare.com/turnstile/v0/api.js on the page and a site key.
+    register('turnstile', function(options) {
+        let widgetId = null;
+
+        return {
+            solve: function() {
+                const turnstile = window.turnstile;
+                if (!turnstile) {
+                    return Promise.reject(new Error('Turnstile script is not loaded'));
+                }
+                if (!options.siteKey) {
+                    return Promise.reject(new Error('Turnstile site key is not configured'));
+                }
+
+                return new Promise((resolve, reject) => {
+                    const container = (options.container && document.querySelector(options.container)) || document.body;
+                    if (widgetId !== null) turnstile.remove(widgetId);
+
+                    widgetId = turnstile.render(container, {
+                        sitekey: options.siteKey,
+                        action: 'booking',
+                        appearance: 'interaction-only',
+                        callback: (token) => resolve({ type: 'turnstile', token: token }),
+                        'error-callback': (code) => reject(new Error(`Turnstile error ${code}`)),
+                        'expired-callback': () => reject(new Error('Turnstile token expired'))
+                    });
+                });
+            }
+        };
+    });
+
+    // Turnstile stand-in for local testing, without the widget: returns the token
+    // Cloudflare's test secret keys accept, so the backend's siteverify path still runs
+    register('stub', function(options) {
+        return {
+            solve: async () => ({ type: 'turnstile', token: options.token || CONFIG.TURNSTILE_TEST_TOKEN })
+        };
+    });
+
+    // ===========================
+    // Export to global scope
+    // ===========================
+    const BookingGuard = {
+        CONFIG: CONFIG,
+        isHoneypotFilled: isHoneypotFilled,
+        getFillTimeRemaining: getFillTimeRemaining,
+        getRateLimitRemaining: getRateLimitRemaining,
+        recordSubmission: recordSubmission,
+        check: check,
+        register: register,
+        create: create,
+        resolve: resolve,
+        runChallenge: runChallenge,
+        getProofSeed: getProofSeed,
+        list: registry.list
+    };
+
+    if (typeof window !== 'undefined') {
+        window.BookingGuard = BookingGuard;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BookingGuard;
+    }
+
+})();
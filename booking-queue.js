@@ -0,0 +1,277 @@
+/**
+ * Booking Queue Module
+ * Keeps booking requests that could not be sent yet, so they survive a reload
+ * - Stored in IndexedDB (in memory for this page if IndexedDB is unavailable)
+ * - Oldest first, one entry per request
+ * - Fields the caller withholds (screening details) stay in memory for this page, never in storage
+ * - Change notifications for queue status displays
+ * - Cross-tab lock so a queued request is only sent from one tab at a time
+ */
+
+(function() {
+    'use strict';
+
+    // ===========================
+    // Configuration
+    // ===========================
+    const CONFIG = {
+        DB_NAME: 'booking-queue',
+        DB_VERSION: 1,
+        STORE_NAME: 'requests',
+
+        // Web Locks name shared by every tab flushing the queue
+        LOCK_NAME: 'booking-queue-flush'
+    };
+
+    // ===========================
+    // Storage
+    // ===========================
+
+    // Used when IndexedDB is unavailable (private browsing, old browsers)
+    const memoryStore = new Map();
+    let memoryId = 0;
+
+    let dbPromise = null;
+    const listeners = [];
+
+    // Map<entry id, { field: value }> of withheld booking fields, for this page only
+    const withheldValues = new Map();
+
+    function openDatabase() {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                console.warn('IndexedDB unavailable, queued bookings will only be kept for this page');
+                resolve(null);
+                return;
+            }
+
+            let request;
+            try {
+                request = indexedDB.open(CONFIG.DB_NAME, CONFIG.DB_VERSION);
+            } catch (error) {
+                console.warn('Failed to open booking queue database:', error);
+                resolve(null);
+                return;
+            }
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(CONFIG.STORE_NAME)) {
+                    db.createObjectStore(CONFIG.STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('Failed to open booking queue database:', request.error);
+                resolve(null);
+            };
+        });
+
+        return dbPromise;
+    }
+
+    /**
+     * Run one request against the object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - (store) => IDBRequest
+     */
+    async function withStore(mode, operation) {
+        const db = await openDatabase();
+        if (!db) return undefined;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(CONFIG.STORE_NAME, mode);
+            const request = operation(transaction.objectStore(CONFIG.STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    function notify() {
+        const call = (entries, readError) => {
+            listeners.forEach(listener => {
+                try {
+                    listener(entries, readError);
+                } catch (error) {
+                    console.error('Booking queue listener failed:', error);
+                }
+            });
+        };
+
+        getAll().then(entries => call(entries, null), error => {
+            console.error('Failed to read booking queue:', error);
+            call(null, error);
+        });
+    }
+
+    // ===========================
+    // Withheld Fields
+    // ===========================
+
+    // Copy of an entry as written to storage, without its withheld booking fields
+    function toStored(entry) {
+        const booking = Object.assign({}, entry.request.booking);
+        (entry.withheld || []).forEach(name => delete booking[name]);
+        return Object.assign({}, entry, { request: Object.assign({}, entry.request, { booking: booking }) });
+    }
+
+    // Put withheld fields back while this page still has them; after a reload
+    // the request is sent without them, flagged so I know to ask the client again
+    function restore(entry) {
+        const values = withheldValues.get(entry.id);
+        if (values) {
+            entry.request.booking = Object.assign({}, entry.request.booking, values);
+        } else if ((entry.withheld || []).length > 0) {
+            entry.request.booking = Object.assign({}, entry.request.booking, { screening_withheld: true });
+        }
+        return entry;
+    }
+
+    // ===========================
+    // Queue Operations
+    // ===========================
+
+    /**
+     * Queue a booking request
+     * @param {Object} request - Booking request ({ booking, emailParams, submittedAt, bookingId })
+     * @param {Object} options - { withhold: booking fields that are never written to storage }
+     * @returns {Promise<number>} Queue entry id
+     */
+    async function add(request, options = {}) {
+        const booking = request.booking || {};
+        const withheld = (options.withhold || []).filter(name => booking[name] != null && booking[name] !== '');
+        const entry = {
+            request: request,
+            queuedAt: new Date().toISOString(),
+            attempts: 0,
+            lastError: null,
+            withheld: withheld
+        };
+
+        const db = await openDatabase();
+        let id;
+        if (db) {
+            id = await withStore('readwrite', store => store.add(toStored(entry)));
+        } else {
+            id = ++memoryId;
+            memoryStore.set(id, Object.assign({ id: id }, toStored(entry)));
+        }
+
+        if (withheld.length > 0) {
+            const values = {};
+            withheld.forEach(name => { values[name] = booking[name]; });
+            withheldValues.set(id, values);
+        }
+
+        notify();
+        return id;
+    }
+
+    /**
+     * Save changes to a queued entry (attempt count, a booking id assigned mid-send)
+     */
+    async function update(entry) {
+        const db = await openDatabase();
+        if (db) {
+            await withStore('readwrite', store => store.put(toStored(entry)));
+        } else if (memoryStore.has(entry.id)) {
+            memoryStore.set(entry.id, toStored(entry));
+        }
+        notify();
+    }
+
+    async function remove(id) {
+        const db = await openDatabase();
+        if (db) {
+            await withStore('readwrite', store => store.delete(id));
+        } else {
+            memoryStore.delete(id);
+        }
+        withheldValues.delete(id);
+        notify();
+    }
+
+    /**
+     * All queued entries, oldest first, with any withheld fields this page still has
+     */
+    async function getAll() {
+        const db = await openDatabase();
+        const entries = db
+            ? await withStore('readonly', store => store.getAll())
+            : Array.from(memoryStore.values(), entry => Object.assign({}, entry, { request: Object.assign({}, entry.request) }));
+        return (entries || []).map(restore).sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Send every queued entry in order, stopping at the first failure
+     * Sent entries are removed; a failed entry keeps its error and attempt count
+     * @param {Function} send - async (request) => void, throws if delivery failed
+     * @returns {Promise<{ sent: number, remaining: number, error: Error|null }>}
+     */
+    async function flush(send) {
+        const run = async () => {
+            const entries = await getAll();
+            let sent = 0;
+
+            for (const entry of entries) {
+                try {
+                    await send(entry.request);
+                } catch (error) {
+                    entry.attempts++;
+                    entry.lastError = error.message || String(error);
+                    await update(entry);
+                    return { sent: sent, remaining: entries.length - sent, error: error };
+                }
+
+                await remove(entry.id);
+                sent++;
+            }
+
+            return { sent: sent, remaining: 0, error: null };
+        };
+
+        // Hold a lock across tabs so two open pages never send the same request
+        if (typeof navigator !== 'undefined' && navigator.locks) {
+            return navigator.locks.request(CONFIG.LOCK_NAME, run);
+        }
+        return run();
+    }
+
+    /**
+     * Register a listener called with the queued entries whenever the queue changes,
+     * or with null and the error when the queue can't be read (e.g. storage blocked or full)
+     * @returns {Function} Unsubscribe
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+        return () => {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) listeners.splice(index, 1);
+        };
+    }
+
+    // ===========================
+    // Export to global scope
+    // ===========================
+    const BookingQueue = {
+        CONFIG: CONFIG,
+        add: add,
+        update: update,
+        remove: remove,
+        getAll: getAll,
+        flush: flush,
+        onChange: onChange
+    };
+
+    if (typeof window !== 'undefined') {
+        window.BookingQueue = BookingQueue;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BookingQueue;
+    }
+
+})();
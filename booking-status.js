@@ -0,0 +1,227 @@
+/**
+ * Booking Status Module
+ * Client status page for a booking request (book-status.html)
+ * - Looks the booking up by the access token in the link (API_ENDPOINTS.BOOKING_STATUS)
+ * - Status, progress and request details (booking-workflow.js)
+ * - Deposit due or paid, with a link to the payment page (booking-deposit.js)
+ * - Cancel/reschedule link, or the outcome of an earlier request (cancellation-policy.js)
+ */
+
+(function() {
+    'use strict';
+
+    if (window.BookingStatus) {
+        console.warn('booking-status.js is already loaded, skipping');
+        return;
+    }
+
+    // Workflow statuses in the order a date goes through them (declined is shown on its own)
+    const PROGRESS = ['new', 'screened', 'confirmed', 'completed'];
+
+    // What each status means for the client
+    const CLIENT_STATUS_TEXT = {
+        new: "I've received your request and will be in touch within 24 hours.",
+        screened: 'Screening is complete. Your date will be confirmed shortly.',
+        confirmed: 'Your date is confirmed. I look forward to seeing you!',
+        completed: 'Our date has taken place. Thank you!',
+        declined: 'This request was declined or cancelled.'
+    };
+
+    // ===========================
+    // Elements and State
+    // ===========================
+    const container = document.getElementById('booking-status');
+    if (!container) return;
+
+    const loading = document.getElementById('status-loading');
+    const errorPanel = document.getElementById('status-error');
+    const errorMessage = document.getElementById('status-error-message');
+    const details = document.getElementById('status-details');
+    const statusIcon = document.getElementById('status-icon');
+    const statusHeading = document.getElementById('status-heading');
+    const statusDescription = document.getElementById('status-description');
+    const steps = document.getElementById('status-steps');
+    const summary = document.getElementById('status-summary');
+    const depositPanel = document.getElementById('status-deposit');
+    const depositMessage = document.getElementById('status-deposit-message');
+    const depositLink = document.getElementById('status-deposit-link');
+    const changesPanel = document.getElementById('status-changes');
+    const changesMessage = document.getElementById('status-changes-message');
+    const changesLink = document.getElementById('status-changes-link');
+
+    const token = new URLSearchParams(window.location.search).get('token');
+
+    let booking = null;
+
+    // ===========================
+    // Rendering
+    // ===========================
+
+    function showError(message) {
+        loading.hidden = true;
+        errorMessage.textContent = message;
+        errorPanel.classList.remove('hidden');
+    }
+
+    // When something happened, in the client's own zone
+    function formatDay(value) {
+        return new Date(value).toLocaleDateString('en-US', { month: 'long', day: 'numeric' });
+    }
+
+    // Link to another client page for this booking, authorised by the same token
+    function getBookingLink(page) {
+        return `${page}?booking=${encodeURIComponent(booking.id)}&token=${encodeURIComponent(token)}`;
+    }
+
+    function renderSteps(status) {
+        steps.innerHTML = '';
+        steps.hidden = status === 'declined';
+        if (status === 'declined') return;
+
+        const current = PROGRESS.indexOf(status);
+        PROGRESS.forEach((step, index) => {
+            const item = document.createElement('li');
+            item.className = index < current ? 'is-done' : (index === current ? 'is-current' : '');
+            item.textContent = BookingWorkflow.getLabel(step);
+
+            const reached = BookingWorkflow.getTransitionTime(booking, step);
+            if (reached && index <= current) {
+                const time = document.createElement('small');
+                time.textContent = ` · ${formatDay(reached)}`;
+                item.appendChild(time);
+            }
+            if (index === current) item.setAttribute('aria-current', 'step');
+            steps.appendChild(item);
+        });
+    }
+
+    function renderSummary() {
+        const rows = [
+            ['Date', ClientPages.formatDateTime(booking.preferred_datetime, booking.timezone)],
+            ['Length', booking.date_length && window.RateCard ? window.RateCard.describeTier(booking.date_length) : booking.date_length],
+            ['City', booking.city],
+            ['Reference', booking.id != null ? `#${booking.id}` : null]
+        ];
+
+        summary.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            if (!value) return;
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+            summary.appendChild(term);
+            summary.appendChild(detail);
+        });
+    }
+
+    function renderDeposit(status) {
+        const deposit = booking.deposit;
+        const lines = [];
+        let payable = false;
+
+        if (booking.cancellation && window.CancellationPolicy) {
+            lines.push(...CancellationPolicy.describe({ ...booking.cancellation, rule: { label: booking.cancellation.rule } }));
+        } else if (BookingDeposit.getStatus(deposit) === 'paid') {
+            lines.push(`${BookingDeposit.formatAmount(deposit)} received ${formatDay(deposit.paid_at)}. Thank you!`);
+        } else if (BookingDeposit.isPayable(deposit) && status !== 'declined') {
+            lines.push(`${BookingDeposit.formatAmount(deposit)} is due to secure your date.`);
+            payable = true;
+        } else if (status === 'new' || status === 'screened') {
+            const estimate = BookingDeposit.compute(booking);
+            lines.push(estimate
+                ? `Once your date is confirmed, a deposit of about ${RateCard.formatPrice(estimate.amount)} (${Math.round(estimate.rate * 100)}%) will be requested.`
+                : 'A deposit will be requested once your date is confirmed.');
+        }
+
+        depositPanel.classList.toggle('hidden', lines.length === 0);
+        depositMessage.innerHTML = '';
+        lines.forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            depositMessage.appendChild(item);
+        });
+
+        depositLink.hidden = !payable || booking.id == null;
+        if (payable) depositLink.href = getBookingLink('deposit.html');
+    }
+
+    function renderChanges(status) {
+        const request = booking.change_request;
+        const changeable = BookingWorkflow.canTransition(booking, 'declined');
+
+        changesPanel.classList.toggle('hidden', !changeable && !(request && !request.resolved_at));
+        changesLink.hidden = true;
+
+        if (request && !request.resolved_at) {
+            const when = request.preferred_datetime ? ` to ${ClientPages.formatDateTime(request.preferred_datetime, booking.timezone)}` : '';
+            changesMessage.textContent = request.action === 'reschedule'
+                ? `You asked to reschedule${when}. I'll be in touch to settle on a new date.`
+                : "You asked to cancel. I'll confirm it and send any refund within 24 hours.";
+        } else if (changeable && booking.id != null) {
+            changesMessage.textContent = status === 'confirmed'
+                ? 'See what happens to your deposit before you decide.'
+                : 'Your request hasn\'t been confirmed yet, so you can change or withdraw it freely.';
+            changesLink.hidden = false;
+            changesLink.href = getBookingLink('cancel.html');
+        }
+    }
+
+    function render() {
+        const status = BookingWorkflow.getStatus(booking);
+        const definition = BookingWorkflow.STATUSES[status];
+
+        loading.hidden = true;
+        statusIcon.textContent = definition.icon;
+        statusHeading.textContent = definition.label;
+        statusDescription.textContent = CLIENT_STATUS_TEXT[status];
+        details.dataset.status = status;
+
+        renderSteps(status);
+        renderSummary();
+        details.classList.remove('hidden');
+
+        renderDeposit(status);
+        renderChanges(status);
+    }
+
+    // ===========================
+    // Loading
+    // ===========================
+
+    async function loadBooking() {
+        const data = await ClientPages.requestJson(API_ENDPOINTS.BOOKING_STATUS(encodeURIComponent(token)));
+        return (data && data.booking) || data;
+    }
+
+    async function init() {
+        if (!token) {
+            showError('This status link is incomplete.');
+            return;
+        }
+
+        try {
+            booking = await loadBooking();
+        } catch (error) {
+            console.error('Error loading booking status:', error);
+            showError(error.status === 404 || error.status === 403
+                ? 'This status link is invalid or has expired.'
+                : 'Please check your connection and reload the page.');
+            return;
+        }
+
+        if (!booking || typeof booking !== 'object') {
+            showError('This status link is invalid or has expired.');
+            return;
+        }
+        render();
+    }
+
+    init();
+
+    // Export for external use if needed
+    window.BookingStatus = {
+        getBooking: () => booking
+    };
+
+})();
@@ -0,0 +1,166 @@
+/**
+ * Booking Transports Module
+ * Delivery backends for booking requests, selected by configuration
+ * - EmailJS (browser SDK)
+ * - Site API (POST to API_ENDPOINTS.BOOKINGS)
+ * - Generic webhook (JSON POST to any URL)
+ * - Registry so new transports can be added without touching the form (plugin-registry.js)
+ * - Requests go through ClientPages.requestJson (client-pages.js)
+ */
+
+(function() {
+    'use strict';
+
+    if (!window.PluginRegistry) {
+        console.error('PluginRegistry is not defined! Make sure plugin-registry.js is loaded before booking-transports.js');
+        return;
+    }
+
+    if (!window.ClientPages) {
+        console.error('ClientPages is not defined! Make sure client-pages.js is loaded before booking-transports.js');
+        return;
+    }
+
+    // ===========================
+    // Configuration
+    // ===========================
+    const CONFIG = {
+        // Transport used when nothing else is configured
+        DEFAULT_TRANSPORT: 'api',
+
+        // localStorage overrides (useful for testing against a local stand-in server)
+        // e.g. localStorage.setItem('BOOKING_TRANSPORT', 'webhook')
+        //      localStorage.setItem('BOOKING_WEBHOOK_URL', 'http://localhost:9000/hook')
+        TRANSPORT_OVERRIDE_KEY: 'BOOKING_TRANSPORT',
+        WEBHOOK_OVERRIDE_KEY: 'BOOKING_WEBHOOK_URL'
+    };
+
+    // ===========================
+    // Registry
+    // ===========================
+
+    // Transports: factory(options) => { send(request) }
+    const registry = window.PluginRegistry.createRegistry('booking transport');
+    const register = registry.register;
+    const create = registry.create;
+
+    /**
+     * Read a localStorage override, ignoring storage errors
+     */
+    function readOverride(key) {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage.getItem(key) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Create the configured transport
+     * @param {Object} config - { transport: 'emailjs', emailjs: {...}, api: {...}, webhook: {...} }
+     * @returns {{ name: string, send: Function }}
+     */
+    function resolve(config = {}) {
+        const name = readOverride(CONFIG.TRANSPORT_OVERRIDE_KEY) || config.transport || CONFIG.DEFAULT_TRANSPORT;
+        return create(name, config[name] || {});
+    }
+
+    // ===========================
+    // Built-in Transports
+    // ===========================
+
+    // EmailJS: sends the pre-formatted template params
+    register('emailjs', function(options) {
+        if (typeof emailjs !== 'undefined' && options.publicKey) {
+            emailjs.init(options.publicKey);
+        }
+
+        return {
+            send: async function(request) {
+                if (typeof emailjs === 'undefined') {
+                    throw new Error('EmailJS SDK is not loaded');
+                }
+
+                const response = await emailjs.send(
+                    options.serviceId,
+                    options.templateId,
+                    request.emailParams
+                );
+
+                if (response.status !== 200) {
+                    const error = new Error(`EmailJS responded with status ${response.status}`);
+                    error.status = response.status;
+                    error.text = response.text;
+                    throw error;
+                }
+
+                return { ok: true, id: null, raw: response };
+            }
+        };
+    });
+
+    // Site API: creates a booking record on our own backend
+    register('api', function(options) {
+        const url = options.url || (typeof API_ENDPOINTS !== 'undefined' ? API_ENDPOINTS.BOOKINGS : null);
+
+        return {
+            send: async function(request) {
+                if (!url) {
+                    throw new Error('Booking API endpoint is not configured');
+                }
+
+                const data = await window.ClientPages.requestJson(url, {
+                    method: 'POST',
+                    body: {
+                        ...request.booking,
+                        message: request.emailParams.message,
+                        submitted_at: request.submittedAt,
+                        challenge: request.challenge || null,
+                        acknowledge: request.acknowledge || null
+                    },
+                    headers: options.headers
+                });
+
+                return { ok: true, id: data && data.id != null ? data.id : null, raw: data };
+            }
+        };
+    });
+
+    // Generic webhook: posts an event envelope to any URL
+    register('webhook', function(options) {
+        const url = readOverride(CONFIG.WEBHOOK_OVERRIDE_KEY) || options.url;
+
+        return {
+            send: async function(request) {
+                if (!url) {
+                    throw new Error('Booking webhook URL is not configured');
+                }
+
+                const data = await window.ClientPages.requestJson(url, {
+                    method: 'POST',
+                    body: {
+                        event: 'booking.requested',
+                        submitted_at: request.submittedAt,
+                        booking: request.booking,
+                        message: request.emailParams.message,
+                        challenge: request.challenge || null
+                    },
+                    headers: options.headers
+                });
+
+                return { ok: true, id: data && data.id != null ? data.id : null, raw: data };
+            }
+        };
+    });
+
+    // ===========================
+    // Export to global scope
+    // ===========================
+    window.BookingTransports = {
+        register: register,
+        create: create,
+        resolve: resolve,
+        list: registry.list
+    };
+
+})();
@@ -0,0 +1,472 @@
+/**
+ * Booking Validation Module
+ * Declarative validation rules for booking requests
+ * - Required fields and formats (email, phone)
+ * - Business rules (minimum client age, meal for longer dates, lead time, availability)
+ * - Tour schedule (tour cities only while I'm there, home city not while I'm away)
+ * - Times are read in the destination city's time zone (timezones.js)
+ * - Screening requirements per booking type (incall, outcall, travel)
+ * - Per-field error messages for inline display
+ */
+
+(function() {
+    'use strict';
+
+    // ===========================
+    // Configuration
+    // ===========================
+    const CONFIG = {
+        // I will not date anyone younger than 21 years old
+        MIN_CLIENT_AGE: 21,
+
+        // Minimum notice before the preferred start time (hours)
+        MIN_LEAD_HOURS: 24,
+
+        // Minimum notice when I travel to the client (DMTY / FMTY)
+        TRAVEL_LEAD_HOURS: 72,
+
+        // Used when the rate card is unavailable
+        MEAL_MINIMUM_HOURS: 3,
+
+        // Screening per booking type (see getBookingType)
+        // required: screening must be provided; methods: accepted screening methods
+        // fields: optional per-method override of SCREENING_METHOD_FIELDS
+        SCREENING_REQUIREMENTS: {
+            incall: {
+                required: true,
+                methods: ['references', 'employment', 'id']
+            },
+            outcall: {
+                required: false,
+                methods: ['references', 'employment', 'id']
+            },
+            travel: {
+                required: true,
+                methods: ['references', 'employment'],
+                fields: {
+                    references: ['reference_1_provider', 'reference_1_contact', 'reference_2_provider', 'reference_2_contact']
+                }
+            }
+        },
+
+        // Fields required by each screening method
+        SCREENING_METHOD_FIELDS: {
+            references: ['reference_1_provider', 'reference_1_contact'],
+            employment: ['employer_name', 'employment_verification'],
+            id: []
+        }
+    };
+
+    const BOOKING_TYPE_LABELS = {
+        incall: 'Incall',
+        outcall: 'Outcall',
+        travel: 'Travel'
+    };
+
+    const SCREENING_METHOD_LABELS = {
+        references: 'provider references',
+        employment: 'employment verification',
+        id: 'photo ID'
+    };
+
+    // Every screening field; kept out of emails and drafts
+    const SCREENING_FIELDS = (() => {
+        const names = new Set(['screening_method']);
+        const addFields = (fieldsByMethod) => {
+            Object.values(fieldsByMethod || {}).forEach(fields => fields.forEach(name => names.add(name)));
+        };
+
+        addFields(CONFIG.SCREENING_METHOD_FIELDS);
+        Object.values(CONFIG.SCREENING_REQUIREMENTS).forEach(requirement => addFields(requirement.fields));
+        return Array.from(names);
+    })();
+
+    // ===========================
+    // Helpers
+    // ===========================
+
+    function isBlank(value) {
+        return value == null || String(value).trim() === '';
+    }
+
+    function getRateCard() {
+        return typeof window !== 'undefined' && window.RateCard ? window.RateCard : null;
+    }
+
+    function getTier(data) {
+        const rateCard = getRateCard();
+        return rateCard ? rateCard.findTier(data.date_length) : null;
+    }
+
+    function getAvailability() {
+        return typeof window !== 'undefined' && window.Availability ? window.Availability : null;
+    }
+
+    function getTimeZones() {
+        return typeof window !== 'undefined' && window.TimeZones ? window.TimeZones : null;
+    }
+
+    /**
+     * Current wall-clock time in the booking's city, comparable with the
+     * entered preferred time (browser time when time zones aren't loaded)
+     */
+    function getCityNow(data, now) {
+        const timeZones = getTimeZones();
+        return timeZones ? timeZones.toWallClock(now, timeZones.resolve(data.city).timeZone) : now;
+    }
+
+    function getTourDates() {
+        return typeof window !== 'undefined' && window.TourDates ? window.TourDates : null;
+    }
+
+    /**
+     * Why the requested date doesn't fit my tour schedule, or null if it does
+     */
+    function getTourConflict(data) {
+        const tourDates = getTourDates();
+        if (!tourDates || !data.city) return null;
+
+        const rateCard = getRateCard();
+        const zone = rateCard ? rateCard.findZone(data.city) : null;
+        return tourDates.checkDate(data.city, new Date(data.preferred_datetime), {
+            home: !!zone && zone.id === 'local'
+        });
+    }
+
+    // Length of the selected date in hours (1 hour when unknown)
+    function getDateHours(data) {
+        const tier = getTier(data);
+        return tier && tier.hours ? tier.hours : 1;
+    }
+
+    function getMealMinimumHours() {
+        const rateCard = getRateCard();
+        return (rateCard && rateCard.getData().mealMinimumHours) || CONFIG.MEAL_MINIMUM_HOURS;
+    }
+
+    /**
+     * Whether the selected date length must include a meal
+     */
+    function requiresMeal(data) {
+        const tier = getTier(data);
+        return tier ? tier.hours >= getMealMinimumHours() : false;
+    }
+
+    /**
+     * Whether I travel for the booking; a city that matches no travel zone is
+     * quoted on request, but it is still outside Edmonton
+     */
+    function isTravel(data) {
+        const rateCard = getRateCard();
+        const zone = rateCard ? rateCard.findZone(data.city) : null;
+        return zone ? zone.id !== 'local' : Boolean(rateCard) && !isBlank(data.city);
+    }
+
+    /**
+     * Hours of notice required for a request (more when travel is involved)
+     */
+    function getLeadHours(data) {
+        return isTravel(data) ? CONFIG.TRAVEL_LEAD_HOURS : CONFIG.MIN_LEAD_HOURS;
+    }
+
+    /**
+     * Booking type used for screening: 'travel' when I travel to the client's
+     * city, otherwise the location preference ('incall' or 'outcall')
+     */
+    function getBookingType(data) {
+        if (isTravel(data)) return 'travel';
+        return data.location_preference === 'incall' ? 'incall' : 'outcall';
+    }
+
+    /**
+     * Screening rules for a booking
+     * @returns {{ type: string, required: boolean, methods: string[], fields: string[] }}
+     *          fields are those required for the chosen screening method
+     */
+    function getScreeningRequirement(data) {
+        const type = getBookingType(data);
+        const requirement = CONFIG.SCREENING_REQUIREMENTS[type] || { required: false, methods: Object.keys(CONFIG.SCREENING_METHOD_FIELDS) };
+        const method = data.screening_method;
+        const fields = (requirement.fields && requirement.fields[method]) || CONFIG.SCREENING_METHOD_FIELDS[method] || [];
+
+        return {
+            type: type,
+            required: requirement.required,
+            methods: requirement.methods,
+            fields: fields
+        };
+    }
+
+    function describeScreeningMethods(methods) {
+        const labels = methods.map(method => SCREENING_METHOD_LABELS[method] || method);
+        return labels.length > 1
+            ? `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}`
+            : labels.join('');
+    }
+
+    // Required-when condition for a screening field
+    const screeningFieldRequired = (name) => (data) => getScreeningRequirement(data).fields.includes(name);
+
+    /**
+     * Whole years between a date of birth (YYYY-MM-DD) and now
+     */
+    function getAge(dateOfBirth, now) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dateOfBirth));
+        if (!match) return null;
+
+        const year = Number(match[1]);
+        const month = Number(match[2]) - 1;
+        const day = Number(match[3]);
+        const birth = new Date(year, month, day);
+        if (birth.getFullYear() !== year || birth.getMonth() !== month || birth.getDate() !== day) {
+            return null;
+        }
+
+        let age = now.getFullYear() - year;
+        if (now.getMonth() < month || (now.getMonth() === month && now.getDate() < day)) {
+            age--;
+        }
+        return age;
+    }
+
+    /**
+     * Phone number in +digits form, or null if it is not a plausible number
+     * Accepts North American numbers (10 digits, optional leading 1) and
+     * international numbers written with a leading + (8-15 digits)
+     */
+    function normalizePhone(value) {
+        const raw = String(value || '').trim();
+        if (!/^\+?[\d\s().-]+$/.test(raw)) return null;
+
+        const digits = raw.replace(/\D/g, '');
+        if (raw.startsWith('+')) {
+            return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+        }
+        if (digits.length === 10) return `+1${digits}`;
+        if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+        return null;
+    }
+
+    // ===========================
+    // Rule Factories
+    // ===========================
+
+    // Each rule is { test(value, data, now) => boolean, message: string | (data) => string }
+    // Rules after a failing one are skipped, so format rules can assume a value is present
+
+    const rules = {
+        required: (message) => ({
+            test: (value) => !isBlank(value),
+            message: message
+        }),
+
+        requiredWhen: (condition, message) => ({
+            test: (value, data) => !condition(data) || !isBlank(value),
+            message: message
+        }),
+
+        email: (message) => ({
+            test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(String(value).trim()),
+            message: message
+        }),
+
+        phone: (message) => ({
+            test: (value) => normalizePhone(value) !== null,
+            message: message
+        }),
+
+        minAge: (years, message) => ({
+            test: (value, data, now) => {
+                const age = getAge(value, now);
+                return age !== null && age >= years;
+            },
+            message: message
+        }),
+
+        validDate: (message) => ({
+            test: (value) => !isNaN(new Date(value).getTime()),
+            message: message
+        }),
+
+        leadTime: (getHours, message) => ({
+            test: (value, data, now) => {
+                const start = new Date(value).getTime();
+                return start - getCityNow(data, now).getTime() >= getHours(data) * 60 * 60 * 1000;
+            },
+            message: message
+        }),
+
+        oneOf: (getOptions, message) => ({
+            test: (value, data) => isBlank(value) || getOptions(data).includes(value),
+            message: message
+        }),
+
+        // Passes when availability isn't loaded; the request is still reviewed by hand
+        available: (message) => ({
+            test: (value, data, now) => !getAvailability() ||
+                getAvailability().isAvailable(new Date(value), getDateHours(data), getCityNow(data, now)),
+            message: message
+        }),
+
+        // Passes when the tour schedule isn't loaded
+        onTour: (message) => ({
+            test: (value, data) => getTourConflict(data) === null,
+            message: message
+        }),
+
+        knownTier: (message) => ({
+            test: (value) => !getRateCard() || getRateCard().findTier(value) !== null,
+            message: message
+        })
+    };
+
+    // ===========================
+    // Booking Rules
+    // ===========================
+
+    // Field name => rules, checked in order
+    const BOOKING_RULES = {
+        name: [
+            rules.required('Please enter your full name')
+        ],
+        email: [
+            rules.required('Please enter your email address'),
+            rules.email('Please enter a valid email address')
+        ],
+        phone: [
+            rules.required('Please enter your phone number'),
+            rules.phone('Please enter a valid phone number, e.g. (780) 555-1234 or +44 20 7946 0958')
+        ],
+        date_of_birth: [
+            rules.required('Please enter your date of birth'),
+            rules.minAge(CONFIG.MIN_CLIENT_AGE, `I only date clients who are ${CONFIG.MIN_CLIENT_AGE} or older`)
+        ],
+        pronouns: [
+            rules.required('Please select your pronouns')
+        ],
+        contact_method: [
+            rules.required('Please select a contact method')
+        ],
+        city: [
+            rules.required('Please enter the city for our date')
+        ],
+        date_length: [
+            rules.required('Please select a date length'),
+            rules.knownTier('Please select one of the listed date lengths')
+        ],
+        preferred_datetime: [
+            rules.required('Please choose a preferred date and time'),
+            rules.validDate('Please choose a valid date and time'),
+            rules.leadTime(getLeadHours, (data) => getLeadHours(data) > CONFIG.MIN_LEAD_HOURS
+                ? `Travel dates need at least ${getLeadHours(data) / 24} days notice`
+                : `Please allow at least ${CONFIG.MIN_LEAD_HOURS} hours notice`),
+            rules.available('That time isn\'t available for this date length, please choose an open time from the calendar'),
+            rules.onTour(getTourConflict)
+        ],
+        meal_included: [
+            rules.requiredWhen(requiresMeal, () => `Dates ${getMealMinimumHours()} hours or longer must include a meal, please confirm`)
+        ],
+        location_preference: [
+            rules.required('Please select a location preference')
+        ],
+        screening_method: [
+            rules.requiredWhen(
+                (data) => getScreeningRequirement(data).required,
+                (data) => `${BOOKING_TYPE_LABELS[getBookingType(data)]} dates require screening, please choose a screening method`
+            ),
+            rules.oneOf(
+                (data) => getScreeningRequirement(data).methods,
+                (data) => `${BOOKING_TYPE_LABELS[getBookingType(data)]} dates need ${describeScreeningMethods(getScreeningRequirement(data).methods)}`
+            )
+        ],
+        reference_1_provider: [
+            rules.requiredWhen(screeningFieldRequired('reference_1_provider'), 'Please enter the provider\'s name')
+        ],
+        reference_1_contact: [
+            rules.requiredWhen(screeningFieldRequired('reference_1_contact'), 'Please enter how I can reach this provider')
+        ],
+        reference_2_provider: [
+            rules.requiredWhen(screeningFieldRequired('reference_2_provider'), 'Please enter a second provider\'s name')
+        ],
+        reference_2_contact: [
+            rules.requiredWhen(screeningFieldRequired('reference_2_contact'), 'Please enter how I can reach this provider')
+        ],
+        employer_name: [
+            rules.requiredWhen(screeningFieldRequired('employer_name'), 'Please enter your employer')
+        ],
+        employment_verification: [
+            rules.requiredWhen(screeningFieldRequired('employment_verification'), 'Please enter a work email or profile link I can verify')
+        ]
+    };
+
+    // ===========================
+    // Validation
+    // ===========================
+
+    /**
+     * Validate one field
+     * @returns {string|null} Error message, or null if valid
+     */
+    function validateField(name, data, now = new Date(), ruleSet = BOOKING_RULES) {
+        const fieldRules = ruleSet[name] || [];
+
+        for (const rule of fieldRules) {
+            if (!rule.test(data[name], data, now)) {
+                return typeof rule.message === 'function' ? rule.message(data) : rule.message;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Validate a whole booking
+     * @param {Object} data - Booking fields keyed by form name
+     * @returns {{ valid: boolean, errors: Object<string, string> }}
+     */
+    function validate(data, now = new Date(), ruleSet = BOOKING_RULES) {
+        const errors = {};
+
+        Object.keys(ruleSet).forEach(name => {
+            const error = validateField(name, data, now, ruleSet);
+            if (error) {
+                errors[name] = error;
+            }
+        });
+
+        return {
+            valid: Object.keys(errors).length === 0,
+            errors: errors
+        };
+    }
+
+    // ===========================
+    // Export to global scope
+    // ===========================
+    const BookingValidation = {
+        CONFIG: CONFIG,
+        RULES: BOOKING_RULES,
+        rules: rules,
+        validate: validate,
+        validateField: validateField,
+        requiresMeal: requiresMeal,
+        getLeadHours: getLeadHours,
+        getDateHours: getDateHours,
+        getTourConflict: getTourConflict,
+        getCityNow: getCityNow,
+        getBookingType: getBookingType,
+        getScreeningRequirement: getScreeningRequirement,
+        SCREENING_FIELDS: SCREENING_FIELDS,
+        SCREENING_METHOD_LABELS: SCREENING_METHOD_LABELS,
+        normalizePhone: normalizePhone,
+        getAge: getAge
+    };
+
+    if (typeof window !== 'undefined') {
+        window.BookingValidation = BookingValidation;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BookingValidation;
+    }
+
+})();
@@ -0,0 +1,185 @@
+/**
+ * Booking Workflow Module
+ * Booking request lifecycle shared by the CMS and client-facing pages
+ * - Status definitions and labels
+ * - Allowed transitions (new → screened → confirmed → completed / declined)
+ * - Per-transition timestamps via status history
+ * - Unguessable tokens for the client's status page and other links
+ */
+
+(function() {
+    'use strict';
+
+    // ===========================
+    // Status Definitions
+    // ===========================
+    const STATUSES = {
+        new: { label: 'New', icon: '🆕', description: 'Awaiting screening' },
+        screened: { label: 'Screened', icon: '🔍', description: 'Screening complete, awaiting confirmation' },
+        confirmed: { label: 'Confirmed', icon: '✅', description: 'Date confirmed' },
+        completed: { label: 'Completed', icon: '🌙', description: 'Date has taken place' },
+        declined: { label: 'Declined', icon: '✕', description: 'Request declined or cancelled' }
+    };
+
+    // Status given to freshly submitted requests
+    const INITIAL_STATUS = 'new';
+
+    // Allowed next statuses for each status; completed and declined are final
+    const TRANSITIONS = {
+        new: ['screened', 'declined'],
+        screened: ['confirmed', 'declined'],
+        confirmed: ['completed', 'declined'],
+        completed: [],
+        declined: []
+    };
+
+    // Client status page, relative to the site root
+    const STATUS_PAGE = 'book-status.html';
+
+    // Random bytes in a client link token
+    const TOKEN_BYTES = 24;
+
+    // ===========================
+    // Workflow Logic
+    // ===========================
+
+    /**
+     * Current status of a booking (records created before the workflow existed count as new)
+     */
+    function getStatus(booking) {
+        return booking && STATUSES[booking.status] ? booking.status : INITIAL_STATUS;
+    }
+
+    function getLabel(status) {
+        return STATUSES[status] ? STATUSES[status].label : status;
+    }
+
+    function getNextStatuses(booking) {
+        return TRANSITIONS[getStatus(booking)].slice();
+    }
+
+    function canTransition(booking, toStatus) {
+        return TRANSITIONS[getStatus(booking)].includes(toStatus);
+    }
+
+    function isFinal(status) {
+        return TRANSITIONS[status] ? TRANSITIONS[status].length === 0 : false;
+    }
+
+    /**
+     * Status history with the implicit initial entry filled in
+     * @returns {Array<{ status: string, at: string }>}
+     */
+    function getHistory(booking) {
+        if (booking && Array.isArray(booking.status_history) && booking.status_history.length > 0) {
+            return booking.status_history.slice();
+        }
+
+        const createdAt = booking && (booking.created_at || booking.submitted_at);
+        return createdAt ? [{ status: INITIAL_STATUS, at: createdAt }] : [];
+    }
+
+    /**
+     * Timestamp of the most recent transition into a given status
+     */
+    function getTransitionTime(booking, status) {
+        const entries = getHistory(booking).filter(entry => entry.status === status);
+        return entries.length > 0 ? entries[entries.length - 1].at : null;
+    }
+
+    /**
+     * Build the update payload for moving a booking to a new status
+     * Throws if the transition is not allowed
+     * @param {Object} booking - Current booking record
+     * @param {string} toStatus - Target status
+     * @param {Date} [now] - Transition time (defaults to now)
+     * @returns {{ status: string, status_history: Array }}
+     */
+    function transition(booking, toStatus, now = new Date()) {
+        if (!STATUSES[toStatus]) {
+            throw new Error(`Unknown booking status: ${toStatus}`);
+        }
+
+        const fromStatus = getStatus(booking);
+        if (!canTransition(booking, toStatus)) {
+            throw new Error(`Cannot move booking from ${getLabel(fromStatus)} to ${getLabel(toStatus)}`);
+        }
+
+        return {
+            status: toStatus,
+            status_history: [
+                ...getHistory(booking),
+                { status: toStatus, at: now.toISOString() }
+            ]
+        };
+    }
+
+    /**
+     * Count bookings per status
+     * @returns {Object<string, number>}
+     */
+    function countByStatus(bookings) {
+        const counts = {};
+        Object.keys(STATUSES).forEach(status => {
+            counts[status] = 0;
+        });
+        (bookings || []).forEach(booking => {
+            counts[getStatus(booking)]++;
+        });
+        return counts;
+    }
+
+    // ===========================
+    // Client Links
+    // ===========================
+
+    /**
+     * Random URL-safe token for a client link
+     * Whoever holds it can see the booking, so it's never derived from booking details
+     */
+    function generateToken() {
+        const bytes = new Uint8Array(TOKEN_BYTES);
+        crypto.getRandomValues(bytes);
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Client status page link for a booking, or null without an access token
+     * @param {string} base - Page URL the link is resolved against (defaults to the current page)
+     */
+    function getStatusUrl(booking, base) {
+        if (!booking || !booking.access_token) return null;
+
+        const url = new URL(STATUS_PAGE, base || window.location.href);
+        url.searchParams.set('token', booking.access_token);
+        return url.toString();
+    }
+
+    // ===========================
+    // Export to global scope
+    // ===========================
+    const BookingWorkflow = {
+        STATUSES: STATUSES,
+        INITIAL_STATUS: INITIAL_STATUS,
+        getStatus: getStatus,
+        getLabel: getLabel,
+        getNextStatuses: getNextStatuses,
+        canTransition: canTransition,
+        isFinal: isFinal,
+        getHistory: getHistory,
+        getTransitionTime: getTransitionTime,
+        transition: transition,
+        countByStatus: countByStatus,
+        generateToken: generateToken,
+        getStatusUrl: getStatusUrl
+    };
+
+    if (typeof window !== 'undefined') {
+        window.BookingWorkflow = BookingWorkflow;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BookingWorkflow;
+    }
+
+})();
@@ -0,0 +1,196 @@
+/**
+ * Cancellation Policy Module
+ * Refunds and rescheduling credit for cancelled bookings, per the published policy
+ * (services.html, Deposits and Cancelations)
+ * - I cancel: the deposit is refunded in full
+ * - 3+ days' notice: 50% refunded; the rest is credited if you reschedule
+ * - Less notice: nothing refunded; the whole deposit is credited if you reschedule
+ * - Shared by the client cancel/reschedule page and the CMS bookings panel
+ */
+
+(function() {
+    'use strict';
+
+    // ===========================
+    // Policy
+    // ===========================
+
+    // Rates are fractions of the paid deposit
+    const POLICY = {
+        provider: {
+            label: 'Cancelled by me',
+            refund: 1,
+            rescheduleCredit: 0
+        },
+
+        // By notice given, most notice first; the first rule the notice meets applies.
+        // The published policy doesn't cover 2–3 days out, so it's treated like 24–48 hours.
+        client: [
+            {
+                minHours: 72,
+                label: '3+ days notice',
+                refund: 0.5,
+                rescheduleCredit: 0.5
+            },
+            {
+                minHours: 0,
+                label: 'Less than 3 days notice',
+                refund: 0,
+                rescheduleCredit: 1
+            }
+        ],
+
+        // Cancelling after the start time
+        late: {
+            label: 'After the date had started',
+            refund: 0,
+            rescheduleCredit: 0
+        }
+    };
+
+    // ===========================
+    // Booking Details
+    // ===========================
+
+    /**
+     * Start instant of a booking
+     * Same reading as booking-calendar.js: offset ISO timestamps as-is, bare
+     * wall-clock times in the booking's time zone when timezones.js is loaded
+     * @returns {Date|null}
+     */
+    function getStart(booking) {
+        const value = booking && booking.preferred_datetime;
+        if (!value) return null;
+
+        const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/.test(String(value));
+        const timeZones = typeof window !== 'undefined' ? window.TimeZones : null;
+        const start = !hasOffset && booking.timezone && timeZones
+            ? timeZones.toInstant(value, booking.timezone)
+            : new Date(value);
+        return start && !isNaN(start.getTime()) ? start : null;
+    }
+
+    /**
+     * Deposit actually paid (nothing to refund before payment)
+     */
+    function getPaidDeposit(booking) {
+        const deposit = booking && booking.deposit;
+        return deposit && deposit.status === 'paid' ? Number(deposit.amount) || 0 : 0;
+    }
+
+    function roundAmount(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    // ===========================
+    // Evaluation
+    // ===========================
+
+    /**
+     * Rule that applies to a cancellation
+     * @param {string} by - 'client' or 'provider'
+     * @param {number|null} hoursBefore - Notice given (negative once the date has started)
+     */
+    function findRule(by, hoursBefore) {
+        if (by === 'provider') return POLICY.provider;
+        if (hoursBefore === null) return POLICY.client[POLICY.client.length - 1];
+        if (hoursBefore < 0) return POLICY.late;
+        return POLICY.client.find(rule => hoursBefore >= rule.minHours) || POLICY.late;
+    }
+
+    /**
+     * Refund and credit for cancelling a booking
+     * @param {Object} booking - Booking record with its deposit
+     * @param {Object} options - { by: 'client'|'provider', reschedule: boolean, at: Date }
+     * @returns {{ by, reschedule, hoursBefore, rule, deposit, refund, credit, forfeited, currency }}
+     */
+    function evaluate(booking, options = {}) {
+        const by = options.by === 'provider' ? 'provider' : 'client';
+        const reschedule = by === 'client' && Boolean(options.reschedule);
+        const at = options.at || new Date();
+
+        const start = getStart(booking);
+        const hoursBefore = start ? (start.getTime() - at.getTime()) / (60 * 60 * 1000) : null;
+        const rule = findRule(by, hoursBefore);
+
+        const deposit = getPaidDeposit(booking);
+        const refund = roundAmount(deposit * rule.refund);
+        const credit = reschedule ? roundAmount(deposit * rule.rescheduleCredit) : 0;
+
+        return {
+            by: by,
+            reschedule: reschedule,
+            hoursBefore: hoursBefore === null ? null : Math.floor(hoursBefore),
+            rule: rule,
+            deposit: deposit,
+            refund: refund,
+            credit: credit,
+            forfeited: roundAmount(deposit - refund - credit),
+            currency: booking && booking.deposit ? booking.deposit.currency || null : null
+        };
+    }
+
+    // ===========================
+    // Formatting
+    // ===========================
+
+    function formatMoney(amount, currency) {
+        const value = '$' + amount.toLocaleString('en-US', {
+            minimumFractionDigits: amount % 1 ? 2 : 0,
+            maximumFractionDigits: 2
+        });
+        return currency ? `${value} ${currency}` : value;
+    }
+
+    /**
+     * Plain-language lines for an evaluation, e.g. for the cancel page and the CMS
+     * @param {Object} result - From evaluate()
+     * @param {string} audience - 'client' (you/your) or 'provider'
+     */
+    function describe(result, audience = 'client') {
+        const your = audience === 'client' ? 'your' : 'the';
+
+        if (result.deposit <= 0) {
+            return ['No deposit has been paid, so there is nothing to refund.'];
+        }
+
+        const deposit = formatMoney(result.deposit, result.currency);
+        let refund = 'no refund';
+        if (result.refund >= result.deposit) {
+            refund = `${your} ${deposit} deposit refunded in full`;
+        } else if (result.refund > 0) {
+            refund = `${formatMoney(result.refund, result.currency)} of ${your} ${deposit} deposit refunded`;
+        }
+
+        const lines = [`${result.rule.label}: ${refund}`];
+        if (result.credit > 0) {
+            lines.push(`${formatMoney(result.credit, result.currency)} credited toward ${your} next date`);
+        }
+        if (result.forfeited > 0) {
+            lines.push(`${formatMoney(result.forfeited, result.currency)} not refunded`);
+        }
+        return lines;
+    }
+
+    // ===========================
+    // Export to global scope
+    // ===========================
+    const CancellationPolicy = {
+        POLICY: POLICY,
+        getStart: getStart,
+        getPaidDeposit: getPaidDeposit,
+        findRule: findRule,
+        evaluate: evaluate,
+        formatMoney: formatMoney,
+        describe: describe
+    };
+
+    if (typeof window !== 'undefined') {
+        window.CancellationPolicy = CancellationPolicy;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CancellationPolicy;
+    }
+
+})();
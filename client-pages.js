@@ -0,0 +1,110 @@
+/**
+ * Client Pages Module
+ * Helpers shared by the client's booking pages (book.html, book-status.html, deposit.html, cancel.html)
+ * - JSON requests to the public booking endpoints, with a timeout (also used by booking-transports.js)
+ * - Booking times in the booking city's zone (timezones.js)
+ */
+
+(function() {
+    'use strict';
+
+    // ===========================
+    // Configuration
+    // ===========================
+    const CONFIG = {
+        // HTTP request timeout (ms)
+        REQUEST_TIMEOUT: 15000
+    };
+
+    // ===========================
+    // HTTP Helper
+    // ===========================
+
+    /**
+     * Send a JSON request and return the parsed response
+     * Non-2xx responses throw an Error carrying `status` and `body`
+     * @param {string} url
+     * @param {Object} options - { method, body, headers }
+     */
+    async function requestJson(url, options = {}) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeoutId = controller ? setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT) : null;
+
+        try {
+            const response = await fetch(url, {
+                method: options.method || 'GET',
+                mode: 'cors',
+                credentials: 'omit',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...options.headers
+                },
+                body: options.body !== undefined ? JSON.stringify(options.body) : undefined,
+                signal: controller ? controller.signal : undefined
+            });
+
+            const text = await response.text();
+            let data = null;
+            try {
+                data = text ? JSON.parse(text) : null;
+            } catch (e) {
+                // Not JSON, keep raw text
+                data = text;
+            }
+
+            if (!response.ok) {
+                const error = new Error(`Request failed with status ${response.status}`);
+                error.status = response.status;
+                error.body = data;
+                throw error;
+            }
+
+            return data;
+        } finally {
+            if (timeoutId) clearTimeout(timeoutId);
+        }
+    }
+
+    // ===========================
+    // Formatting
+    // ===========================
+
+    /**
+     * A booking's date and time, in the booking city's zone when it is known
+     * @param {string} value - ISO timestamp
+     * @param {string} timeZone - IANA zone stored with the booking, if any
+     * @returns {string|null}
+     */
+    function formatDateTime(value, timeZone) {
+        if (!value) return null;
+        if (window.TimeZones && timeZone) {
+            return window.TimeZones.format(value, timeZone);
+        }
+        return new Date(value).toLocaleString('en-US', {
+            weekday: 'long',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    // ===========================
+    // Export to global scope
+    // ===========================
+    const ClientPages = {
+        CONFIG: CONFIG,
+        requestJson: requestJson,
+        formatDateTime: formatDateTime
+    };
+
+    if (typeof window !== 'undefined') {
+        window.ClientPages = ClientPages;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ClientPages;
+    }
+
+})();
@@ -100,8 +100,19 @@ const cmsState = {
     draggedElement: null,
     searchQuery: '',
     sortOrder: 'manual',  // Default to manual order to preserve backend ordering
+    albums: [],
+    albumFilter: 'all',   // all, none (not in an album) or an album id
     scrollDirection: 0,   // Auto-scroll direction: -1 (up), 0 (none), 1 (down)
-    scrollSpeed: 10       // Auto-scroll speed in pixels per tick
+    scrollSpeed: 10,      // Auto-scroll speed in pixels per tick
+    bookings: [],
+    selectedBookings: new Set(),
+    bookingSearchQuery: '',
+    bookingFilter: 'all',       // all, upcoming, past, incall, outcall
+    bookingStatusFilter: 'all',  // all or a BookingWorkflow status
+    rateCard: null,              // Working copy of the rate card being edited
+    availability: null,          // Working copy of the availability being edited
+    tourDates: null,             // Working copy of the tour schedule being edited
+    emailTemplates: null         // Working copy of the email templates being edited
 };
 
 // =====================
@@ -148,7 +159,101 @@ const elements = {
     bulkCount: document.getElementById('bulk-count'),
     selectAllBtn: document.getElementById('select-all-btn'),
     deselectAllBtn: document.getElementById('deselect-all-btn'),
-    deleteSelectedBtn: document.getElementById('delete-selected-btn')
+    deleteSelectedBtn: document.getElementById('delete-selected-btn'),
+    bulkTagsInput: document.getElementById('bulk-tags-input'),
+    bulkAddTagsBtn: document.getElementById('bulk-add-tags-btn'),
+    bulkRemoveTagsBtn: document.getElementById('bulk-remove-tags-btn'),
+    bulkAlbumSelect: document.getElementById('bulk-album-select'),
+    bulkAlbumBtn: document.getElementById('bulk-album-btn'),
+    bulkVisibilitySelect: document.getElementById('bulk-visibility-select'),
+    bulkVisibilityBtn: document.getElementById('bulk-visibility-btn'),
+
+    // Albums
+    albumsList: document.getElementById('albums-list'),
+    albumNameInput: document.getElementById('album-name-input'),
+    albumCreateBtn: document.getElementById('album-create-btn'),
+
+    // Bookings
+    bookingsList: document.getElementById('bookings-list'),
+    bookingsMessage: document.getElementById('bookings-message'),
+    bookingsCountBadge: document.getElementById('bookings-count-badge'),
+    bookingsSearchInput: document.getElementById('bookings-search-input'),
+    bookingsFilterSelect: document.getElementById('bookings-filter-select'),
+    bookingsStatusSelect: document.getElementById('bookings-status-select'),
+    bookingsRefreshBtn: document.getElementById('bookings-refresh-btn'),
+    bookingsEmptyState: document.getElementById('bookings-empty-state'),
+    bookingsStatusSummary: document.getElementById('bookings-status-summary'),
+    bookingsBulkToolbar: document.getElementById('bookings-bulk-toolbar'),
+    bookingsBulkCount: document.getElementById('bookings-bulk-count'),
+    bookingsSelectAllBtn: document.getElementById('bookings-select-all-btn'),
+    bookingsDeselectAllBtn: document.getElementById('bookings-deselect-all-btn'),
+    bookingsBulkStatusSelect: document.getElementById('bookings-bulk-status-select'),
+    bookingsApplyStatusBtn: document.getElementById('bookings-apply-status-btn'),
+    bookingDetailModal: document.getElementById('booking-detail-modal'),
+    bookingDetailFields: document.getElementById('booking-detail-fields'),
+    bookingDetailStatusBadge: document.getElementById('booking-detail-status-badge'),
+    bookingDetailTransitions: document.getElementById('booking-detail-transitions'),
+    bookingDetailHistory: document.getElementById('booking-detail-history'),
+    bookingNoteInput: document.getElementById('booking-note-input'),
+    bookingNoteSaveBtn: document.getElementById('booking-note-save-btn'),
+    bookingDetailCloseBtn: document.getElementById('booking-detail-close-btn'),
+    bookingCalendarBtn: document.getElementById('booking-calendar-btn'),
+    bookingStatusLinkBtn: document.getElementById('booking-status-link-btn'),
+    bookingDeposit: document.getElementById('booking-deposit'),
+    bookingDepositBadge: document.getElementById('booking-deposit-badge'),
+    bookingDepositInfo: document.getElementById('booking-deposit-info'),
+    bookingDepositAmountInput: document.getElementById('booking-deposit-amount-input'),
+    bookingDepositSaveBtn: document.getElementById('booking-deposit-save-btn'),
+    bookingDepositCopyBtn: document.getElementById('booking-deposit-copy-btn'),
+    bookingDepositPaidBtn: document.getElementById('booking-deposit-paid-btn'),
+    bookingCancellation: document.getElementById('booking-cancellation'),
+    bookingChangeRequest: document.getElementById('booking-change-request'),
+    bookingCancelControls: document.getElementById('booking-cancel-controls'),
+    bookingCancelBySelect: document.getElementById('booking-cancel-by-select'),
+    bookingCancelRescheduleInput: document.getElementById('booking-cancel-reschedule-input'),
+    bookingCancelApplyBtn: document.getElementById('booking-cancel-apply-btn'),
+    bookingCancelOutcome: document.getElementById('booking-cancel-outcome'),
+
+    // Rate Card
+    rateCardEditor: document.getElementById('rate-card-editor'),
+    rateCardMessage: document.getElementById('rate-card-message'),
+    rateCardExtensionInput: document.getElementById('rate-card-extension-input'),
+    rateCardFootnotes: document.getElementById('rate-card-footnotes'),
+    rateCardRulesInput: document.getElementById('rate-card-rules-input'),
+    rateCardSaveBtn: document.getElementById('rate-card-save-btn'),
+    rateCardResetBtn: document.getElementById('rate-card-reset-btn'),
+    rateCardRefreshBtn: document.getElementById('rate-card-refresh-btn'),
+
+    // Availability
+    availabilityMessage: document.getElementById('availability-message'),
+    availabilityWeekly: document.getElementById('availability-weekly'),
+    availabilitySlotInput: document.getElementById('availability-slot-input'),
+    availabilityHorizonInput: document.getElementById('availability-horizon-input'),
+    availabilityBlocked: document.getElementById('availability-blocked'),
+    availabilityAddBlockBtn: document.getElementById('availability-add-block-btn'),
+    availabilitySaveBtn: document.getElementById('availability-save-btn'),
+    availabilityRefreshBtn: document.getElementById('availability-refresh-btn'),
+
+    // Tour Dates
+    tourDatesMessage: document.getElementById('tour-dates-message'),
+    tourDatesList: document.getElementById('tour-dates-list'),
+    tourDatesAddBtn: document.getElementById('tour-dates-add-btn'),
+    tourDatesSaveBtn: document.getElementById('tour-dates-save-btn'),
+    tourDatesRefreshBtn: document.getElementById('tour-dates-refresh-btn'),
+
+    // Email Templates
+    emailTemplatesMessage: document.getElementById('email-templates-message'),
+    emailTemplateSelect: document.getElementById('email-template-select'),
+    emailTemplateSubjectInput: document.getElementById('email-template-subject-input'),
+    emailTemplateTextInput: document.getElementById('email-template-text-input'),
+    emailTemplateHtmlInput: document.getElementById('email-template-html-input'),
+    emailTemplateFields: document.getElementById('email-template-fields'),
+    emailTemplatePreviewSubject: document.getElementById('email-template-preview-subject'),
+    emailTemplatePreviewText: document.getElementById('email-template-preview-text'),
+    emailTemplatePreviewHtml: document.getElementById('email-template-preview-html'),
+    emailTemplatesSaveBtn: document.getElementById('email-templates-save-btn'),
+    emailTemplatesResetBtn: document.getElementById('email-templates-reset-btn'),
+    emailTemplatesRefreshBtn: document.getElementById('email-templates-refresh-btn')
 };
 
 // =====================
@@ -162,6 +267,12 @@ function checkAuth() {
         cmsState.authenticated = true;
         showDashboard();
         loadGalleryImages();
+        loadGalleryAlbums();
+        loadBookings();
+        loadRateCard();
+        loadAvailability();
+        loadTourDates();
+        loadEmailTemplates();
     }
 }
 
@@ -207,6 +318,12 @@ elements.authForm.addEventListener('submit', async (e) => {
             sessionStorage.setItem('cms_password', password);
             showDashboard();
             loadGalleryImages();
+            loadGalleryAlbums();
+            loadBookings();
+            loadRateCard();
+            loadAvailability();
+            loadTourDates();
+            loadEmailTemplates();
             elements.passwordInput.value = '';
             hideError(elements.authError);
         } else {
@@ -223,6 +340,14 @@ elements.logoutBtn.addEventListener('click', () => {
     showAuth();
     cmsState.selectedImages.clear();
     cmsState.images = [];
+    cmsState.albums = [];
+    cmsState.albumFilter = 'all';
+    cmsState.bookings = [];
+    cmsState.selectedBookings.clear();
+    cmsState.rateCard = null;
+    cmsState.availability = null;
+    cmsState.tourDates = null;
+    cmsState.emailTemplates = null;
 });
 
 // =====================
@@ -622,6 +747,7 @@ async function loadGalleryImages() {
             }
             
             updateStatistics();
+            if (elements.albumsList) renderAlbums();  // Album counts
             renderGallery();
         } else {
             throw new Error('Failed to load images');
@@ -633,14 +759,15 @@ async function loadGalleryImages() {
 }
 
 function renderGallery() {
-    let filteredImages = [...cmsState.images];
+    let filteredImages = GalleryAlbums.filterByAlbum([...cmsState.images], cmsState.albumFilter);
 
     // Apply search filter
     if (cmsState.searchQuery) {
         const query = cmsState.searchQuery.toLowerCase();
         filteredImages = filteredImages.filter(img =>
             (img.caption && img.caption.toLowerCase().includes(query)) ||
-            (img.cloudinary_url && img.cloudinary_url.toLowerCase().includes(query))
+            (img.cloudinary_url && img.cloudinary_url.toLowerCase().includes(query)) ||
+            GalleryAlbums.getTags(img).some(tag => tag.includes(query.replace(/^#/, '')))
         );
     }
 
@@ -786,6 +913,31 @@ function createImageCard(image, index) {
     name.className = 'image-card-name';
     name.textContent = image.caption || 'Untitled';
 
+    // Visibility, album and tags
+    const visibility = GalleryAccess.getVisibility(image);
+    const album = GalleryAlbums.findAlbum(cmsState.albums, image.album_id);
+    const tags = GalleryAlbums.getTags(image);
+    const meta = document.createElement('div');
+    meta.className = 'image-card-meta';
+    if (visibility !== GalleryAccess.CONFIG.DEFAULT_VISIBILITY) {
+        const visibilityLabel = document.createElement('span');
+        visibilityLabel.className = `image-card-visibility is-${visibility}`;
+        visibilityLabel.textContent = GalleryAccess.getLabel(visibility);
+        meta.appendChild(visibilityLabel);
+    }
+    if (album) {
+        const albumLabel = document.createElement('span');
+        albumLabel.className = 'image-card-album';
+        albumLabel.textContent = `📁 ${album.name}`;
+        meta.appendChild(albumLabel);
+    }
+    tags.forEach(tag => {
+        const tagLabel = document.createElement('span');
+        tagLabel.className = 'image-card-tag';
+        tagLabel.textContent = `#${tag}`;
+        meta.appendChild(tagLabel);
+    });
+
     const actions = document.createElement('div');
     actions.className = 'image-card-actions';
 
@@ -808,6 +960,7 @@ function createImageCard(image, index) {
     actions.appendChild(editCaptionBtn);
     actions.appendChild(deleteBtn);
     info.appendChild(name);
+    if (meta.childNodes.length > 0) info.appendChild(meta);
     info.appendChild(actions);
 
     card.appendChild(checkbox);
@@ -1214,6 +1367,14 @@ function updateSelectionUI() {
         elements.bulkToolbar.style.display = 'none';
         elements.deleteSelectedBtn.disabled = true;
     }
+    if (elements.bulkAddTagsBtn) {
+        elements.bulkAddTagsBtn.disabled = count === 0;
+        elements.bulkRemoveTagsBtn.disabled = count === 0;
+        elements.bulkAlbumBtn.disabled = count === 0;
+    }
+    if (elements.bulkVisibilityBtn) {
+        elements.bulkVisibilityBtn.disabled = count === 0;
+    }
 
     // Update card selection visuals
     document.querySelectorAll('.cms-image-card').forEach(card => {
@@ -1276,6 +1437,299 @@ elements.deleteSelectedBtn.addEventListener('click', async () => {
     }
 });
 
+// Tags, album moves and visibility are sent as per-image updates, like the bookings bulk status
+async function saveImageUpdates(updates, successMessage) {
+    try {
+        const response = await fetchWithCORS(API_ENDPOINTS.CMS_BULK_UPDATE_IMAGES, {
+            method: 'PUT',
+            headers: {
+                'X-CMS-Password': cmsState.password,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                images: updates
+            })
+        });
+
+        if (response.ok) {
+            // Clear gallery cache so tag, album and visibility changes appear immediately
+            if (typeof window.clearGalleryCache === 'function') {
+                window.clearGalleryCache();
+                console.log('Gallery cache cleared after bulk update');
+            }
+
+            showSuccess(elements.galleryMessage, successMessage);
+            loadGalleryImages();
+            loadGalleryAlbums();
+        } else {
+            throw new Error('Bulk update failed');
+        }
+    } catch (error) {
+        console.error('Bulk update error:', error);
+        showError(elements.galleryMessage, 'Failed to update images');
+    }
+}
+
+function getSelectedImages() {
+    return cmsState.images.filter(img => cmsState.selectedImages.has(img.id));
+}
+
+async function bulkUpdateTags(action) {
+    const tags = GalleryAlbums.parseTags(elements.bulkTagsInput.value);
+    if (tags.length === 0) {
+        showError(elements.galleryMessage, 'Enter one or more tags, separated by commas');
+        return;
+    }
+
+    const updates = GalleryAlbums.buildTagUpdates(getSelectedImages(), action === 'add' ? { add: tags } : { remove: tags });
+    const tagList = tags.map(tag => `#${tag}`).join(', ');
+    if (updates.length === 0) {
+        showSuccess(elements.galleryMessage, action === 'add' ? `Selected images already have ${tagList}` : `Selected images don't have ${tagList}`);
+        return;
+    }
+
+    await saveImageUpdates(updates, action === 'add'
+        ? `Tagged ${updates.length} image(s) ${tagList}`
+        : `Removed ${tagList} from ${updates.length} image(s)`);
+    elements.bulkTagsInput.value = '';
+}
+
+if (elements.bulkAddTagsBtn) {
+    elements.bulkAddTagsBtn.addEventListener('click', () => bulkUpdateTags('add'));
+    elements.bulkRemoveTagsBtn.addEventListener('click', () => bulkUpdateTags('remove'));
+
+    elements.bulkTagsInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            bulkUpdateTags('add');
+        }
+    });
+}
+
+if (elements.bulkAlbumBtn) {
+    elements.bulkAlbumBtn.addEventListener('click', async () => {
+        const value = elements.bulkAlbumSelect.value;
+        const album = GalleryAlbums.findAlbum(cmsState.albums, value);
+        const updates = GalleryAlbums.buildAlbumUpdates(getSelectedImages(), album ? album.id : null);
+
+        if (updates.length === 0) {
+            showSuccess(elements.galleryMessage, album ? `Selected images are already in ${album.name}` : 'Selected images are not in an album');
+            return;
+        }
+
+        await saveImageUpdates(updates, album
+            ? `Moved ${updates.length} image(s) to ${album.name}`
+            : `Took ${updates.length} image(s) out of their album`);
+    });
+}
+
+if (elements.bulkVisibilityBtn) {
+    elements.bulkVisibilityBtn.addEventListener('click', async () => {
+        const visibility = elements.bulkVisibilitySelect.value;
+        const label = GalleryAccess.VISIBILITIES[visibility].label;
+        const updates = GalleryAccess.buildVisibilityUpdates(getSelectedImages(), visibility);
+
+        if (updates.length === 0) {
+            showSuccess(elements.galleryMessage, `Selected images are already ${label.toLowerCase()}`);
+            return;
+        }
+
+        await saveImageUpdates(updates, `Set ${updates.length} image(s) to ${label.toLowerCase()}`);
+    });
+}
+
+// =====================
+// GALLERY ALBUMS
+// =====================
+
+async function loadGalleryAlbums() {
+    if (!elements.albumsList) return;
+
+    try {
+        const response = await fetchWithCORS(API_ENDPOINTS.CMS_GALLERY_ALBUMS, {
+            method: 'GET',
+            headers: {
+                'X-CMS-Password': cmsState.password,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        if (response.status === 404) {
+            // No albums created yet
+            cmsState.albums = [];
+        } else if (response.ok) {
+            const data = await response.json();
+            cmsState.albums = Array.isArray(data) ? data : ((data && data.albums) || []);
+        } else {
+            throw new Error('Failed to load albums');
+        }
+
+        // A filtered album may have gone
+        if (!['all', 'none'].includes(cmsState.albumFilter) && !GalleryAlbums.findAlbum(cmsState.albums, cmsState.albumFilter)) {
+            cmsState.albumFilter = 'all';
+        }
+
+        renderAlbums();
+        renderGallery();
+    } catch (error) {
+        console.error('Error loading albums:', error);
+        showError(elements.galleryMessage, 'Failed to load albums');
+    }
+}
+
+/**
+ * Album chips with image counts; clicking one filters the grid to it
+ */
+function renderAlbums() {
+    const counts = {};
+    cmsState.images.forEach(img => {
+        const key = img.album_id == null ? 'none' : String(img.album_id);
+        counts[key] = (counts[key] || 0) + 1;
+    });
+
+    const filters = [
+        { value: 'all', label: 'All Images', count: cmsState.images.length },
+        ...cmsState.albums.map(album => ({ value: String(album.id), label: album.name, count: counts[String(album.id)] || 0, album: album })),
+        { value: 'none', label: 'Not in an album', count: counts.none || 0 }
+    ];
+
+    elements.albumsList.innerHTML = '';
+    filters.forEach(filter => {
+        const item = document.createElement('span');
+        item.className = 'album-chip-group';
+
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'booking-status-chip';
+        chip.classList.toggle('active', String(cmsState.albumFilter) === filter.value);
+        chip.setAttribute('aria-pressed', String(cmsState.albumFilter) === filter.value);
+        chip.textContent = `${filter.label} (${filter.count})`;
+        chip.addEventListener('click', () => {
+            cmsState.albumFilter = filter.value;
+            renderAlbums();
+            renderGallery();
+        });
+        item.appendChild(chip);
+
+        if (filter.album) {
+            const renameBtn = document.createElement('button');
+            renameBtn.type = 'button';
+            renameBtn.className = 'album-rename-btn';
+            renameBtn.title = `Rename ${filter.album.name}`;
+            renameBtn.setAttribute('aria-label', `Rename ${filter.album.name}`);
+            renameBtn.textContent = '✏️';
+            renameBtn.addEventListener('click', () => renameAlbum(filter.album));
+            item.appendChild(renameBtn);
+        }
+
+        elements.albumsList.appendChild(item);
+    });
+
+    // Album choices in the bulk toolbar
+    const selected = elements.bulkAlbumSelect.value;
+    elements.bulkAlbumSelect.innerHTML = '';
+    cmsState.albums.forEach(album => {
+        const option = document.createElement('option');
+        option.value = album.id;
+        option.textContent = album.name;
+        elements.bulkAlbumSelect.appendChild(option);
+    });
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = 'Not in an album';
+    elements.bulkAlbumSelect.appendChild(none);
+    if (selected && GalleryAlbums.findAlbum(cmsState.albums, selected)) {
+        elements.bulkAlbumSelect.value = selected;
+    }
+}
+
+async function saveAlbum(url, method, body) {
+    const response = await fetchWithCORS(url, {
+        method: method,
+        headers: {
+            'X-CMS-Password': cmsState.password,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        let message = 'Failed to save album';
+        try {
+            const error = await response.json();
+            message = error.detail?.error || error.detail || message;
+        } catch (e) {
+            // Not JSON, keep default message
+        }
+        throw new Error(message);
+    }
+
+    // Album list changes how the public gallery's filter chips look
+    if (typeof window.clearGalleryCache === 'function') {
+        window.clearGalleryCache();
+    }
+}
+
+async function createAlbum() {
+    const name = elements.albumNameInput.value.trim();
+    const problem = GalleryAlbums.validateAlbumName(name, cmsState.albums);
+    if (problem) {
+        showError(elements.galleryMessage, problem);
+        return;
+    }
+
+    elements.albumCreateBtn.disabled = true;
+    try {
+        await saveAlbum(API_ENDPOINTS.CMS_GALLERY_ALBUMS, 'POST', {
+            name: name,
+            slug: GalleryAlbums.slugify(name)
+        });
+        elements.albumNameInput.value = '';
+        showSuccess(elements.galleryMessage, `Album ${name} created`);
+        loadGalleryAlbums();
+    } catch (error) {
+        console.error('Album create error:', error);
+        showError(elements.galleryMessage, error.message || 'Failed to create album');
+    } finally {
+        elements.albumCreateBtn.disabled = false;
+    }
+}
+
+async function renameAlbum(album) {
+    const input = window.prompt('Rename album', album.name);
+    if (input === null) return;
+
+    const name = input.trim();
+    if (name === album.name) return;
+
+    const problem = GalleryAlbums.validateAlbumName(name, cmsState.albums, album.id);
+    if (problem) {
+        showError(elements.galleryMessage, problem);
+        return;
+    }
+
+    try {
+        // The slug is kept, so shared ?album= links keep working
+        await saveAlbum(API_ENDPOINTS.CMS_GALLERY_ALBUM(album.id), 'PUT', { name: name });
+        showSuccess(elements.galleryMessage, `Album renamed to ${name}`);
+        loadGalleryAlbums();
+    } catch (error) {
+        console.error('Album rename error:', error);
+        showError(elements.galleryMessage, error.message || 'Failed to rename album');
+    }
+}
+
+if (elements.albumCreateBtn) {
+    elements.albumCreateBtn.addEventListener('click', createAlbum);
+
+    elements.albumNameInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            createAlbum();
+        }
+    });
+}
+
 // =====================
 // SINGLE IMAGE DELETE
 // =====================
@@ -1520,6 +1974,10 @@ document.addEventListener('keydown', (e) => {
         if (modal && !modal.classList.contains('hidden')) {
             closeCaptionEditor();
         }
+
+        if (elements.bookingDetailModal && !elements.bookingDetailModal.classList.contains('hidden')) {
+            closeBookingDetail();
+        }
     }
 });
 
@@ -1542,52 +2000,1866 @@ elements.refreshBtn.addEventListener('click', () => {
 });
 
 // =====================
-// STATISTICS
+// BOOKINGS INBOX
 // =====================
 
-function updateStatistics() {
-    elements.totalImages.textContent = cmsState.images.length;
+async function loadBookings() {
+    if (!elements.bookingsList) return;
 
-    // Calculate total storage (if available)
-    const totalBytes = cmsState.images.reduce((sum, img) => sum + (img.file_size || 0), 0);
-    elements.totalStorage.textContent = formatFileSize(totalBytes);
+    elements.bookingsList.innerHTML = '<div class="gallery-loading"><div class="loading-spinner"></div><p>Loading booking requests...</p></div>';
+
+    try {
+        const response = await fetchWithCORS(API_ENDPOINTS.CMS_BOOKINGS, {
+            method: 'GET',
+            headers: {
+                'X-CMS-Password': cmsState.password,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        if (response.ok) {
+            const data = await response.json();
+            // Accept either a bare array or a { bookings: [...] } envelope
+            cmsState.bookings = Array.isArray(data) ? data : (data.bookings || []);
+            renderBookings();
+        } else {
+            throw new Error('Failed to load bookings');
+        }
+    } catch (error) {
+        console.error('Error loading bookings:', error);
+        elements.bookingsList.innerHTML = '<div class="gallery-loading"><p style="color: #ff6b6b;">Failed to load booking requests</p></div>';
+    }
 }
 
-// =====================
-// UTILITY FUNCTIONS
-// =====================
+/**
+ * Apply the search box and filter dropdown to the loaded bookings
+ * Newest requests come first
+ */
+function getFilteredBookings() {
+    let bookings = [...cmsState.bookings];
+    const now = Date.now();
+
+    if (cmsState.bookingSearchQuery) {
+        const query = cmsState.bookingSearchQuery.toLowerCase();
+        bookings = bookings.filter(booking =>
+            ['name', 'email', 'phone', 'city', 'additional_info'].some(field =>
+                booking[field] && String(booking[field]).toLowerCase().includes(query)
+            )
+        );
+    }
 
-function showError(element, message) {
-    element.textContent = message;
-    element.className = 'cms-message error';
-    element.style.display = 'block';
+    if (cmsState.bookingStatusFilter !== 'all') {
+        bookings = bookings.filter(booking => BookingWorkflow.getStatus(booking) === cmsState.bookingStatusFilter);
+    }
+
+    switch (cmsState.bookingFilter) {
+        case 'upcoming':
+            bookings = bookings.filter(booking => new Date(booking.preferred_datetime).getTime() >= now);
+            break;
+        case 'past':
+            bookings = bookings.filter(booking => new Date(booking.preferred_datetime).getTime() < now);
+            break;
+        case 'incall':
+        case 'outcall':
+            bookings = bookings.filter(booking => booking.location_preference === cmsState.bookingFilter);
+            break;
+        default:
+            break;
+    }
+
+    return bookings.sort((a, b) => new Date(getBookingReceivedAt(b) || 0) - new Date(getBookingReceivedAt(a) || 0));
 }
 
-function showSuccess(element, message) {
-    element.textContent = message;
-    element.className = 'cms-message success';
-    element.style.display = 'block';
-    setTimeout(() => {
-        element.style.display = 'none';
-    }, 5000);
+function getBookingReceivedAt(booking) {
+    return booking.created_at || booking.submitted_at || null;
 }
 
-function hideError(element) {
-    element.style.display = 'none';
+function renderBookings() {
+    const bookings = getFilteredBookings();
+
+    elements.bookingsCountBadge.textContent = bookings.length;
+    renderBookingStatusSummary();
+    updateBookingSelectionUI();
+
+    if (bookings.length === 0) {
+        elements.bookingsList.style.display = 'none';
+        elements.bookingsEmptyState.style.display = 'block';
+        return;
+    }
+
+    elements.bookingsList.style.display = 'flex';
+    elements.bookingsEmptyState.style.display = 'none';
+    elements.bookingsList.innerHTML = '';
+
+    bookings.forEach(booking => {
+        elements.bookingsList.appendChild(createBookingRow(booking));
+    });
 }
 
-function formatFileSize(bytes) {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+/**
+ * Per-status counts; clicking a status filters the list to it
+ */
+function renderBookingStatusSummary() {
+    if (!elements.bookingsStatusSummary) return;
+
+    const counts = BookingWorkflow.countByStatus(cmsState.bookings);
+    elements.bookingsStatusSummary.innerHTML = '';
+
+    Object.keys(BookingWorkflow.STATUSES).forEach(status => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = `booking-status-chip status-${status}`;
+        if (cmsState.bookingStatusFilter === status) {
+            chip.classList.add('active');
+        }
+        chip.textContent = `${BookingWorkflow.getLabel(status)} ${counts[status]}`;
+        chip.addEventListener('click', () => {
+            cmsState.bookingStatusFilter = cmsState.bookingStatusFilter === status ? 'all' : status;
+            if (elements.bookingsStatusSelect) {
+                elements.bookingsStatusSelect.value = cmsState.bookingStatusFilter;
+            }
+            renderBookings();
+        });
+        elements.bookingsStatusSummary.appendChild(chip);
+    });
 }
 
-function formatDate(dateString) {
-    if (!dateString) return 'Unknown';
-    const date = new Date(dateString);
-    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+function createStatusBadge(booking) {
+    const status = BookingWorkflow.getStatus(booking);
+    const badge = document.createElement('span');
+    badge.className = `booking-status-badge status-${status}`;
+    badge.textContent = BookingWorkflow.getLabel(status);
+    return badge;
+}
+
+function createBookingRow(booking) {
+    const row = document.createElement('div');
+    row.className = 'cms-booking-row';
+    row.dataset.bookingId = booking.id;
+    row.tabIndex = 0;
+
+    // Checkbox
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'booking-row-checkbox';
+    checkbox.checked = cmsState.selectedBookings.has(booking.id);
+    checkbox.setAttribute('aria-label', `Select booking from ${booking.name || 'client'}`);
+    checkbox.addEventListener('click', (e) => e.stopPropagation());
+    checkbox.addEventListener('change', () => toggleBookingSelection(booking.id));
+
+    const main = document.createElement('div');
+    main.className = 'booking-row-main';
+
+    const name = document.createElement('div');
+    name.className = 'booking-row-name';
+    name.textContent = booking.name || 'Unnamed request';
+
+    const summary = document.createElement('div');
+    summary.className = 'booking-row-summary';
+    summary.textContent = [
+        formatBookingLength(booking.date_length),
+        booking.city,
+        booking.location_preference
+    ].filter(Boolean).join(' • ');
+
+    name.appendChild(createStatusBadge(booking));
+    const depositStatus = BookingDeposit.getStatus(booking.deposit);
+    if (depositStatus) {
+        const depositBadge = document.createElement('span');
+        depositBadge.className = `booking-status-badge deposit-${depositStatus}`;
+        depositBadge.textContent = BookingDeposit.getLabel(booking.deposit);
+        name.appendChild(depositBadge);
+    }
+    if (booking.screening_withheld) {
+        const screeningBadge = document.createElement('span');
+        screeningBadge.className = 'booking-status-badge screening-withheld';
+        screeningBadge.textContent = 'Screening lost';
+        name.appendChild(screeningBadge);
+    }
+    const changeRequest = getChangeRequest(booking);
+    if (changeRequest) {
+        const requestBadge = document.createElement('span');
+        requestBadge.className = 'booking-status-badge change-requested';
+        requestBadge.textContent = changeRequest.action === 'reschedule' ? 'Reschedule requested' : 'Cancel requested';
+        name.appendChild(requestBadge);
+    }
+
+    main.appendChild(name);
+    main.appendChild(summary);
+
+    const dates = document.createElement('div');
+    dates.className = 'booking-row-dates';
+
+    const requested = document.createElement('div');
+    requested.className = 'booking-row-requested';
+    requested.textContent = formatBookingDateTime(booking.preferred_datetime, booking.timezone);
+
+    const received = document.createElement('div');
+    received.className = 'booking-row-received';
+    received.textContent = `Received ${formatDate(getBookingReceivedAt(booking))}`;
+
+    dates.appendChild(requested);
+    dates.appendChild(received);
+
+    row.appendChild(checkbox);
+    row.appendChild(main);
+    row.appendChild(dates);
+
+    row.addEventListener('click', () => openBookingDetail(booking.id));
+    row.addEventListener('keydown', (e) => {
+        if (e.target !== row) return;
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            openBookingDetail(booking.id);
+        }
+    });
+
+    return row;
+}
+
+function formatBookingLength(dateLength) {
+    if (typeof RateCard !== 'undefined') {
+        return RateCard.describeTier(dateLength);
+    }
+    return dateLength ? String(dateLength).replace(/_/g, ' ') : '';
+}
+
+// Fields shown in the booking detail modal, in display order
+const BOOKING_DETAIL_FIELDS = [
+    ['id', 'Reference'],
+    ['name', 'Name'],
+    ['email', 'Email'],
+    ['phone', 'Phone'],
+    ['pronouns', 'Pronouns'],
+    ['date_of_birth', 'Date of Birth'],
+    ['contact_method', 'Preferred Contact'],
+    ['city', 'Desired City'],
+    ['date_length', 'Date Length'],
+    ['meal_included', 'Meal Included'],
+    ['preferred_datetime', 'Preferred Date/Time'],
+    ['client_timezone', "Client's Local Time"],
+    ['location_preference', 'Location Preference'],
+    ['screening_method', 'Screening Method'],
+    ['reference_1_provider', 'Reference 1'],
+    ['reference_1_contact', 'Reference 1 Contact'],
+    ['reference_2_provider', 'Reference 2'],
+    ['reference_2_contact', 'Reference 2 Contact'],
+    ['employer_name', 'Employer'],
+    ['employment_verification', 'Employment Verification'],
+    ['additional_info', 'Additional Information'],
+    ['created_at', 'Received']
+];
+
+// Screening methods as chosen on the booking form (details are never emailed)
+const SCREENING_METHOD_NAMES = {
+    references: 'Provider references',
+    employment: 'Employment verification',
+    id: 'Photo ID (send a private upload link)'
+};
+
+// Only shown when the client filled them in
+const OPTIONAL_DETAIL_FIELDS = new Set([
+    'reference_1_provider',
+    'reference_1_contact',
+    'reference_2_provider',
+    'reference_2_contact',
+    'employer_name',
+    'employment_verification',
+    'client_timezone'
+]);
+
+function openBookingDetail(bookingId) {
+    const booking = cmsState.bookings.find(b => String(b.id) === String(bookingId));
+    if (!booking || !elements.bookingDetailModal) return;
+
+    elements.bookingDetailFields.innerHTML = '';
+
+    BOOKING_DETAIL_FIELDS.forEach(([field, label]) => {
+        let value = field === 'created_at' ? getBookingReceivedAt(booking) : booking[field];
+        if (!value && OPTIONAL_DETAIL_FIELDS.has(field)) return;
+
+        if (field === 'screening_method') {
+            value = booking.screening_withheld
+                ? 'Lost (saved offline and sent after a reload, ask the client again)'
+                : SCREENING_METHOD_NAMES[value] || value;
+        } else if (field === 'preferred_datetime') {
+            value = value ? formatBookingDateTime(value, booking.timezone) : '';
+        } else if (field === 'client_timezone') {
+            // Only worth showing when the client is in another zone
+            if (value === booking.timezone) return;
+            value = booking.preferred_datetime ? formatBookingDateTime(booking.preferred_datetime, value) : '';
+        } else if (field === 'created_at') {
+            value = value ? formatBookingDateTime(value) : '';
+        } else if (field === 'date_length') {
+            value = formatBookingLength(value);
+        }
+
+        const term = document.createElement('dt');
+        term.textContent = label;
+
+        const detail = document.createElement('dd');
+        detail.textContent = value || '—';
+
+        elements.bookingDetailFields.appendChild(term);
+        elements.bookingDetailFields.appendChild(detail);
+    });
+
+    renderBookingDetailStatus(booking);
+    renderBookingDeposit(booking);
+    resetBookingCancellation(booking);
+    elements.bookingNoteInput.value = booking.internal_note || '';
+    if (elements.bookingCalendarBtn) {
+        elements.bookingCalendarBtn.disabled = !BookingCalendar.getStart(booking);
+    }
+    if (elements.bookingStatusLinkBtn) {
+        // Requests sent before status links existed have no token
+        elements.bookingStatusLinkBtn.disabled = !BookingWorkflow.getStatusUrl(booking);
+    }
+
+    elements.bookingDetailModal.dataset.bookingId = booking.id;
+    elements.bookingDetailModal.classList.remove('hidden');
+    elements.bookingDetailCloseBtn.focus();
+}
+
+function renderBookingDetailStatus(booking) {
+    const status = BookingWorkflow.getStatus(booking);
+
+    elements.bookingDetailStatusBadge.className = `booking-status-badge status-${status}`;
+    elements.bookingDetailStatusBadge.textContent = BookingWorkflow.getLabel(status);
+
+    // One button per allowed next status
+    elements.bookingDetailTransitions.innerHTML = '';
+    BookingWorkflow.getNextStatuses(booking).forEach(nextStatus => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = nextStatus === 'declined' ? 'btn btn-danger btn-small' : 'btn btn-secondary btn-small';
+        button.textContent = `Mark ${BookingWorkflow.getLabel(nextStatus)}`;
+        button.addEventListener('click', () => updateBookingStatus(booking.id, nextStatus));
+        elements.bookingDetailTransitions.appendChild(button);
+    });
+
+    // Timestamped history, oldest first
+    elements.bookingDetailHistory.innerHTML = '';
+    BookingWorkflow.getHistory(booking).forEach(entry => {
+        const item = document.createElement('li');
+        item.textContent = `${BookingWorkflow.getLabel(entry.status)} — ${formatBookingDateTime(entry.at)}`;
+        elements.bookingDetailHistory.appendChild(item);
+    });
+}
+
+/**
+ * Send a partial update for one booking and merge the saved record into state
+ */
+async function saveBookingUpdate(bookingId, changes) {
+    const response = await fetchWithCORS(API_ENDPOINTS.CMS_BOOKING(bookingId), {
+        method: 'PUT',
+        headers: {
+            'X-CMS-Password': cmsState.password,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(changes)
+    });
+
+    if (!response.ok) {
+        let message = 'Failed to update booking';
+        try {
+            const error = await response.json();
+            message = error.detail?.error || error.detail || message;
+        } catch (e) {
+            // Not JSON, keep default message
+        }
+        throw new Error(message);
+    }
+
+    const index = cmsState.bookings.findIndex(b => String(b.id) === String(bookingId));
+    let saved = null;
+    try {
+        saved = await response.json();
+    } catch (e) {
+        // Empty body, fall back to the local merge below
+    }
+
+    if (index !== -1) {
+        cmsState.bookings[index] = { ...cmsState.bookings[index], ...changes, ...(saved && typeof saved === 'object' ? saved : {}) };
+        return cmsState.bookings[index];
+    }
+    return null;
+}
+
+async function updateBookingStatus(bookingId, toStatus) {
+    const booking = cmsState.bookings.find(b => String(b.id) === String(bookingId));
+    if (!booking) return;
+
+    if (toStatus === 'declined' && !confirm('Decline this booking request?')) return;
+
+    try {
+        const changes = BookingWorkflow.transition(booking, toStatus);
+        let message = `Booking marked ${BookingWorkflow.getLabel(toStatus)}`;
+
+        // Confirming asks for the deposit, computed from the rate card
+        if (toStatus === 'confirmed' && !BookingDeposit.getStatus(booking.deposit)) {
+            const deposit = BookingDeposit.createRequest(booking);
+            if (deposit) {
+                changes.deposit = deposit;
+                message += ` · ${BookingDeposit.formatAmount(deposit)} deposit requested`;
+            } else {
+                message += ' · enter a deposit amount to request it';
+            }
+        }
+
+        const updated = await saveBookingUpdate(bookingId, changes);
+        showSuccess(elements.bookingsMessage, message);
+        renderBookings();
+        if (updated) {
+            renderBookingDetailStatus(updated);
+            renderBookingDeposit(updated);
+            renderBookingCancellation(updated);
+        }
+    } catch (error) {
+        console.error('Booking status update error:', error);
+        showError(elements.bookingsMessage, error.message || 'Failed to update booking status');
+    }
+}
+
+/**
+ * Download the open booking as a calendar event (tentative until confirmed)
+ */
+function downloadBookingCalendar() {
+    const bookingId = elements.bookingDetailModal.dataset.bookingId;
+    const booking = cmsState.bookings.find(b => String(b.id) === String(bookingId));
+    if (!booking) return;
+
+    const ics = BookingCalendar.build(booking, { audience: 'provider' });
+    if (!ics) {
+        showError(elements.bookingsMessage, 'This booking has no valid date to add to a calendar');
+        return;
+    }
+    BookingCalendar.download(ics, BookingCalendar.getFilename(booking));
+}
+
+async function copyBookingStatusLink() {
+    const booking = getOpenBooking();
+    const url = booking ? BookingWorkflow.getStatusUrl(booking) : null;
+    if (!url) return;
+
+    try {
+        await navigator.clipboard.writeText(url);
+        showSuccess(elements.bookingsMessage, 'Status link copied');
+    } catch (error) {
+        // Clipboard unavailable (e.g. not a secure context)
+        window.prompt('Copy the status link:', url);
+    }
+}
+
+async function saveBookingNote() {
+    const bookingId = elements.bookingDetailModal.dataset.bookingId;
+    if (!bookingId) return;
+
+    const note = elements.bookingNoteInput.value.trim();
+
+    try {
+        await saveBookingUpdate(bookingId, { internal_note: note || null });
+        showSuccess(elements.bookingsMessage, 'Internal note saved');
+    } catch (error) {
+        console.error('Booking note update error:', error);
+        showError(elements.bookingsMessage, error.message || 'Failed to save note');
+    }
+}
+
+// =====================
+// BOOKING DEPOSITS
+// =====================
+
+function getOpenBooking() {
+    const bookingId = elements.bookingDetailModal.dataset.bookingId;
+    return cmsState.bookings.find(b => String(b.id) === String(bookingId)) || null;
+}
+
+function renderBookingDeposit(booking) {
+    if (!elements.bookingDeposit) return;
+
+    const deposit = booking.deposit;
+    const status = BookingDeposit.getStatus(deposit);
+    const bookingStatus = BookingWorkflow.getStatus(booking);
+
+    // Deposits are asked for once a booking is confirmed
+    const visible = Boolean(status) || bookingStatus === 'confirmed' || bookingStatus === 'completed';
+    elements.bookingDeposit.classList.toggle('hidden', !visible);
+    if (!visible) return;
+
+    elements.bookingDepositBadge.className = `booking-status-badge deposit-${status || 'none'}`;
+    elements.bookingDepositBadge.textContent = BookingDeposit.getLabel(deposit);
+
+    const computed = BookingDeposit.compute(booking);
+    let info;
+    if (status === 'paid') {
+        info = `${BookingDeposit.formatAmount(deposit)} paid ${formatBookingDateTime(deposit.paid_at)}` +
+            (deposit.provider ? ` via ${deposit.provider}` : '') +
+            (deposit.payment_id ? ` (${deposit.payment_id})` : '');
+    } else if (status === 'failed') {
+        info = `${BookingDeposit.formatAmount(deposit)} requested; last payment failed ${formatBookingDateTime(deposit.failed_at)}` +
+            (deposit.failure_reason ? `: ${deposit.failure_reason}` : '');
+    } else if (status === 'requested') {
+        info = `${BookingDeposit.formatAmount(deposit)} requested ${formatBookingDateTime(deposit.requested_at)}. Send the client the payment link.`;
+    } else {
+        info = computed
+            ? `Rate card deposit: ${Math.round(computed.rate * 100)}% · ${RateCard.formatPrice(computed.amount)}`
+            : 'The rate card has no deposit rule for this booking; enter an amount.';
+    }
+    elements.bookingDepositInfo.textContent = info;
+
+    const payable = BookingDeposit.isPayable(deposit);
+    elements.bookingDepositAmountInput.value = deposit ? deposit.amount : (computed ? computed.amount : '');
+    elements.bookingDepositAmountInput.disabled = status === 'paid';
+    elements.bookingDepositSaveBtn.hidden = status === 'paid';
+    elements.bookingDepositSaveBtn.textContent = status ? 'Update Amount' : 'Request Deposit';
+    elements.bookingDepositCopyBtn.hidden = !payable;
+    elements.bookingDepositPaidBtn.hidden = !payable;
+}
+
+async function saveBookingDeposit() {
+    const booking = getOpenBooking();
+    if (!booking) return;
+
+    const amount = elements.bookingDepositAmountInput.value;
+
+    try {
+        const deposit = BookingDeposit.getStatus(booking.deposit)
+            ? BookingDeposit.changeAmount(booking.deposit, amount)
+            : BookingDeposit.createRequest(booking, { amount: amount });
+        if (!deposit) {
+            throw new Error('Deposit amount must be more than zero');
+        }
+
+        const updated = await saveBookingUpdate(booking.id, { deposit: deposit });
+        showSuccess(elements.bookingsMessage, `${BookingDeposit.formatAmount(deposit)} deposit requested`);
+        renderBookings();
+        if (updated) renderBookingDeposit(updated);
+    } catch (error) {
+        console.error('Booking deposit update error:', error);
+        showError(elements.bookingsMessage, error.message || 'Failed to save deposit');
+    }
+}
+
+async function copyBookingPaymentLink() {
+    const booking = getOpenBooking();
+    if (!booking || !BookingDeposit.isPayable(booking.deposit)) return;
+
+    const url = BookingDeposit.getPaymentUrl(booking.id, booking.deposit);
+    try {
+        await navigator.clipboard.writeText(url);
+        showSuccess(elements.bookingsMessage, 'Payment link copied');
+    } catch (error) {
+        // Clipboard unavailable (e.g. not a secure context)
+        window.prompt('Copy the payment link:', url);
+    }
+}
+
+/**
+ * Record a deposit paid outside the payment page (e-transfer, cash)
+ */
+async function markBookingDepositPaid() {
+    const booking = getOpenBooking();
+    if (!booking || !BookingDeposit.isPayable(booking.deposit)) return;
+
+    if (!confirm(`Mark the ${BookingDeposit.formatAmount(booking.deposit)} deposit as paid?`)) return;
+
+    try {
+        const deposit = BookingDeposit.applyResult(booking.deposit, { status: 'paid', provider: 'manual' });
+        const updated = await saveBookingUpdate(booking.id, { deposit: deposit });
+        showSuccess(elements.bookingsMessage, 'Deposit marked paid');
+        renderBookings();
+        if (updated) renderBookingDeposit(updated);
+    } catch (error) {
+        console.error('Booking deposit update error:', error);
+        showError(elements.bookingsMessage, error.message || 'Failed to update deposit');
+    }
+}
+
+// =====================
+// BOOKING CANCELLATIONS
+// =====================
+
+/**
+ * Client's cancel/reschedule request from cancel.html, while it's waiting for me
+ */
+function getChangeRequest(booking) {
+    const request = booking.change_request;
+    return request && !request.resolved_at ? request : null;
+}
+
+// Notice is counted from when the client asked, not from when I get to it
+function getCancellationOptions(booking) {
+    const request = getChangeRequest(booking);
+    return {
+        by: elements.bookingCancelBySelect.value,
+        reschedule: elements.bookingCancelRescheduleInput.checked,
+        at: request && request.requested_at ? new Date(request.requested_at) : new Date()
+    };
+}
+
+function renderCancellationOutcome(lines) {
+    elements.bookingCancelOutcome.innerHTML = '';
+    lines.forEach(line => {
+        const item = document.createElement('li');
+        item.textContent = line;
+        elements.bookingCancelOutcome.appendChild(item);
+    });
+}
+
+/**
+ * Preset the cancellation controls from the client's request
+ */
+function resetBookingCancellation(booking) {
+    if (!elements.bookingCancellation) return;
+
+    const request = getChangeRequest(booking);
+    elements.bookingCancelBySelect.value = 'client';
+    elements.bookingCancelRescheduleInput.checked = Boolean(request && request.action === 'reschedule');
+    renderBookingCancellation(booking);
+}
+
+function renderBookingCancellation(booking) {
+    if (!elements.bookingCancellation) return;
+
+    const cancellation = booking.cancellation;
+    const request = getChangeRequest(booking);
+    const cancellable = BookingWorkflow.canTransition(booking, 'declined');
+
+    const visible = Boolean(cancellation) || Boolean(request) || (cancellable && BookingWorkflow.getStatus(booking) === 'confirmed');
+    elements.bookingCancellation.classList.toggle('hidden', !visible);
+    if (!visible) return;
+
+    if (request) {
+        const parts = [`Client asked to ${request.action === 'reschedule' ? 'reschedule' : 'cancel'} ${formatBookingDateTime(request.requested_at)}`];
+        if (request.preferred_datetime) parts.push(`new time: ${formatBookingDateTime(request.preferred_datetime, booking.timezone)}`);
+        if (request.reason) parts.push(`"${request.reason}"`);
+        elements.bookingChangeRequest.textContent = parts.join(' · ');
+    } else if (cancellation) {
+        elements.bookingChangeRequest.textContent = `Cancelled by ${cancellation.by === 'provider' ? 'me' : 'the client'} ${formatBookingDateTime(cancellation.at)}` +
+            (cancellation.reschedule ? ' to reschedule' : '');
+    } else {
+        elements.bookingChangeRequest.textContent = '';
+    }
+
+    elements.bookingCancelControls.classList.toggle('hidden', !cancellable);
+    if (cancellable) {
+        const result = CancellationPolicy.evaluate(booking, getCancellationOptions(booking));
+        elements.bookingCancelRescheduleInput.disabled = result.by === 'provider';
+        renderCancellationOutcome(CancellationPolicy.describe(result, 'provider'));
+    } else if (cancellation) {
+        renderCancellationOutcome(CancellationPolicy.describe({ ...cancellation, rule: { label: cancellation.rule } }, 'provider'));
+    } else {
+        renderCancellationOutcome([]);
+    }
+}
+
+/**
+ * Cancel the open booking and record its refund and credit per the policy
+ */
+async function applyBookingCancellation() {
+    const booking = getOpenBooking();
+    if (!booking) return;
+
+    const options = getCancellationOptions(booking);
+    const result = CancellationPolicy.evaluate(booking, options);
+    if (!confirm(`Cancel this booking?\n\n${CancellationPolicy.describe(result, 'provider').join('\n')}`)) return;
+
+    try {
+        const now = new Date();
+        const changes = BookingWorkflow.transition(booking, 'declined', now);
+        changes.cancellation = {
+            by: result.by,
+            reschedule: result.reschedule,
+            at: options.at.toISOString(),
+            hours_before: result.hoursBefore,
+            rule: result.rule.label,
+            deposit: result.deposit,
+            refund: result.refund,
+            credit: result.credit,
+            forfeited: result.forfeited,
+            currency: result.currency
+        };
+
+        const request = getChangeRequest(booking);
+        if (request) {
+            changes.change_request = { ...request, resolved_at: now.toISOString() };
+        }
+
+        const updated = await saveBookingUpdate(booking.id, changes);
+        showSuccess(elements.bookingsMessage, result.refund > 0
+            ? `Booking cancelled · refund ${CancellationPolicy.formatMoney(result.refund, result.currency)}`
+            : 'Booking cancelled');
+        renderBookings();
+        if (updated) {
+            renderBookingDetailStatus(updated);
+            renderBookingDeposit(updated);
+            renderBookingCancellation(updated);
+        }
+    } catch (error) {
+        console.error('Booking cancellation error:', error);
+        showError(elements.bookingsMessage, error.message || 'Failed to cancel booking');
+    }
+}
+
+// =====================
+// BOOKING BULK STATUS
+// =====================
+
+function toggleBookingSelection(bookingId) {
+    if (cmsState.selectedBookings.has(bookingId)) {
+        cmsState.selectedBookings.delete(bookingId);
+    } else {
+        cmsState.selectedBookings.add(bookingId);
+    }
+    updateBookingSelectionUI();
+}
+
+function updateBookingSelectionUI() {
+    if (!elements.bookingsBulkToolbar) return;
+
+    // Drop selections for bookings that no longer exist
+    const knownIds = new Set(cmsState.bookings.map(b => b.id));
+    cmsState.selectedBookings.forEach(id => {
+        if (!knownIds.has(id)) cmsState.selectedBookings.delete(id);
+    });
+
+    const count = cmsState.selectedBookings.size;
+    elements.bookingsBulkCount.textContent = count;
+    elements.bookingsBulkToolbar.style.display = count > 0 ? 'flex' : 'none';
+    elements.bookingsApplyStatusBtn.disabled = count === 0;
+
+    document.querySelectorAll('.cms-booking-row').forEach(row => {
+        const booking = cmsState.bookings.find(b => String(b.id) === row.dataset.bookingId);
+        const selected = booking ? cmsState.selectedBookings.has(booking.id) : false;
+        const checkbox = row.querySelector('.booking-row-checkbox');
+
+        row.classList.toggle('selected', selected);
+        if (checkbox) checkbox.checked = selected;
+    });
+}
+
+if (elements.bookingsSelectAllBtn) {
+    elements.bookingsSelectAllBtn.addEventListener('click', () => {
+        getFilteredBookings().forEach(booking => cmsState.selectedBookings.add(booking.id));
+        updateBookingSelectionUI();
+    });
+}
+
+if (elements.bookingsDeselectAllBtn) {
+    elements.bookingsDeselectAllBtn.addEventListener('click', () => {
+        cmsState.selectedBookings.clear();
+        updateBookingSelectionUI();
+    });
+}
+
+if (elements.bookingsApplyStatusBtn) {
+    elements.bookingsApplyStatusBtn.addEventListener('click', async () => {
+        const toStatus = elements.bookingsBulkStatusSelect.value;
+        const selected = cmsState.bookings.filter(b => cmsState.selectedBookings.has(b.id));
+
+        // Only bookings that can legally move to the target status are updated
+        const eligible = selected.filter(booking => BookingWorkflow.canTransition(booking, toStatus));
+        const skipped = selected.length - eligible.length;
+
+        if (eligible.length === 0) {
+            showError(elements.bookingsMessage, `None of the selected bookings can be marked ${BookingWorkflow.getLabel(toStatus)}`);
+            return;
+        }
+
+        if (!confirm(`Mark ${eligible.length} booking(s) ${BookingWorkflow.getLabel(toStatus)}?`)) return;
+
+        try {
+            const updates = eligible.map(booking => {
+                const update = { id: booking.id, ...BookingWorkflow.transition(booking, toStatus) };
+                if (toStatus === 'confirmed' && !BookingDeposit.getStatus(booking.deposit)) {
+                    const deposit = BookingDeposit.createRequest(booking);
+                    if (deposit) update.deposit = deposit;
+                }
+                return update;
+            });
+
+            const response = await fetchWithCORS(API_ENDPOINTS.CMS_BOOKINGS_BULK, {
+                method: 'PUT',
+                headers: {
+                    'X-CMS-Password': cmsState.password,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    bookings: updates
+                })
+            });
+
+            if (response.ok) {
+                const message = skipped > 0
+                    ? `Marked ${eligible.length} booking(s) ${BookingWorkflow.getLabel(toStatus)}, skipped ${skipped} that cannot move to that status`
+                    : `Marked ${eligible.length} booking(s) ${BookingWorkflow.getLabel(toStatus)}`;
+                showSuccess(elements.bookingsMessage, message);
+                cmsState.selectedBookings.clear();
+                loadBookings();
+            } else {
+                throw new Error('Bulk status update failed');
+            }
+        } catch (error) {
+            console.error('Bulk status update error:', error);
+            showError(elements.bookingsMessage, 'Failed to update booking statuses');
+        }
+    });
+}
+
+function closeBookingDetail() {
+    if (elements.bookingDetailModal) {
+        elements.bookingDetailModal.classList.add('hidden');
+        delete elements.bookingDetailModal.dataset.bookingId;
+    }
+}
+
+if (elements.bookingsSearchInput) {
+    elements.bookingsSearchInput.addEventListener('input', (e) => {
+        cmsState.bookingSearchQuery = e.target.value;
+        renderBookings();
+    });
+}
+
+if (elements.bookingsFilterSelect) {
+    elements.bookingsFilterSelect.addEventListener('change', (e) => {
+        cmsState.bookingFilter = e.target.value;
+        renderBookings();
+    });
+}
+
+if (elements.bookingsRefreshBtn) {
+    elements.bookingsRefreshBtn.addEventListener('click', () => {
+        loadBookings();
+    });
+}
+
+if (elements.bookingsStatusSelect) {
+    elements.bookingsStatusSelect.addEventListener('change', (e) => {
+        cmsState.bookingStatusFilter = e.target.value;
+        renderBookings();
+    });
+}
+
+if (elements.bookingNoteSaveBtn) {
+    elements.bookingNoteSaveBtn.addEventListener('click', saveBookingNote);
+}
+
+if (elements.bookingDetailCloseBtn) {
+    elements.bookingDetailCloseBtn.addEventListener('click', closeBookingDetail);
+}
+
+if (elements.bookingCalendarBtn) {
+    elements.bookingCalendarBtn.addEventListener('click', downloadBookingCalendar);
+}
+
+if (elements.bookingStatusLinkBtn) {
+    elements.bookingStatusLinkBtn.addEventListener('click', copyBookingStatusLink);
+}
+
+if (elements.bookingDepositSaveBtn) {
+    elements.bookingDepositSaveBtn.addEventListener('click', saveBookingDeposit);
+    elements.bookingDepositCopyBtn.addEventListener('click', copyBookingPaymentLink);
+    elements.bookingDepositPaidBtn.addEventListener('click', markBookingDepositPaid);
+}
+
+if (elements.bookingCancelApplyBtn) {
+    const previewCancellation = () => {
+        const booking = getOpenBooking();
+        if (booking) renderBookingCancellation(booking);
+    };
+    elements.bookingCancelBySelect.addEventListener('change', previewCancellation);
+    elements.bookingCancelRescheduleInput.addEventListener('change', previewCancellation);
+    elements.bookingCancelApplyBtn.addEventListener('click', applyBookingCancellation);
+}
+
+// Close modal on overlay click
+if (elements.bookingDetailModal) {
+    elements.bookingDetailModal.addEventListener('click', (e) => {
+        if (e.target === elements.bookingDetailModal || e.target.classList.contains('modal-overlay')) {
+            closeBookingDetail();
+        }
+    });
+}
+
+// =====================
+// RATE CARD EDITOR
+// =====================
+
+// Rate card keys edited as raw JSON in the pricing rules box
+const RATE_CARD_RULE_KEYS = ['mealMinimumHours', 'incallFees', 'travelZones'];
+
+// Services added in this session get their id from their name until published
+const newRateCardTiers = new WeakSet();
+
+async function loadRateCard() {
+    if (!elements.rateCardEditor) return;
+
+    elements.rateCardEditor.innerHTML = '<div class="gallery-loading"><div class="loading-spinner"></div><p>Loading rate card...</p></div>';
+
+    try {
+        const response = await fetchWithCORS(API_ENDPOINTS.CMS_RATE_CARD, {
+            method: 'GET',
+            headers: {
+                'X-CMS-Password': cmsState.password,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        if (response.status === 404) {
+            // Nothing published yet, start from the built-in rates
+            cmsState.rateCard = RateCard.getDefaults();
+        } else if (response.ok) {
+            const data = await response.json();
+            cmsState.rateCard = data ? (data.rate_card || data) : RateCard.getDefaults();
+        } else {
+            throw new Error('Failed to load rate card');
+        }
+
+        renderRateCardEditor();
+    } catch (error) {
+        console.error('Error loading rate card:', error);
+        elements.rateCardEditor.innerHTML = '<div class="gallery-loading"><p style="color: #ff6b6b;">Failed to load rate card</p></div>';
+    }
+}
+
+function slugifyTierId(name) {
+    return name.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Labelled input bound to a property of a rate card object
+ * @param {Object} target - Object the field edits
+ * @param {string} key - Property name
+ * @param {string} label - Field label
+ * @param {string} type - 'text', 'number', 'textarea' or 'lines' (one list item per line)
+ */
+function createRateCardField(target, key, label, type = 'text') {
+    const group = document.createElement('div');
+    group.className = 'form-group';
+
+    const labelEl = document.createElement('label');
+    labelEl.textContent = label;
+
+    const input = document.createElement(type === 'textarea' || type === 'lines' ? 'textarea' : 'input');
+    if (input.tagName === 'INPUT') {
+        input.type = type === 'number' ? 'number' : 'text';
+        if (type === 'number') {
+            input.min = '0';
+            input.step = 'any';
+        }
+    } else {
+        input.rows = 3;
+    }
+
+    const value = target[key];
+    if (type === 'textarea') {
+        // Paragraphs are separated by a blank line
+        input.value = Array.isArray(value) ? value.join('\n\n') : (value || '');
+    } else if (type === 'lines') {
+        input.value = Array.isArray(value) ? value.join('\n') : '';
+    } else {
+        input.value = value != null ? value : '';
+    }
+
+    input.addEventListener('input', () => {
+        const raw = input.value;
+        let next;
+
+        if (type === 'number') {
+            next = raw.trim() === '' ? undefined : Number(raw);
+        } else if (type === 'textarea') {
+            const paragraphs = raw.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+            next = paragraphs.length > 1 ? paragraphs : (paragraphs[0] || undefined);
+        } else if (type === 'lines') {
+            const lines = raw.split('\n').map(line => line.trim()).filter(Boolean);
+            next = lines.length > 0 ? lines : undefined;
+        } else {
+            next = raw.trim() || undefined;
+        }
+
+        if (next === undefined) {
+            delete target[key];
+        } else {
+            target[key] = next;
+        }
+
+        if (key === 'name' && newRateCardTiers.has(target) && target.name) {
+            target.id = slugifyTierId(target.name);
+        }
+    });
+
+    group.appendChild(labelEl);
+    group.appendChild(input);
+    return group;
+}
+
+function createRateCardTierRow(category, tier) {
+    const row = document.createElement('div');
+    row.className = 'rate-card-tier';
+
+    const header = document.createElement('div');
+    header.className = 'rate-card-tier-header';
+
+    const idLabel = document.createElement('span');
+    idLabel.className = 'rate-card-tier-id';
+    idLabel.textContent = newRateCardTiers.has(tier) ? 'New service' : tier.id;
+    header.appendChild(idLabel);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'btn btn-danger btn-small';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => {
+        if (!confirm(`Remove "${tier.name || 'this service'}" from the rate card?`)) return;
+        category.tiers = category.tiers.filter(t => t !== tier);
+        renderRateCardEditor();
+    });
+    header.appendChild(removeBtn);
+    row.appendChild(header);
+
+    const fields = document.createElement('div');
+    fields.className = 'rate-card-tier-fields';
+    fields.appendChild(createRateCardField(tier, 'name', 'Name'));
+    fields.appendChild(createRateCardField(tier, 'duration', 'Duration Label'));
+    fields.appendChild(createRateCardField(tier, 'hours', 'Length (hours)', 'number'));
+    fields.appendChild(createRateCardField(tier, 'price', 'Price ($)', 'number'));
+    fields.appendChild(createRateCardField(tier, 'priceLabel', 'Price Label (replaces price)'));
+    fields.appendChild(createRateCardField(tier, 'badge', 'Badge'));
+    row.appendChild(fields);
+
+    row.appendChild(createRateCardField(tier, 'description', 'Description', 'textarea'));
+    row.appendChild(createRateCardField(tier, 'items', 'List Items (one per line)', 'lines'));
+
+    return row;
+}
+
+function renderRateCardEditor() {
+    const data = cmsState.rateCard;
+    if (!data || !elements.rateCardEditor) return;
+
+    elements.rateCardEditor.innerHTML = '';
+
+    data.categories.forEach(category => {
+        category.tiers = category.tiers || [];
+
+        const section = document.createElement('div');
+        section.className = 'rate-card-category';
+
+        const title = document.createElement('h3');
+        title.className = 'rate-card-subtitle';
+        title.textContent = category.title || category.id;
+        section.appendChild(title);
+
+        const categoryFields = document.createElement('div');
+        categoryFields.className = 'rate-card-tier-fields';
+        categoryFields.appendChild(createRateCardField(category, 'title', 'Category Title'));
+        categoryFields.appendChild(createRateCardField(category, 'note', 'Note'));
+        section.appendChild(categoryFields);
+        section.appendChild(createRateCardField(category, 'intro', 'Intro', 'textarea'));
+
+        category.tiers.forEach(tier => {
+            section.appendChild(createRateCardTierRow(category, tier));
+        });
+
+        const addBtn = document.createElement('button');
+        addBtn.type = 'button';
+        addBtn.className = 'btn btn-secondary btn-small';
+        addBtn.textContent = '+ Add Service';
+        addBtn.addEventListener('click', () => {
+            const tier = { id: `service_${Date.now()}`, name: '' };
+            newRateCardTiers.add(tier);
+            category.tiers.push(tier);
+            renderRateCardEditor();
+        });
+        section.appendChild(addBtn);
+
+        elements.rateCardEditor.appendChild(section);
+    });
+
+    elements.rateCardExtensionInput.value = data.extensionHourly != null ? data.extensionHourly : '';
+
+    elements.rateCardFootnotes.innerHTML = '';
+    Object.keys(data.footnotes || {}).forEach(key => {
+        elements.rateCardFootnotes.appendChild(createRateCardField(data.footnotes, key, `Footnote: ${key}`));
+    });
+
+    const rules = {};
+    RATE_CARD_RULE_KEYS.forEach(key => {
+        if (data[key] !== undefined) rules[key] = data[key];
+    });
+    elements.rateCardRulesInput.value = JSON.stringify(rules, null, 2);
+}
+
+/**
+ * Assemble the edited rate card from the editor and the pricing rules box
+ * Throws if the JSON is malformed
+ */
+function collectRateCard() {
+    const data = JSON.parse(JSON.stringify(cmsState.rateCard));
+
+    const extension = elements.rateCardExtensionInput.value.trim();
+    data.extensionHourly = extension === '' ? null : Number(extension);
+
+    let rules;
+    try {
+        rules = JSON.parse(elements.rateCardRulesInput.value || '{}');
+    } catch (error) {
+        throw new Error(`Pricing rules are not valid JSON: ${error.message}`);
+    }
+    RATE_CARD_RULE_KEYS.forEach(key => {
+        if (rules[key] !== undefined) {
+            data[key] = rules[key];
+        } else {
+            delete data[key];
+        }
+    });
+
+    return data;
+}
+
+async function publishRateCard() {
+    if (!cmsState.rateCard) return;
+
+    let data;
+    try {
+        data = collectRateCard();
+    } catch (error) {
+        showError(elements.rateCardMessage, error.message);
+        return;
+    }
+
+    const errors = RateCard.validate(data);
+    if (errors.length > 0) {
+        showError(elements.rateCardMessage, errors.slice(0, 3).join(' · '));
+        return;
+    }
+
+    elements.rateCardSaveBtn.disabled = true;
+
+    try {
+        const response = await fetchWithCORS(API_ENDPOINTS.CMS_RATE_CARD, {
+            method: 'PUT',
+            headers: {
+                'X-CMS-Password': cmsState.password,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(data)
+        });
+
+        if (!response.ok) {
+            let message = 'Failed to publish rate card';
+            try {
+                const error = await response.json();
+                message = error.detail?.error || error.detail || message;
+            } catch (e) {
+                // Not JSON, keep default message
+            }
+            throw new Error(message);
+        }
+
+        cmsState.rateCard = data;
+        renderRateCardEditor();
+        showSuccess(elements.rateCardMessage, 'Rate card published');
+    } catch (error) {
+        console.error('Rate card publish error:', error);
+        showError(elements.rateCardMessage, error.message || 'Failed to publish rate card');
+    } finally {
+        elements.rateCardSaveBtn.disabled = false;
+    }
+}
+
+if (elements.rateCardSaveBtn) {
+    elements.rateCardSaveBtn.addEventListener('click', publishRateCard);
+}
+
+if (elements.rateCardResetBtn) {
+    elements.rateCardResetBtn.addEventListener('click', () => {
+        if (!confirm('Replace the editor contents with the built-in rates? Nothing changes on the site until you publish.')) return;
+        cmsState.rateCard = RateCard.getDefaults();
+        renderRateCardEditor();
+    });
+}
+
+if (elements.rateCardRefreshBtn) {
+    elements.rateCardRefreshBtn.addEventListener('click', () => {
+        loadRateCard();
+    });
+}
+
+// =====================
+// AVAILABILITY EDITOR
+// =====================
+
+async function loadAvailability() {
+    if (!elements.availabilityWeekly) return;
+
+    elements.availabilityWeekly.innerHTML = '<div class="gallery-loading"><div class="loading-spinner"></div><p>Loading availability...</p></div>';
+    elements.availabilityBlocked.innerHTML = '';
+
+    try {
+        const response = await fetchWithCORS(API_ENDPOINTS.CMS_AVAILABILITY, {
+            method: 'GET',
+            headers: {
+                'X-CMS-Password': cmsState.password,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        if (response.status === 404) {
+            // Nothing published yet, start from the built-in weekly hours
+            cmsState.availability = Availability.getDefaults();
+        } else if (response.ok) {
+            const data = await response.json();
+            cmsState.availability = data ? (data.availability || data) : Availability.getDefaults();
+        } else {
+            throw new Error('Failed to load availability');
+        }
+
+        renderAvailabilityEditor();
+    } catch (error) {
+        console.error('Error loading availability:', error);
+        elements.availabilityWeekly.innerHTML = '<div class="gallery-loading"><p style="color: #ff6b6b;">Failed to load availability</p></div>';
+    }
+}
+
+// [{ start: '10:00', end: '14:00' }] <=> '10:00-14:00'
+function formatWeeklyHours(windows) {
+    return (windows || []).map(range => `${range.start}-${range.end}`).join(', ');
+}
+
+function parseWeeklyHours(text, dayName) {
+    return text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const match = /^(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/.exec(part);
+        if (!match) {
+            throw new Error(`${dayName}: "${part}" should look like 10:00-14:00`);
+        }
+        return { start: match[1].padStart(5, '0'), end: match[2].padStart(5, '0') };
+    });
+}
+
+function createBlockedRow(period) {
+    const row = document.createElement('div');
+    row.className = 'availability-blocked-row';
+
+    const end = Availability.parseLocal(period.end);
+    if (end && end < new Date()) {
+        row.classList.add('is-past');
+    }
+
+    [['start', 'From', 'datetime-local'], ['end', 'Until', 'datetime-local'], ['note', 'Note', 'text']].forEach(([key, label, type]) => {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+
+        const labelEl = document.createElement('label');
+        labelEl.textContent = label;
+
+        const input = document.createElement('input');
+        input.type = type;
+        input.value = period[key] || '';
+        if (key === 'note') input.placeholder = 'e.g. Vancouver tour';
+        input.addEventListener('input', () => {
+            period[key] = input.value.trim();
+        });
+
+        group.appendChild(labelEl);
+        group.appendChild(input);
+        row.appendChild(group);
+    });
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'btn btn-danger btn-small';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => {
+        const index = cmsState.availability.blocked.indexOf(period);
+        if (index !== -1) cmsState.availability.blocked.splice(index, 1);
+        row.remove();
+    });
+    row.appendChild(removeBtn);
+
+    return row;
+}
+
+function renderAvailabilityEditor() {
+    const data = cmsState.availability;
+    if (!data) return;
+
+    elements.availabilityWeekly.innerHTML = '';
+    Availability.DAY_KEYS.forEach(day => {
+        const group = document.createElement('div');
+        group.className = 'form-group availability-day-hours';
+
+        const label = document.createElement('label');
+        label.htmlFor = `availability-hours-${day}`;
+        label.textContent = Availability.DAY_NAMES[day];
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.id = `availability-hours-${day}`;
+        input.dataset.day = day;
+        input.placeholder = 'Off';
+        input.value = formatWeeklyHours(data.weeklyHours[day]);
+
+        group.appendChild(label);
+        group.appendChild(input);
+        elements.availabilityWeekly.appendChild(group);
+    });
+
+    elements.availabilitySlotInput.value = data.slotMinutes;
+    elements.availabilityHorizonInput.value = data.horizonDays;
+
+    data.blocked.sort((a, b) => String(a.start).localeCompare(String(b.start)));
+    elements.availabilityBlocked.innerHTML = '';
+    if (data.blocked.length === 0) {
+        elements.availabilityBlocked.innerHTML = '<p class="rate-card-help">No blocked times.</p>';
+    }
+    data.blocked.forEach(period => {
+        elements.availabilityBlocked.appendChild(createBlockedRow(period));
+    });
+}
+
+/**
+ * Build the availability document from the editor
+ * Throws with a readable message if weekly hours can't be parsed
+ */
+function collectAvailability() {
+    const weeklyHours = {};
+    elements.availabilityWeekly.querySelectorAll('input[data-day]').forEach(input => {
+        weeklyHours[input.dataset.day] = parseWeeklyHours(input.value, Availability.DAY_NAMES[input.dataset.day]);
+    });
+
+    return {
+        slotMinutes: Number(elements.availabilitySlotInput.value),
+        horizonDays: Number(elements.availabilityHorizonInput.value),
+        weeklyHours: weeklyHours,
+        blocked: cmsState.availability.blocked.map(period => {
+            const entry = { start: period.start, end: period.end };
+            if (period.note) entry.note = period.note;
+            return entry;
+        })
+    };
+}
+
+async function publishAvailability() {
+    if (!cmsState.availability) return;
+
+    let data;
+    try {
+        data = collectAvailability();
+    } catch (error) {
+        showError(elements.availabilityMessage, error.message);
+        return;
+    }
+
+    const errors = Availability.validate(data);
+    if (errors.length > 0) {
+        showError(elements.availabilityMessage, errors.slice(0, 3).join(' · '));
+        return;
+    }
+
+    elements.availabilitySaveBtn.disabled = true;
+
+    try {
+        const response = await fetchWithCORS(API_ENDPOINTS.CMS_AVAILABILITY, {
+            method: 'PUT',
+            headers: {
+                'X-CMS-Password': cmsState.password,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(data)
+        });
+
+        if (!response.ok) {
+            let message = 'Failed to publish availability';
+            try {
+                const error = await response.json();
+                message = error.detail?.error || error.detail || message;
+            } catch (e) {
+                // Not JSON, keep default message
+            }
+            throw new Error(message);
+        }
+
+        cmsState.availability = data;
+        renderAvailabilityEditor();
+        showSuccess(elements.availabilityMessage, 'Availability published');
+    } catch (error) {
+        console.error('Availability publish error:', error);
+        showError(elements.availabilityMessage, error.message || 'Failed to publish availability');
+    } finally {
+        elements.availabilitySaveBtn.disabled = false;
+    }
+}
+
+if (elements.availabilitySaveBtn) {
+    elements.availabilitySaveBtn.addEventListener('click', publishAvailability);
+}
+
+if (elements.availabilityAddBlockBtn) {
+    elements.availabilityAddBlockBtn.addEventListener('click', () => {
+        if (!cmsState.availability) return;
+
+        const period = { start: '', end: '', note: '' };
+        cmsState.availability.blocked.push(period);
+
+        const empty = elements.availabilityBlocked.querySelector('.rate-card-help');
+        if (empty) empty.remove();
+
+        const row = createBlockedRow(period);
+        elements.availabilityBlocked.appendChild(row);
+        row.querySelector('input').focus();
+    });
+}
+
+if (elements.availabilityRefreshBtn) {
+    elements.availabilityRefreshBtn.addEventListener('click', () => {
+        loadAvailability();
+    });
+}
+
+// =====================
+// TOUR DATES EDITOR
+// =====================
+
+async function loadTourDates() {
+    if (!elements.tourDatesList) return;
+
+    elements.tourDatesList.innerHTML = '<div class="gallery-loading"><div class="loading-spinner"></div><p>Loading tour dates...</p></div>';
+
+    try {
+        const response = await fetchWithCORS(API_ENDPOINTS.CMS_TOUR_DATES, {
+            method: 'GET',
+            headers: {
+                'X-CMS-Password': cmsState.password,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        if (response.status === 404) {
+            // Nothing published yet
+            cmsState.tourDates = { tours: [] };
+        } else if (response.ok) {
+            const data = await response.json();
+            cmsState.tourDates = data ? (data.tour_dates || data) : { tours: [] };
+        } else {
+            throw new Error('Failed to load tour dates');
+        }
+
+        renderTourDatesEditor();
+    } catch (error) {
+        console.error('Error loading tour dates:', error);
+        elements.tourDatesList.innerHTML = '<div class="gallery-loading"><p style="color: #ff6b6b;">Failed to load tour dates</p></div>';
+    }
+}
+
+function createTourRow(tour) {
+    const row = document.createElement('div');
+    row.className = 'tour-dates-row';
+    row.dataset.status = tour.status;
+
+    const end = TourDates.parseDay(tour.end);
+    if (end && end < new Date(new Date().toDateString())) {
+        row.classList.add('is-past');
+    }
+
+    [['city', 'City', 'text'], ['start', 'From', 'date'], ['end', 'Until', 'date'], ['status', 'Status', 'select'], ['timezone', 'Time Zone', 'text'], ['note', 'Note', 'text']].forEach(([key, label, type]) => {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+
+        const labelEl = document.createElement('label');
+        labelEl.textContent = label;
+
+        let input;
+        if (type === 'select') {
+            input = document.createElement('select');
+            Object.entries(TourDates.STATUSES).forEach(([value, name]) => {
+                input.appendChild(new Option(name, value));
+            });
+        } else {
+            input = document.createElement('input');
+            input.type = type;
+        }
+        input.value = tour[key] || '';
+        if (key === 'city') input.placeholder = 'e.g. Calgary';
+        if (key === 'timezone') input.placeholder = 'Automatic';
+        if (key === 'note') input.placeholder = 'e.g. Downtown hotel';
+
+        input.addEventListener(type === 'select' ? 'change' : 'input', () => {
+            tour[key] = input.value.trim();
+            row.dataset.status = tour.status;
+        });
+
+        group.appendChild(labelEl);
+        group.appendChild(input);
+        row.appendChild(group);
+    });
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'btn btn-danger btn-small';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => {
+        const index = cmsState.tourDates.tours.indexOf(tour);
+        if (index !== -1) cmsState.tourDates.tours.splice(index, 1);
+        row.remove();
+    });
+    row.appendChild(removeBtn);
+
+    return row;
+}
+
+function renderTourDatesEditor() {
+    const data = cmsState.tourDates;
+    if (!data) return;
+
+    data.tours.sort((a, b) => String(a.start).localeCompare(String(b.start)));
+    elements.tourDatesList.innerHTML = '';
+    if (data.tours.length === 0) {
+        elements.tourDatesList.innerHTML = '<p class="rate-card-help">No tour stops.</p>';
+    }
+    data.tours.forEach(tour => {
+        elements.tourDatesList.appendChild(createTourRow(tour));
+    });
+}
+
+async function publishTourDates() {
+    if (!cmsState.tourDates) return;
+
+    const data = {
+        tours: cmsState.tourDates.tours.map(tour => {
+            const entry = { id: tour.id, city: tour.city, start: tour.start, end: tour.end, status: tour.status };
+            if (tour.timezone) entry.timezone = tour.timezone;
+            if (tour.note) entry.note = tour.note;
+            return entry;
+        })
+    };
+
+    const errors = TourDates.validate(data);
+    if (errors.length > 0) {
+        showError(elements.tourDatesMessage, errors.slice(0, 3).join(' · '));
+        return;
+    }
+
+    elements.tourDatesSaveBtn.disabled = true;
+
+    try {
+        const response = await fetchWithCORS(API_ENDPOINTS.CMS_TOUR_DATES, {
+            method: 'PUT',
+            headers: {
+                'X-CMS-Password': cmsState.password,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(data)
+        });
+
+        if (!response.ok) {
+            let message = 'Failed to publish tour dates';
+            try {
+                const error = await response.json();
+                message = error.detail?.error || error.detail || message;
+            } catch (e) {
+                // Not JSON, keep default message
+            }
+            throw new Error(message);
+        }
+
+        cmsState.tourDates = data;
+        renderTourDatesEditor();
+        showSuccess(elements.tourDatesMessage, 'Tour dates published');
+    } catch (error) {
+        console.error('Tour dates publish error:', error);
+        showError(elements.tourDatesMessage, error.message || 'Failed to publish tour dates');
+    } finally {
+        elements.tourDatesSaveBtn.disabled = false;
+    }
+}
+
+if (elements.tourDatesSaveBtn) {
+    elements.tourDatesSaveBtn.addEventListener('click', publishTourDates);
+}
+
+if (elements.tourDatesAddBtn) {
+    elements.tourDatesAddBtn.addEventListener('click', () => {
+        if (!cmsState.tourDates) return;
+
+        const tour = { id: `tour-${Date.now().toString(36)}`, city: '', start: '', end: '', status: 'confirmed', timezone: '', note: '' };
+        cmsState.tourDates.tours.push(tour);
+
+        const empty = elements.tourDatesList.querySelector('.rate-card-help');
+        if (empty) empty.remove();
+
+        const row = createTourRow(tour);
+        elements.tourDatesList.appendChild(row);
+        row.querySelector('input').focus();
+    });
+}
+
+if (elements.tourDatesRefreshBtn) {
+    elements.tourDatesRefreshBtn.addEventListener('click', () => {
+        loadTourDates();
+    });
+}
+
+// =====================
+// EMAIL TEMPLATES EDITOR
+// =====================
+
+// Template parts, keyed by the element that edits them
+const EMAIL_TEMPLATE_INPUTS = {
+    subject: 'emailTemplateSubjectInput',
+    text: 'emailTemplateTextInput',
+    html: 'emailTemplateHtmlInput'
+};
+
+async function loadEmailTemplates() {
+    if (!elements.emailTemplateSelect) return;
+
+    try {
+        const response = await fetchWithCORS(API_ENDPOINTS.CMS_EMAIL_TEMPLATES, {
+            method: 'GET',
+            headers: {
+                'X-CMS-Password': cmsState.password,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        if (response.status === 404) {
+            // Nothing published yet, start from the built-in wording
+            cmsState.emailTemplates = EmailTemplates.getDefaults();
+        } else if (response.ok) {
+            const data = await response.json();
+            cmsState.emailTemplates = data ? EmailTemplates.withDefaults(data.email_templates || data) : EmailTemplates.getDefaults();
+        } else {
+            throw new Error('Failed to load email templates');
+        }
+
+        renderEmailTemplatesEditor();
+    } catch (error) {
+        console.error('Error loading email templates:', error);
+        showError(elements.emailTemplatesMessage, 'Failed to load email templates');
+    }
+}
+
+function getSelectedEmailTemplate() {
+    const data = cmsState.emailTemplates;
+    return data && data.templates ? data.templates[elements.emailTemplateSelect.value] || null : null;
+}
+
+function renderEmailTemplatesEditor() {
+    const data = cmsState.emailTemplates;
+    if (!data || !data.templates || !elements.emailTemplateSelect) return;
+
+    const selected = elements.emailTemplateSelect.value;
+    elements.emailTemplateSelect.innerHTML = '';
+    Object.entries(data.templates).forEach(([name, template]) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = (template && template.label) || name;
+        elements.emailTemplateSelect.appendChild(option);
+    });
+    if (selected && data.templates[selected]) {
+        elements.emailTemplateSelect.value = selected;
+    }
+
+    elements.emailTemplateFields.innerHTML = '';
+    Object.entries(EmailTemplates.FIELDS).forEach(([field, description]) => {
+        const term = document.createElement('dt');
+        const code = document.createElement('code');
+        code.textContent = `{{${field}}}`;
+        term.appendChild(code);
+        const detail = document.createElement('dd');
+        detail.textContent = description;
+        elements.emailTemplateFields.appendChild(term);
+        elements.emailTemplateFields.appendChild(detail);
+    });
+
+    renderEmailTemplateForm();
+}
+
+function renderEmailTemplateForm() {
+    const template = getSelectedEmailTemplate() || {};
+    // Text messages only have a plain-text body
+    const isSms = template.channel === 'sms';
+    Object.entries(EMAIL_TEMPLATE_INPUTS).forEach(([part, key]) => {
+        elements[key].value = template[part] || '';
+        elements[key].disabled = isSms && part !== 'text';
+    });
+    elements.emailTemplatePreviewHtml.hidden = isSms;
+    renderEmailTemplatePreview();
+}
+
+/**
+ * Selected template filled in with a sample booking
+ */
+function renderEmailTemplatePreview() {
+    const name = elements.emailTemplateSelect.value;
+    if (!name) return;
+
+    try {
+        const email = EmailTemplates.render(name, EmailTemplates.SAMPLE_PARAMS, cmsState.emailTemplates);
+        elements.emailTemplatePreviewSubject.classList.remove('is-error');
+        elements.emailTemplatePreviewSubject.textContent = email.subject;
+        elements.emailTemplatePreviewText.textContent = email.text;
+        // Sandboxed, so nothing in the template can run
+        elements.emailTemplatePreviewHtml.srcdoc = email.html;
+    } catch (error) {
+        elements.emailTemplatePreviewSubject.classList.add('is-error');
+        elements.emailTemplatePreviewSubject.textContent = error.message;
+        elements.emailTemplatePreviewText.textContent = '';
+        elements.emailTemplatePreviewHtml.srcdoc = '';
+    }
+}
+
+async function publishEmailTemplates() {
+    if (!cmsState.emailTemplates) return;
+
+    const data = JSON.parse(JSON.stringify(cmsState.emailTemplates));
+    const errors = EmailTemplates.validate(data);
+    if (errors.length > 0) {
+        showError(elements.emailTemplatesMessage, errors.slice(0, 3).join(' · '));
+        return;
+    }
+
+    elements.emailTemplatesSaveBtn.disabled = true;
+
+    try {
+        const response = await fetchWithCORS(API_ENDPOINTS.CMS_EMAIL_TEMPLATES, {
+            method: 'PUT',
+            headers: {
+                'X-CMS-Password': cmsState.password,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(data)
+        });
+
+        if (!response.ok) {
+            let message = 'Failed to publish email templates';
+            try {
+                const error = await response.json();
+                message = error.detail?.error || error.detail || message;
+            } catch (e) {
+                // Not JSON, keep default message
+            }
+            throw new Error(message);
+        }
+
+        cmsState.emailTemplates = data;
+        showSuccess(elements.emailTemplatesMessage, 'Email templates published');
+    } catch (error) {
+        console.error('Email templates publish error:', error);
+        showError(elements.emailTemplatesMessage, error.message || 'Failed to publish email templates');
+    } finally {
+        elements.emailTemplatesSaveBtn.disabled = false;
+    }
+}
+
+if (elements.emailTemplateSelect) {
+    elements.emailTemplateSelect.addEventListener('change', renderEmailTemplateForm);
+
+    Object.entries(EMAIL_TEMPLATE_INPUTS).forEach(([part, key]) => {
+        elements[key].addEventListener('input', () => {
+            const template = getSelectedEmailTemplate();
+            if (!template) return;
+            template[part] = elements[key].value;
+            renderEmailTemplatePreview();
+        });
+    });
+}
+
+if (elements.emailTemplatesSaveBtn) {
+    elements.emailTemplatesSaveBtn.addEventListener('click', publishEmailTemplates);
+}
+
+if (elements.emailTemplatesResetBtn) {
+    elements.emailTemplatesResetBtn.addEventListener('click', () => {
+        if (!confirm('Replace the editor contents with the built-in wording? Nothing changes on the site until you publish.')) return;
+        cmsState.emailTemplates = EmailTemplates.getDefaults();
+        renderEmailTemplatesEditor();
+    });
+}
+
+if (elements.emailTemplatesRefreshBtn) {
+    elements.emailTemplatesRefreshBtn.addEventListener('click', () => {
+        loadEmailTemplates();
+    });
+}
+
+// =====================
+// STATISTICS
+// =====================
+
+function updateStatistics() {
+    elements.totalImages.textContent = cmsState.images.length;
+
+    // Calculate total storage (if available)
+    const totalBytes = cmsState.images.reduce((sum, img) => sum + (img.file_size || 0), 0);
+    elements.totalStorage.textContent = formatFileSize(totalBytes);
+}
+
+// =====================
+// UTILITY FUNCTIONS
+// =====================
+
+function showError(element, message) {
+    element.textContent = message;
+    element.className = 'cms-message error';
+    element.style.display = 'block';
+}
+
+function showSuccess(element, message) {
+    element.textContent = message;
+    element.className = 'cms-message success';
+    element.style.display = 'block';
+    setTimeout(() => {
+        element.style.display = 'none';
+    }, 5000);
+}
+
+function hideError(element) {
+    element.style.display = 'none';
+}
+
+function formatFileSize(bytes) {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
+}
+
+function formatDate(dateString) {
+    if (!dateString) return 'Unknown';
+    const date = new Date(dateString);
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * Format a booking time, in the booking city's zone when it was recorded
+ * (older bookings have no zone and are shown in this browser's time)
+ */
+function formatBookingDateTime(dateString, timeZone) {
+    if (!dateString) return 'Unknown';
+    const date = new Date(dateString);
+    if (isNaN(date.getTime())) return String(dateString);
+
+    const options = {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    };
+    if (timeZone) {
+        try {
+            return date.toLocaleString('en-US', Object.assign({ timeZone: timeZone, timeZoneName: 'short' }, options));
+        } catch (error) {
+            // Unknown zone name, fall back to this browser's time
+        }
+    }
+    return date.toLocaleString('en-US', options);
 }
 
 // =====================
@@ -0,0 +1,274 @@
+/**
+ * Deposit Payment Module
+ * Client payment page for a confirmed booking's deposit (deposit.html)
+ * - Loads the deposit by booking id and link token (API_ENDPOINTS.BOOKING_DEPOSIT)
+ * - Pays through the configured provider (payment-providers.js)
+ * - Asks the backend to confirm the provider's checkout session; only the deposit
+ *   it returns can show as paid
+ * - Picks up the session when returning from a hosted checkout
+ * - Links to the cancel/reschedule page with the same token
+ */
+
+(function() {
+    'use strict';
+
+    if (window.DepositPayment) {
+        console.warn('deposit-payment.js is already loaded, skipping');
+        return;
+    }
+
+    // ===========================
+    // Provider Configuration
+    // ===========================
+
+    // Selects how deposits are paid: 'hosted', or 'mock' when developing on localhost
+    // (see payment-providers.js)
+    const PAYMENT_CONFIG = {
+        provider: 'hosted',
+        hosted: {},
+        mock: {}
+    };
+
+    // Query parameters a checkout adds on the way back
+    const RETURN_PARAMS = ['payment', 'session_id'];
+
+    // ===========================
+    // Elements and State
+    // ===========================
+    const container = document.getElementById('deposit-payment');
+    if (!container) return;
+
+    const loading = document.getElementById('deposit-loading');
+    const errorPanel = document.getElementById('deposit-error');
+    const errorMessage = document.getElementById('deposit-error-message');
+    const details = document.getElementById('deposit-details');
+    const detailsIcon = document.getElementById('deposit-details-icon');
+    const detailsHeading = document.getElementById('deposit-details-heading');
+    const amountText = document.getElementById('deposit-amount');
+    const summary = document.getElementById('deposit-summary');
+    const statusText = document.getElementById('deposit-status');
+    const payButton = document.getElementById('deposit-pay-btn');
+    const manageLink = document.getElementById('deposit-manage-link');
+
+    const params = new URLSearchParams(window.location.search);
+    const bookingId = params.get('booking');
+    const token = params.get('token');
+
+    // Cancel/reschedule page for the same booking
+    if (manageLink && bookingId && token) {
+        manageLink.href = `cancel.html?booking=${encodeURIComponent(bookingId)}&token=${encodeURIComponent(token)}`;
+    }
+
+    // { deposit, booking } as returned by the API
+    let state = null;
+    let provider = null;
+
+    try {
+        provider = window.PaymentProviders.resolve(PAYMENT_CONFIG);
+    } catch (error) {
+        console.error('Payment provider configuration error:', error);
+    }
+
+    // ===========================
+    // Rendering
+    // ===========================
+
+    function showError(message) {
+        loading.hidden = true;
+        details.classList.add('hidden');
+        errorMessage.textContent = message;
+        errorPanel.classList.remove('hidden');
+    }
+
+    function renderSummary(deposit, booking) {
+        const rows = [
+            ['Date', ClientPages.formatDateTime(booking.preferred_datetime, booking.timezone)],
+            ['Length', booking.date_length && window.RateCard ? window.RateCard.describeTier(booking.date_length) : booking.date_length],
+            ['City', booking.city],
+            ['Deposit', deposit.rate ? `${Math.round(deposit.rate * 100)}% of your estimate` : null],
+            ['Reference', `#${bookingId}`]
+        ];
+
+        summary.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            if (!value) return;
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+            summary.appendChild(term);
+            summary.appendChild(detail);
+        });
+    }
+
+    function render() {
+        const deposit = state.deposit;
+        const booking = state.booking || {};
+        const status = BookingDeposit.getStatus(deposit);
+
+        loading.hidden = true;
+
+        if (booking.status === 'declined') {
+            showError('This booking has been cancelled, so no deposit is due.');
+            return;
+        }
+        if (!status) {
+            showError('No deposit is due for this booking yet.');
+            return;
+        }
+
+        errorPanel.classList.add('hidden');
+        details.classList.remove('hidden');
+        details.dataset.status = status;
+        detailsIcon.textContent = BookingDeposit.STATUSES[status].icon;
+        renderSummary(deposit, booking);
+
+        if (status === 'paid') {
+            detailsHeading.textContent = 'Deposit Paid';
+            amountText.textContent = `${BookingDeposit.formatAmount(deposit)} received`;
+            statusText.textContent = 'Thank you! Our date is secured. Keep this page for your records.';
+            payButton.hidden = true;
+            return;
+        }
+
+        detailsHeading.textContent = 'Deposit Due';
+        amountText.textContent = BookingDeposit.formatAmount(deposit);
+        statusText.textContent = status === 'failed'
+            ? `Your last payment didn't go through${deposit.failure_reason ? ` (${deposit.failure_reason})` : ''}. You can try again.`
+            : '';
+        payButton.hidden = false;
+        payButton.disabled = !provider;
+        payButton.textContent = `Pay ${BookingDeposit.formatAmount(deposit)}`;
+    }
+
+    // ===========================
+    // API
+    // ===========================
+
+    function getDepositUrl() {
+        return `${API_ENDPOINTS.BOOKING_DEPOSIT(encodeURIComponent(bookingId))}?token=${encodeURIComponent(token)}`;
+    }
+
+    async function loadDeposit() {
+        try {
+            const data = await ClientPages.requestJson(getDepositUrl());
+            state = { deposit: data && data.deposit, booking: (data && data.booking) || {} };
+            return true;
+        } catch (error) {
+            console.error('Error loading deposit:', error);
+            showError(error.status === 404 || error.status === 403
+                ? 'This payment link is invalid or has expired.'
+                : 'Please check your connection and reload the page.');
+            return false;
+        }
+    }
+
+    /**
+     * Ask the backend to confirm a checkout session with the provider
+     * The page only shows what the backend returns; nothing is marked paid here
+     * @param {Object} session - { provider, sessionId }
+     */
+    async function confirmPayment(session) {
+        statusText.textContent = 'Confirming your payment...';
+
+        try {
+            const data = await ClientPages.requestJson(API_ENDPOINTS.BOOKING_DEPOSIT(encodeURIComponent(bookingId)), {
+                method: 'POST',
+                body: {
+                    token: token,
+                    provider: session.provider,
+                    session_id: session.sessionId
+                }
+            });
+            if (data && data.deposit) state.deposit = data.deposit;
+            render();
+
+            if (BookingDeposit.getStatus(state.deposit) === 'requested') {
+                statusText.textContent = "We haven't received your payment yet. If you completed checkout, " +
+                    'reload this page in a minute to see it confirmed.';
+            }
+        } catch (error) {
+            console.error('Error confirming deposit payment:', error);
+            render();
+            statusText.textContent = "We couldn't confirm your payment yet. If you were charged, " +
+                `please reply to your confirmation with this payment reference: ${session.sessionId || 'unavailable'}.`;
+        }
+    }
+
+    // ===========================
+    // Payment
+    // ===========================
+
+    // This page's URL without any checkout result, for the provider to return to
+    function getReturnUrl() {
+        const url = new URL(window.location.href);
+        RETURN_PARAMS.forEach(name => url.searchParams.delete(name));
+        return url.toString();
+    }
+
+    async function pay() {
+        if (!provider || !state || !BookingDeposit.isPayable(state.deposit)) return;
+
+        payButton.disabled = true;
+        statusText.textContent = 'Processing your payment...';
+
+        let result;
+        try {
+            result = await provider.pay({
+                bookingId: bookingId,
+                token: token,
+                amount: state.deposit.amount,
+                currency: state.deposit.currency,
+                returnUrl: getReturnUrl()
+            });
+        } catch (error) {
+            console.error('Deposit payment error:', error);
+            statusText.textContent = 'We could not start the payment. Please try again in a moment.';
+            payButton.disabled = false;
+            return;
+        }
+
+        if (result.status === 'redirect') {
+            statusText.textContent = 'Taking you to secure checkout...';
+            return;
+        }
+
+        await confirmPayment(result);
+    }
+
+    payButton.addEventListener('click', pay);
+
+    // ===========================
+    // Initialize
+    // ===========================
+
+    async function init() {
+        if (!bookingId || !token) {
+            showError('This payment link is incomplete.');
+            return;
+        }
+        if (!(await loadDeposit())) return;
+
+        // Back from a hosted checkout: have its session confirmed once, then tidy the URL
+        const returned = provider ? provider.complete(params) : null;
+        if (returned && !returned.cancelled && returned.sessionId && BookingDeposit.isPayable(state.deposit)) {
+            await confirmPayment(returned);
+        } else {
+            render();
+            if (returned && returned.cancelled && BookingDeposit.isPayable(state.deposit)) {
+                statusText.textContent = 'Payment was cancelled. You can try again whenever you are ready.';
+            }
+        }
+        if (returned) {
+            window.history.replaceState(null, '', getReturnUrl());
+        }
+    }
+
+    init();
+
+    // Export for external use if needed
+    window.DepositPayment = {
+        getProvider: () => (provider ? provider.name : null)
+    };
+
+})();
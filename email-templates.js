@@ -0,0 +1,553 @@
+/**
+ * Email Templates Module
+ * Wording of the messages sent for booking requests, editable in the CMS
+ * - Named templates, each with a subject, plain-text body and HTML body
+ *   (text messages have a plain-text body only)
+ * - {{placeholders}} for every booking field, escaped in HTML
+ * - {{#if field}} ... {{else}} ... {{/if}} conditional sections
+ * - Published templates loaded from the API, built-in defaults as fallback
+ */
+
+(function() {
+    'use strict';
+
+    // ===========================
+    // Configuration
+    // ===========================
+    const CONFIG = {
+        // HTTP request timeout (ms)
+        REQUEST_TIMEOUT: 10000
+    };
+
+    // ===========================
+    // Fields
+    // ===========================
+
+    // Placeholders a template can use, as filled in by the booking form
+    const FIELDS = {
+        client_name: 'Full name',
+        client_email: 'Email address',
+        client_phone: 'Phone number',
+        client_pronouns: 'Pronouns',
+        preferred_contact: 'Preferred contact method',
+        client_age: 'Age, from their date of birth',
+        desired_city: 'City',
+        date_length: 'Date length, e.g. "Meet & Greet (1 hour)"',
+        meal_included: 'Yes or No',
+        preferred_datetime: "Preferred date and time, in the city's time zone",
+        client_datetime: "The same time in the client's zone (empty when it's the same)",
+        timezone: "The city's time zone",
+        location_type: 'Incall or Outcall',
+        screening: 'Screening method (details are never emailed)',
+        screening_note: 'Where to find the screening details',
+        additional_info: 'Anything else they added',
+        estimated_total: 'Estimated total from the rate card',
+        deposit_due: 'Deposit from the rate card',
+        booking_id: 'Booking number (empty if it could not be stored)',
+        booking_reference: 'Booking number, or "Not stored"',
+        status_url: "Link to the client's status page (empty if not stored)",
+        etiquette_url: 'Link to the etiquette and terms page',
+        deposit_policy_url: 'Link to the deposit and cancellation policy',
+        submitted_at: 'When the request was sent'
+    };
+
+    // Values used for previews in the CMS
+    const SAMPLE_PARAMS = {
+        client_name: 'Alex Morgan',
+        client_email: 'alex@example.com',
+        client_phone: '780-555-0123',
+        client_pronouns: 'he/him',
+        preferred_contact: 'email',
+        client_age: '34',
+        desired_city: 'Edmonton',
+        date_length: 'Call Me Baby (3 hours)',
+        meal_included: 'Yes',
+        preferred_datetime: 'Friday, November 20, 2026 at 07:00 PM MST (America/Edmonton)',
+        client_datetime: 'Friday, November 20, 2026 at 06:00 PM PST',
+        timezone: 'America/Edmonton',
+        location_type: 'Outcall',
+        screening: 'Provider references',
+        screening_note: ' (details stored with booking #42, view them in the CMS)',
+        additional_info: 'First time booking. Looking forward to dinner!',
+        estimated_total: '$1,400',
+        deposit_due: '$280 (20%)',
+        booking_id: '42',
+        booking_reference: '42',
+        status_url: 'https://example.com/book-status.html?token=sample',
+        etiquette_url: 'https://example.com/etiquette.html',
+        deposit_policy_url: 'https://example.com/services.html#deposits',
+        submitted_at: 'Monday, October 19, 2026 at 9:30 AM MDT'
+    };
+
+    // Values that count as false in {{#if}} (compared case-insensitively, trimmed)
+    const FALSE_VALUES = ['', 'no', 'false', '0'];
+
+    // ===========================
+    // Default Templates
+    // ===========================
+
+    // Built-in templates, used until (or if) published ones load from the API.
+    // The CMS edits and publishes a document of exactly this shape.
+    const DEFAULT_TEMPLATES = {
+        templates: {
+            booking_request: {
+                label: 'New booking request (to me)',
+                subject: 'New Booking Request from {{client_name}}',
+                text: `═══════════════════════════════════════
+         NEW BOOKING REQUEST
+═══════════════════════════════════════
+
+CLIENT INFORMATION:
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+Name: {{client_name}}
+Email: {{client_email}}
+Phone: {{client_phone}}
+Pronouns: {{client_pronouns}}
+Age: {{client_age}}
+Preferred Contact: {{preferred_contact}}
+
+BOOKING DETAILS:
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+Desired City: {{desired_city}}
+Date Length: {{date_length}}
+{{#if meal_included}}
+Meal Included: Yes
+{{/if}}
+Preferred Date/Time: {{preferred_datetime}}
+{{#if client_datetime}}
+Client's Local Time: {{client_datetime}}
+{{/if}}
+Location Preference: {{location_type}}
+Screening: {{screening}}{{screening_note}}
+
+ESTIMATE:
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+Estimated Total: {{estimated_total}}
+Deposit Due: {{deposit_due}}
+
+ADDITIONAL INFORMATION:
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+{{additional_info}}
+
+═══════════════════════════════════════
+Submitted: {{submitted_at}}
+{{#if booking_id}}
+Reference: #{{booking_id}}
+{{/if}}
+═══════════════════════════════════════`,
+                html: `<h2 style="font-family: Georgia, serif; color: #b8860b;">New Booking Request</h2>
+
+<h3>Client Information</h3>
+<table cellpadding="4">
+  <tr><td><strong>Name</strong></td><td>{{client_name}}</td></tr>
+  <tr><td><strong>Email</strong></td><td><a href="mailto:{{client_email}}">{{client_email}}</a></td></tr>
+  <tr><td><strong>Phone</strong></td><td>{{client_phone}}</td></tr>
+  <tr><td><strong>Pronouns</strong></td><td>{{client_pronouns}}</td></tr>
+  <tr><td><strong>Age</strong></td><td>{{client_age}}</td></tr>
+  <tr><td><strong>Preferred Contact</strong></td><td>{{preferred_contact}}</td></tr>
+</table>
+
+<h3>Booking Details</h3>
+<table cellpadding="4">
+  <tr><td><strong>Desired City</strong></td><td>{{desired_city}}</td></tr>
+  <tr><td><strong>Date Length</strong></td><td>{{date_length}}</td></tr>
+  {{#if meal_included}}
+  <tr><td><strong>Meal Included</strong></td><td>Yes</td></tr>
+  {{/if}}
+  <tr><td><strong>Preferred Date/Time</strong></td><td>{{preferred_datetime}}</td></tr>
+  {{#if client_datetime}}
+  <tr><td><strong>Client's Local Time</strong></td><td>{{client_datetime}}</td></tr>
+  {{/if}}
+  <tr><td><strong>Location Preference</strong></td><td>{{location_type}}</td></tr>
+  <tr><td><strong>Screening</strong></td><td>{{screening}}{{screening_note}}</td></tr>
+</table>
+
+<h3>Estimate</h3>
+<table cellpadding="4">
+  <tr><td><strong>Estimated Total</strong></td><td>{{estimated_total}}</td></tr>
+  <tr><td><strong>Deposit Due</strong></td><td>{{deposit_due}}</td></tr>
+</table>
+
+<h3>Additional Information</h3>
+<p>{{additional_info}}</p>
+
+<p style="color: #777;">Submitted {{submitted_at}}{{#if booking_id}} · Reference #{{booking_id}}{{/if}}</p>`
+            },
+
+            client_acknowledgement: {
+                label: 'Request received (to the client)',
+                subject: 'I received your booking request{{#if booking_id}} (#{{booking_id}}){{/if}}',
+                text: `Hi {{client_name}},
+
+Thank you for your booking request! I've received it and will be in touch within 24 hours by {{preferred_contact}}. Nothing is confirmed until I reply.
+
+YOUR REQUEST:
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+City: {{desired_city}}
+Date Length: {{date_length}}
+Preferred Date/Time: {{preferred_datetime}}
+{{#if client_datetime}}
+Your Local Time: {{client_datetime}}
+{{/if}}
+Location: {{location_type}}
+Estimated Total: {{estimated_total}}
+Deposit Due: {{deposit_due}}
+{{#if booking_id}}
+Reference: #{{booking_id}}
+{{/if}}
+
+Once your date is confirmed, a deposit secures it. Please read the deposit and cancellation policy: {{deposit_policy_url}}
+
+Before we meet, please also read my etiquette and terms: {{etiquette_url}}
+{{#if status_url}}
+
+Check on your request, pay your deposit or reschedule any time: {{status_url}}
+{{/if}}
+
+Talk soon,
+Makayla`,
+                html: `<p>Hi {{client_name}},</p>
+
+<p>Thank you for your booking request! I've received it and will be in touch within 24 hours by {{preferred_contact}}. Nothing is confirmed until I reply.</p>
+
+<h3 style="font-family: Georgia, serif; color: #b8860b;">Your Request</h3>
+<table cellpadding="4">
+  <tr><td><strong>City</strong></td><td>{{desired_city}}</td></tr>
+  <tr><td><strong>Date Length</strong></td><td>{{date_length}}</td></tr>
+  <tr><td><strong>Preferred Date/Time</strong></td><td>{{preferred_datetime}}</td></tr>
+  {{#if client_datetime}}
+  <tr><td><strong>Your Local Time</strong></td><td>{{client_datetime}}</td></tr>
+  {{/if}}
+  <tr><td><strong>Location</strong></td><td>{{location_type}}</td></tr>
+  <tr><td><strong>Estimated Total</strong></td><td>{{estimated_total}}</td></tr>
+  <tr><td><strong>Deposit Due</strong></td><td>{{deposit_due}}</td></tr>
+  {{#if booking_id}}
+  <tr><td><strong>Reference</strong></td><td>#{{booking_id}}</td></tr>
+  {{/if}}
+</table>
+
+<p>Once your date is confirmed, a deposit secures it. Please read the <a href="{{deposit_policy_url}}">deposit and cancellation policy</a>, and my <a href="{{etiquette_url}}">etiquette and terms</a> before we meet.</p>
+{{#if status_url}}
+
+<p><a href="{{status_url}}">Check on your request</a>, pay your deposit or reschedule any time.</p>
+{{/if}}
+
+<p>Talk soon,<br>Makayla</p>`
+            },
+
+            client_acknowledgement_sms: {
+                label: 'Request received (text message to the client)',
+                channel: 'sms',
+                text: `Hi {{client_name}}, I received your booking request{{#if booking_id}} (#{{booking_id}}){{/if}} and will be in touch within 24 hours. Deposit policy: {{deposit_policy_url}} Etiquette: {{etiquette_url}}{{#if status_url}} Your request: {{status_url}}{{/if}} - Makayla`
+            }
+        }
+    };
+
+    // ===========================
+    // Template Language
+    // ===========================
+
+    // {{field}}, {{#if field}}, {{else}}, {{/if}}
+    const TAG_PATTERN = /\{\{\s*(#if\s+|else|\/if)?\s*([A-Za-z0-9_]*)\s*\}\}/g;
+
+    // A block tag alone on its line takes the whole line with it
+    const STANDALONE_TAG_PATTERN = /^[ \t]*(\{\{\s*(?:#if\s+[A-Za-z0-9_]+|else|\/if)\s*\}\})[ \t]*\r?\n/gm;
+
+    /**
+     * Parse a template into text, field and condition nodes
+     * Throws on unbalanced {{#if}} / {{else}} / {{/if}}
+     */
+    function parse(source) {
+        const root = [];
+        const stack = [{ node: null, list: root }];
+        const input = String(source || '').replace(STANDALONE_TAG_PATTERN, '$1');
+        let last = 0;
+        let match;
+
+        TAG_PATTERN.lastIndex = 0;
+        while ((match = TAG_PATTERN.exec(input)) !== null) {
+            const top = stack[stack.length - 1];
+            const keyword = match[1] ? match[1].trim() : null;
+            const name = match[2];
+
+            if (match.index > last) {
+                top.list.push(input.slice(last, match.index));
+            }
+            last = TAG_PATTERN.lastIndex;
+
+            if (!keyword) {
+                if (!name) throw new Error('Empty placeholder {{}}');
+                top.list.push({ field: name });
+            } else if (keyword === '#if') {
+                if (!name) throw new Error('{{#if}} needs a field name');
+                const node = { condition: name, then: [], otherwise: [] };
+                top.list.push(node);
+                stack.push({ node: node, list: node.then });
+            } else if (keyword === 'else') {
+                if (!top.node || top.list === top.node.otherwise) {
+                    throw new Error('{{else}} without a matching {{#if}}');
+                }
+                top.list = top.node.otherwise;
+            } else {
+                if (!top.node) throw new Error('{{/if}} without a matching {{#if}}');
+                stack.pop();
+            }
+        }
+
+        if (stack.length > 1) {
+            throw new Error(`{{#if ${stack[stack.length - 1].node.condition}}} is never closed with {{/if}}`);
+        }
+        if (last < input.length) {
+            root.push(input.slice(last));
+        }
+        return root;
+    }
+
+    function isTruthy(value) {
+        return value != null && value !== false && !FALSE_VALUES.includes(String(value).trim().toLowerCase());
+    }
+
+    function escapeHtml(value) {
+        return value
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    function renderNodes(nodes, params, html) {
+        return nodes.map(node => {
+            if (typeof node === 'string') return node;
+            if (node.condition) {
+                return renderNodes(isTruthy(params[node.condition]) ? node.then : node.otherwise, params, html);
+            }
+
+            const value = params[node.field] == null ? '' : String(params[node.field]);
+            return html ? escapeHtml(value).replace(/\r?\n/g, '<br>') : value;
+        }).join('');
+    }
+
+    /**
+     * Fill in a template string
+     * @param {string} source - Template text
+     * @param {Object} params - Placeholder values
+     * @param {Object} options - { html: escape values for HTML }
+     */
+    function renderString(source, params = {}, options = {}) {
+        return renderNodes(parse(source), params, Boolean(options.html));
+    }
+
+    /**
+     * Field names a template string refers to
+     */
+    function getPlaceholders(source) {
+        const names = new Set();
+        const walk = (nodes) => nodes.forEach(node => {
+            if (typeof node === 'string') return;
+            if (node.condition) {
+                names.add(node.condition);
+                walk(node.then);
+                walk(node.otherwise);
+            } else {
+                names.add(node.field);
+            }
+        });
+        walk(parse(source));
+        return Array.from(names);
+    }
+
+    // ===========================
+    // State
+    // ===========================
+
+    // Active templates (defaults until published ones are loaded)
+    let templates = clone(DEFAULT_TEMPLATES);
+    let source = 'defaults';
+    const listeners = [];
+
+    function clone(data) {
+        return JSON.parse(JSON.stringify(data));
+    }
+
+    function getData() {
+        return templates;
+    }
+
+    function getDefaults() {
+        return clone(DEFAULT_TEMPLATES);
+    }
+
+    /**
+     * Copy of a templates document with any built-in template it lacks added
+     * (documents published before a template existed)
+     */
+    function withDefaults(data) {
+        const merged = clone(data);
+        if (!merged || typeof merged !== 'object') return merged;
+
+        merged.templates = { ...clone(DEFAULT_TEMPLATES.templates), ...(merged.templates || {}) };
+        return merged;
+    }
+
+    /**
+     * Check a templates document before it is used or published
+     * @returns {string[]} Problems found (empty when valid)
+     */
+    function validate(data) {
+        const errors = [];
+
+        if (!data || typeof data !== 'object' || !data.templates || typeof data.templates !== 'object') {
+            return ['Email templates must be an object with a templates map'];
+        }
+
+        // The site sends every built-in template, so none can be removed
+        Object.keys(DEFAULT_TEMPLATES.templates).forEach(name => {
+            if (!data.templates[name]) errors.push(`Missing template: ${name}`);
+        });
+
+        Object.entries(data.templates).forEach(([name, template]) => {
+            if (!template || typeof template !== 'object') {
+                errors.push(`Template ${name} must be an object`);
+                return;
+            }
+            // Text messages have no subject or HTML
+            const parts = template.channel === 'sms' ? ['text'] : ['subject', 'text', 'html'];
+            parts.forEach(part => {
+                if (typeof template[part] !== 'string' || !template[part].trim()) {
+                    errors.push(`${name}: ${part} is empty`);
+                    return;
+                }
+                try {
+                    getPlaceholders(template[part])
+                        .filter(field => !(field in FIELDS))
+                        .forEach(field => errors.push(`${name} ${part}: unknown placeholder {{${field}}}`));
+                } catch (error) {
+                    errors.push(`${name} ${part}: ${error.message}`);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Replace the active templates and notify listeners
+     * Throws if the document is invalid
+     */
+    function setData(data, from = 'custom') {
+        const errors = validate(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid email templates: ${errors.join('; ')}`);
+        }
+
+        templates = clone(data);
+        source = from;
+        listeners.forEach(listener => {
+            try {
+                listener(templates);
+            } catch (error) {
+                console.error('Email templates listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Subscribe to template changes (e.g. after the published templates load)
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    /**
+     * Load the published templates from the API, keeping the current ones on failure
+     * @returns {Promise<Object>} Active templates
+     */
+    async function load() {
+        if (typeof API_ENDPOINTS === 'undefined' || !API_ENDPOINTS.EMAIL_TEMPLATES) {
+            return templates;
+        }
+
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeoutId = controller ? setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT) : null;
+
+        try {
+            const response = await fetch(API_ENDPOINTS.EMAIL_TEMPLATES, {
+                method: 'GET',
+                mode: 'cors',
+                credentials: 'omit',
+                signal: controller ? controller.signal : undefined
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            // Endpoint returns null until templates have been published
+            if (data) {
+                setData(withDefaults(data.email_templates || data), 'api');
+            }
+        } catch (error) {
+            console.warn('Using built-in email templates:', error.message);
+        } finally {
+            if (timeoutId) clearTimeout(timeoutId);
+        }
+
+        return templates;
+    }
+
+    // ===========================
+    // Rendering
+    // ===========================
+
+    /**
+     * Render a named template
+     * @param {string} name - Template name, e.g. 'booking_request'
+     * @param {Object} params - Placeholder values
+     * @param {Object} [data] - Templates document (defaults to the active one)
+     * @returns {{ subject: string, text: string, html: string }} (subject and html are
+     *   empty for text messages)
+     */
+    function render(name, params = {}, data = templates) {
+        const template = data.templates[name] || DEFAULT_TEMPLATES.templates[name];
+        if (!template) {
+            throw new Error(`Unknown email template: ${name}`);
+        }
+
+        return {
+            subject: template.subject ? renderString(template.subject, params).replace(/\s+/g, ' ').trim() : '',
+            text: renderString(template.text, params),
+            html: template.html ? renderString(template.html, params, { html: true }) : ''
+        };
+    }
+
+    // ===========================
+    // Export to global scope
+    // ===========================
+    const EmailTemplates = {
+        FIELDS: FIELDS,
+        SAMPLE_PARAMS: SAMPLE_PARAMS,
+        getData: getData,
+        getDefaults: getDefaults,
+        withDefaults: withDefaults,
+        getSource: () => source,
+        setData: setData,
+        validate: validate,
+        load: load,
+        onChange: onChange,
+        parse: parse,
+        renderString: renderString,
+        getPlaceholders: getPlaceholders,
+        render: render
+    };
+
+    if (typeof window !== 'undefined') {
+        window.EmailTemplates = EmailTemplates;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = EmailTemplates;
+    }
+
+})();
@@ -0,0 +1,207 @@
+/**
+ * Gallery Access Module
+ * Per-image visibility for the gallery, shared by the CMS and the public gallery
+ * - public: shown to everyone
+ * - teaser: shown blurred until unlocked
+ * - members: only shown once unlocked
+ * - Unlock with an access code, or a token from a link (?access=...), checked by the API
+ * - Bulk visibility changes, as per-image updates for the bulk endpoint
+ *
+ * Locking here only decides what the page shows; the API has to withhold what a
+ * locked visitor may not see. Without a valid access token it leaves members-only
+ * images out, and sends teasers with only a `teaser_url`: a blurred derivative
+ * Cloudinary serves under strict transformations (or as a signed URL), never the
+ * original `cloudinary_url`. The original then never reaches the page or its cache.
+ */
+
+(function() {
+    'use strict';
+
+    // ===========================
+    // Configuration
+    // ===========================
+    const CONFIG = {
+        // Where the access token is kept between visits
+        STORAGE_KEY: 'galleryAccess',
+
+        // Query string parameter for links that unlock the gallery
+        TOKEN_PARAM: 'access',
+
+        // Header gallery requests carry the token in
+        TOKEN_HEADER: 'X-Gallery-Access',
+
+        DEFAULT_VISIBILITY: 'public',
+
+        // HTTP request timeout (ms)
+        REQUEST_TIMEOUT: 10000
+    };
+
+    const VISIBILITIES = {
+        public: { label: 'Public', icon: '👁️' },
+        teaser: { label: 'Teaser (blurred)', icon: '🌫️' },
+        members: { label: 'Members only', icon: '🔒' }
+    };
+
+    // ===========================
+    // Visibility
+    // ===========================
+
+    function getVisibility(image) {
+        return image && VISIBILITIES[image.visibility] ? image.visibility : CONFIG.DEFAULT_VISIBILITY;
+    }
+
+    function getLabel(visibility) {
+        const definition = VISIBILITIES[visibility] || VISIBILITIES[CONFIG.DEFAULT_VISIBILITY];
+        return `${definition.icon} ${definition.label}`;
+    }
+
+    /**
+     * Whether an image is locked for this visitor
+     * The API can also mark an image locked (e.g. when the token has been revoked)
+     */
+    function isLocked(image, now = Date.now()) {
+        if (getVisibility(image) === 'public') return false;
+        return !hasAccess(now) || image.locked === true;
+    }
+
+    /**
+     * Whether a locked image is left out of the gallery entirely (members-only)
+     */
+    function isHidden(image, now = Date.now()) {
+        return getVisibility(image) === 'members' && isLocked(image, now);
+    }
+
+    /**
+     * Per-image updates setting a visibility, skipping images that already have it
+     * @returns {{ id, visibility: string }[]}
+     */
+    function buildVisibilityUpdates(images, visibility) {
+        if (!VISIBILITIES[visibility]) {
+            throw new Error(`Unknown gallery visibility: ${visibility}`);
+        }
+        return images
+            .filter(image => getVisibility(image) !== visibility)
+            .map(image => ({ id: image.id, visibility: visibility }));
+    }
+
+    // ===========================
+    // Access Token
+    // ===========================
+
+    function readStorage() {
+        try {
+            return JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Stored access, if it hasn't expired
+     * @returns {{ token: string, expires_at: string|null }|null}
+     */
+    function getAccess(now = Date.now()) {
+        const access = readStorage();
+        if (!access || typeof access.token !== 'string' || !access.token) return null;
+        if (access.expires_at && new Date(access.expires_at).getTime() <= now) return null;
+        return access;
+    }
+
+    function hasAccess(now = Date.now()) {
+        return getAccess(now) !== null;
+    }
+
+    /**
+     * Headers that let the API include members-only images
+     */
+    function getHeaders() {
+        const access = getAccess();
+        return access ? { [CONFIG.TOKEN_HEADER]: access.token } : {};
+    }
+
+    /**
+     * Forget the stored access (lock the gallery again)
+     */
+    function clear() {
+        try {
+            localStorage.removeItem(CONFIG.STORAGE_KEY);
+        } catch (error) {
+            console.warn('Failed to clear gallery access:', error);
+        }
+    }
+
+    /**
+     * Check an access code or link token with the API and keep the access it grants
+     * @param {Object} credentials - { code } or { token }
+     * @returns {Promise<{ token: string, expires_at: string|null }>}
+     *   Rejects with an Error carrying `status` when the API refuses it
+     */
+    async function unlock(credentials) {
+        if (typeof API_ENDPOINTS === 'undefined' || !API_ENDPOINTS.GALLERY_ACCESS) {
+            throw new Error('Gallery access endpoint is not configured');
+        }
+
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeoutId = controller ? setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT) : null;
+
+        try {
+            const response = await fetch(API_ENDPOINTS.GALLERY_ACCESS, {
+                method: 'POST',
+                mode: 'cors',
+                credentials: 'omit',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    code: credentials.code || null,
+                    token: credentials.token || null
+                }),
+                signal: controller ? controller.signal : undefined
+            });
+
+            if (!response.ok) {
+                const error = new Error(`HTTP error! status: ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+
+            const data = await response.json();
+            if (!data || typeof data.token !== 'string' || !data.token) {
+                throw new Error('Gallery access response has no token');
+            }
+
+            const access = { token: data.token, expires_at: data.expires_at || null };
+            localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(access));
+            return access;
+        } finally {
+            if (timeoutId) clearTimeout(timeoutId);
+        }
+    }
+
+    // ===========================
+    // Export to global scope
+    // ===========================
+    const GalleryAccess = {
+        CONFIG: CONFIG,
+        VISIBILITIES: VISIBILITIES,
+        getVisibility: getVisibility,
+        getLabel: getLabel,
+        isLocked: isLocked,
+        isHidden: isHidden,
+        buildVisibilityUpdates: buildVisibilityUpdates,
+        getAccess: getAccess,
+        hasAccess: hasAccess,
+        getHeaders: getHeaders,
+        clear: clear,
+        unlock: unlock
+    };
+
+    if (typeof window !== 'undefined') {
+        window.GalleryAccess = GalleryAccess;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = GalleryAccess;
+    }
+
+})();
@@ -0,0 +1,183 @@
+/**
+ * Gallery Albums Module
+ * Tags and named albums for gallery images, shared by the CMS and the public gallery
+ * - Tags are short lowercase labels, many per image
+ * - Each image is in at most one album (album_id); albums have a name and a URL slug
+ * - Bulk tag changes and album moves, as per-image updates for the bulk endpoint
+ */
+
+(function() {
+    'use strict';
+
+    // ===========================
+    // Configuration
+    // ===========================
+    const CONFIG = {
+        MAX_TAG_LENGTH: 30,
+        MAX_TAGS: 20,
+        MAX_ALBUM_NAME_LENGTH: 60,
+
+        // Query string parameter the public gallery uses for the chosen album
+        FILTER_PARAM: 'album'
+    };
+
+    // ===========================
+    // Tags
+    // ===========================
+
+    /**
+     * Canonical form of a tag: lowercase, no leading #, words joined with dashes
+     * @returns {string} '' when nothing usable is left
+     */
+    function normalizeTag(tag) {
+        return String(tag == null ? '' : tag)
+            .trim()
+            .replace(/^#+/, '')
+            .toLowerCase()
+            .replace(/\s+/g, '-')
+            .replace(/[^\p{L}\p{N}_-]/gu, '')
+            .slice(0, CONFIG.MAX_TAG_LENGTH);
+    }
+
+    /**
+     * Tags typed as a comma-separated list, normalized and without duplicates
+     */
+    function parseTags(text) {
+        const tags = [];
+        String(text || '').split(',').forEach(part => {
+            const tag = normalizeTag(part);
+            if (tag && !tags.includes(tag)) tags.push(tag);
+        });
+        return tags;
+    }
+
+    function getTags(image) {
+        return image && Array.isArray(image.tags) ? image.tags : [];
+    }
+
+    /**
+     * An image's tags after adding and removing some
+     * @param {string[]} tags - Current tags
+     * @param {Object} changes - { add: string[], remove: string[] }
+     */
+    function applyTags(tags, changes = {}) {
+        const remove = new Set(changes.remove || []);
+        const result = (tags || []).filter(tag => !remove.has(tag));
+        (changes.add || []).forEach(tag => {
+            if (!result.includes(tag)) result.push(tag);
+        });
+        return result.slice(0, CONFIG.MAX_TAGS);
+    }
+
+    // ===========================
+    // Albums
+    // ===========================
+
+    /**
+     * URL slug for an album name, e.g. "Summer '25" -> "summer-25"
+     */
+    function slugify(name) {
+        return String(name || '')
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Check a new or changed album name
+     * @param {string} name - Proposed name
+     * @param {Object[]} albums - Existing albums
+     * @param {*} [exceptId] - Album being renamed (its own name doesn't clash)
+     * @returns {string|null} Problem found, or null when the name is fine
+     */
+    function validateAlbumName(name, albums = [], exceptId = null) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) return 'Album name is required';
+        if (trimmed.length > CONFIG.MAX_ALBUM_NAME_LENGTH) {
+            return `Album name must be ${CONFIG.MAX_ALBUM_NAME_LENGTH} characters or fewer`;
+        }
+
+        const slug = slugify(trimmed);
+        if (!slug) return 'Album name needs at least one letter or number';
+
+        const clash = albums.find(album => album.id !== exceptId && (album.slug || slugify(album.name)) === slug);
+        return clash ? `An album called "${clash.name}" already exists` : null;
+    }
+
+    /**
+     * Album by id or slug
+     */
+    function findAlbum(albums, key) {
+        if (key == null || key === '') return null;
+        return (albums || []).find(album => String(album.id) === String(key) || album.slug === key) || null;
+    }
+
+    /**
+     * Images in an album
+     * @param {Object[]} images - Gallery images
+     * @param {string} album - 'all', 'none' (not in any album) or an album id
+     */
+    function filterByAlbum(images, album = 'all') {
+        if (album === 'all') return images;
+        if (album === 'none') return images.filter(image => image.album_id == null);
+        return images.filter(image => String(image.album_id) === String(album));
+    }
+
+    // ===========================
+    // Bulk Updates
+    // ===========================
+
+    /**
+     * Per-image updates for a bulk tag change, skipping images that wouldn't change
+     * @returns {{ id, tags: string[] }[]}
+     */
+    function buildTagUpdates(images, changes) {
+        return images.reduce((updates, image) => {
+            const current = getTags(image);
+            const tags = applyTags(current, changes);
+            if (tags.length !== current.length || tags.some((tag, index) => tag !== current[index])) {
+                updates.push({ id: image.id, tags: tags });
+            }
+            return updates;
+        }, []);
+    }
+
+    /**
+     * Per-image updates moving images into an album (null takes them out of any)
+     * @returns {{ id, album_id }[]}
+     */
+    function buildAlbumUpdates(images, albumId) {
+        const target = albumId == null ? null : String(albumId);
+        return images
+            .filter(image => (image.album_id == null ? null : String(image.album_id)) !== target)
+            .map(image => ({ id: image.id, album_id: albumId }));
+    }
+
+    // ===========================
+    // Export to global scope
+    // ===========================
+    const GalleryAlbums = {
+        CONFIG: CONFIG,
+        normalizeTag: normalizeTag,
+        parseTags: parseTags,
+        getTags: getTags,
+        applyTags: applyTags,
+        slugify: slugify,
+        validateAlbumName: validateAlbumName,
+        findAlbum: findAlbum,
+        filterByAlbum: filterByAlbum,
+        buildTagUpdates: buildTagUpdates,
+        buildAlbumUpdates: buildAlbumUpdates
+    };
+
+    if (typeof window !== 'undefined') {
+        window.GalleryAlbums = GalleryAlbums;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = GalleryAlbums;
+    }
+
+})();
@@ -1,6 +1,8 @@
 /**
  * Gallery API Integration
  * Fetches gallery images from the backend API and renders them dynamically
+ * Album filter chips narrow the gallery to one album (?album=<slug>, gallery-albums.js)
+ * Teasers are shown blurred and members-only images hidden until unlocked (gallery-access.js)
  */
 
 // Check if API configuration is loaded
@@ -12,14 +14,29 @@ if (typeof API_ENDPOINTS === 'undefined') {
     console.error('API_ENDPOINTS is not defined! Make sure api-config.js is loaded before gallery-api.js');
 }
 
+if (typeof GalleryAccess === 'undefined') {
+    console.error('GalleryAccess is not defined! Make sure gallery-access.js is loaded before gallery-api.js');
+}
+
 // Cache configuration
 let CACHE_VERSION = 'v2';  // Mutable version that can be incremented
 const CACHE_CONFIG = {
-    KEY: 'gallery_cache',
+    KEY: 'gallery_cache',  // Suffixed with the access state, see getCacheKey()
     get VERSION() { return CACHE_VERSION; },  // Dynamic version getter
     TTL: 15 * 60 * 1000  // 15 minutes
 };
 
+// Visitors with and without gallery access get different images, so each has its own cache
+function getCacheKey() {
+    return `${CACHE_CONFIG.KEY}:${GalleryAccess.hasAccess() ? 'members' : 'public'}`;
+}
+
+// Drop the cached gallery for every access state (and the unsuffixed key of older versions)
+function clearCachedData() {
+    [CACHE_CONFIG.KEY, `${CACHE_CONFIG.KEY}:members`, `${CACHE_CONFIG.KEY}:public`]
+        .forEach(key => localStorage.removeItem(key));
+}
+
 // Track when images were last reordered to prevent stale caching
 const REORDER_TIMESTAMP_KEY = 'gallery_last_reorder_timestamp';
 
@@ -36,7 +53,7 @@ window.invalidateGalleryCache = function() {
     CACHE_VERSION = 'v' + (currentVersion + 1);
     
     // Clear existing cache
-    localStorage.removeItem(CACHE_CONFIG.KEY);
+    clearCachedData();
     
     console.log('Gallery cache invalidated and version bumped to:', CACHE_VERSION);
     console.log('Cache writes disabled for 60 seconds to prevent stale data');
@@ -47,9 +64,12 @@ window.invalidateGalleryCache = function() {
 // Gallery state
 let galleryState = {
     allImages: [],
+    viewableImages: [],  // Images the lightbox can show (locked ones left out)
     nextCursor: null,
     hasMore: true,
-    isLoading: false
+    isLoading: false,
+    albums: [],
+    album: null  // Slug of the album being browsed, null for everything
 };
 
 // Image loading state - track which images are loading/loaded to prevent duplicates
@@ -135,6 +155,7 @@ function initLazyLoadObserver() {
  * Returns object with data and cache metadata, or null if no valid cache
  */
 function getCachedData() {
+    const cacheKey = getCacheKey();
     try {
         const lastReorderTimestamp = localStorage.getItem(REORDER_TIMESTAMP_KEY);
         
@@ -149,7 +170,7 @@ function getCachedData() {
             }
         }
 
-        const cached = localStorage.getItem(CACHE_CONFIG.KEY);
+        const cached = localStorage.getItem(cacheKey);
         if (!cached) return null;
 
         const parsed = JSON.parse(cached);
@@ -157,7 +178,7 @@ function getCachedData() {
         // Check version
         if (parsed.version !== CACHE_CONFIG.VERSION) {
             console.log('Cache version mismatch, invalidating');
-            localStorage.removeItem(CACHE_CONFIG.KEY);
+            localStorage.removeItem(cacheKey);
             return null;
         }
 
@@ -167,7 +188,7 @@ function getCachedData() {
             console.log('Cache is older than last reorder, invalidating stale cache');
             console.log(`Cache timestamp: ${new Date(parsed.timestamp).toISOString()}`);
             console.log(`Last reorder: ${new Date(parseInt(lastReorderTimestamp)).toISOString()}`);
-            localStorage.removeItem(CACHE_CONFIG.KEY);
+            localStorage.removeItem(cacheKey);
             return null;
         }
 
@@ -175,7 +196,7 @@ function getCachedData() {
         const age = Date.now() - parsed.timestamp;
         if (age > CACHE_CONFIG.TTL) {
             console.log('Cache expired, invalidating');
-            localStorage.removeItem(CACHE_CONFIG.KEY);
+            localStorage.removeItem(cacheKey);
             return null;
         }
 
@@ -188,7 +209,7 @@ function getCachedData() {
 
     } catch (error) {
         console.error('Error reading cache:', error);
-        localStorage.removeItem(CACHE_CONFIG.KEY);
+        localStorage.removeItem(cacheKey);
         return null;
     }
 }
@@ -227,7 +248,7 @@ function setCachedData(data) {
             timestamp: Date.now(),
             version: CACHE_CONFIG.VERSION
         };
-        localStorage.setItem(CACHE_CONFIG.KEY, JSON.stringify(cacheObject));
+        localStorage.setItem(getCacheKey(), JSON.stringify(cacheObject));
         console.log('✅ Saved data to cache');
     } catch (error) {
         console.error('Error saving to cache:', error);
@@ -239,7 +260,7 @@ function setCachedData(data) {
  * Clear gallery cache (useful for CMS updates)
  */
 window.clearGalleryCache = function() {
-    localStorage.removeItem(CACHE_CONFIG.KEY);
+    clearCachedData();
     console.log('Gallery cache cleared');
 };
 
@@ -396,8 +417,8 @@ function generateSrcset(originalUrl) {
  */
 async function fetchGalleryImages(cursor = null, useCache = true) {
     try {
-        // Try cache on initial load (no cursor)
-        if (!cursor && useCache) {
+        // Try cache on initial load (no cursor); only the unfiltered gallery is cached
+        if (!cursor && useCache && !galleryState.album) {
             const cached = getCachedData();
             if (cached) {
                 return {
@@ -415,6 +436,9 @@ async function fetchGalleryImages(cursor = null, useCache = true) {
         if (cursor) {
             url.searchParams.set('cursor', cursor);
         }
+        if (galleryState.album) {
+            url.searchParams.set('album', galleryState.album);
+        }
 
         console.log('Fetching gallery images from:', url.toString());
 
@@ -422,6 +446,8 @@ async function fetchGalleryImages(cursor = null, useCache = true) {
             method: 'GET',
             headers: {
                 'Content-Type': 'application/json',
+                // Lets the API include members-only images once unlocked
+                ...GalleryAccess.getHeaders()
             },
         });
 
@@ -620,6 +646,50 @@ function createGalleryItem(image, index) {
     return item;
 }
 
+/**
+ * Create a locked grid item for a teaser image
+ * Only the blurred teaser_url the API sends is loaded (see gallery-access.js);
+ * clicking it offers the unlock form
+ */
+function createTeaserItem(image) {
+    const item = document.createElement('div');
+    item.className = 'gallery-item is-locked';
+
+    const imageWrapper = document.createElement('div');
+    imageWrapper.className = 'gallery-item-image';
+
+    // The API may leave the teaser URL out as well
+    const img = document.createElement('img');
+    if (image.teaser_url) {
+        img.src = image.teaser_url;
+    }
+    img.alt = 'Members-only image';
+    img.style.aspectRatio = '1 / 1';
+    img.style.objectFit = 'cover';
+    img.decoding = 'async';
+    img.width = 400;
+    img.height = 400;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'gallery-item-overlay';
+    const overlayIcon = document.createElement('span');
+    overlayIcon.className = 'gallery-item-icon';
+    overlayIcon.textContent = '🔒';
+    const caption = document.createElement('div');
+    caption.className = 'gallery-item-caption';
+    caption.textContent = 'Members only';
+    overlay.appendChild(overlayIcon);
+    overlay.appendChild(caption);
+
+    item.addEventListener('click', showUnlockForm);
+
+    imageWrapper.appendChild(img);
+    imageWrapper.appendChild(overlay);
+    item.appendChild(imageWrapper);
+
+    return item;
+}
+
 /**
  * Open lightbox with image (global function)
  * This function is now handled by the optimized lightbox module (gallery-lightbox.js)
@@ -639,11 +709,11 @@ window.openLightbox = function(imageUrl, imageIndex) {
         if (lightbox && lightboxImage) {
             const fullSizeUrl = generateCloudinaryUrl(imageUrl, 'full');
             lightboxImage.src = fullSizeUrl;
-            lightboxImage.alt = galleryState.allImages[imageIndex]?.caption || `Gallery image ${imageIndex + 1}`;
+            lightboxImage.alt = galleryState.viewableImages[imageIndex]?.caption || `Gallery image ${imageIndex + 1}`;
 
             if (lightboxCaption) {
-                if (galleryState.allImages[imageIndex]?.caption) {
-                    lightboxCaption.textContent = galleryState.allImages[imageIndex].caption;
+                if (galleryState.viewableImages[imageIndex]?.caption) {
+                    lightboxCaption.textContent = galleryState.viewableImages[imageIndex].caption;
                     lightboxCaption.style.display = 'block';
                 } else {
                     lightboxCaption.style.display = 'none';
@@ -670,11 +740,15 @@ async function renderGallery() {
 
     // Show loading state
     galleryGrid.innerHTML = '<div class="gallery-loading">Loading gallery...</div>';
+    const album = galleryState.album;
 
     try {
         // Fetch first page (with cache)
         const result = await fetchGalleryImages(null, true);
 
+        // Another album was chosen while this one loaded
+        if (album !== galleryState.album) return;
+
         if (!result || !result.data || !result.data.images) {
             galleryGrid.innerHTML = '<div class="gallery-error">Failed to load gallery.</div>';
             return;
@@ -689,12 +763,14 @@ async function renderGallery() {
         galleryState.nextCursor = data.pagination ? data.pagination.next_cursor : data.nextCursor;
         galleryState.hasMore = data.pagination ? data.pagination.has_more : data.hasMore;
 
-        // Only recache if:
+        // Only recache the whole gallery (album pages are never cached), and only if:
         // 1. Data came from API (not cache), OR
         // 2. Cache is older than 16 minutes (needs refresh)
-        const shouldRecache = !fromCache || (cacheAge !== null && cacheAge > 16 * 60 * 1000);
+        const shouldRecache = !album && (!fromCache || (cacheAge !== null && cacheAge > 16 * 60 * 1000));
         
-        if (shouldRecache) {
+        if (album) {
+            console.log(`Showing album "${album}", not cached`);
+        } else if (shouldRecache) {
             if (fromCache) {
                 console.log(`Cache is ${Math.round(cacheAge / 1000 / 60)} minutes old, refreshing cache`);
             } else {
@@ -715,7 +791,9 @@ async function renderGallery() {
         }
 
         if (galleryState.allImages.length === 0) {
-            galleryGrid.innerHTML = '<div class="gallery-empty">No images available at this time.</div>';
+            galleryGrid.innerHTML = album
+                ? '<div class="gallery-empty">No images in this album yet.</div>'
+                : '<div class="gallery-empty">No images available at this time.</div>';
             return;
         }
 
@@ -744,12 +822,24 @@ function renderImages() {
     // Clear grid completely (including load more button)
     galleryGrid.innerHTML = '';
 
+    // Locked teasers stay in place but out of the lightbox; locked members-only images are left out
+    galleryState.viewableImages = galleryState.allImages.filter(image => !GalleryAccess.isLocked(image));
+
     // Create and batch append grid items using DocumentFragment for single reflow
     const fragment = document.createDocumentFragment();
-    galleryState.allImages.forEach((image, index) => {
-        const item = createGalleryItem(image, index);
+    galleryState.allImages.forEach(image => {
+        if (GalleryAccess.isHidden(image)) return;
+
+        const item = GalleryAccess.isLocked(image)
+            ? createTeaserItem(image)
+            : createGalleryItem(image, galleryState.viewableImages.indexOf(image));
         fragment.appendChild(item);
     });
+
+    if (!fragment.hasChildNodes()) {
+        galleryGrid.innerHTML = '<div class="gallery-empty">These images are for members. Unlock them above.</div>';
+        return;
+    }
     galleryGrid.appendChild(fragment);
 }
 
@@ -809,14 +899,16 @@ async function loadMoreImages() {
         galleryState.hasMore = data.pagination.has_more;
 
         // Always update cache when loading more images (new data from API)
-        setCachedData({
-            images: galleryState.allImages,
-            pagination: {
-                next_cursor: galleryState.nextCursor,
-                has_more: galleryState.hasMore,
-                total_count: data.pagination.total_count
-            }
-        });
+        if (!galleryState.album) {
+            setCachedData({
+                images: galleryState.allImages,
+                pagination: {
+                    next_cursor: galleryState.nextCursor,
+                    has_more: galleryState.hasMore,
+                    total_count: data.pagination.total_count
+                }
+            });
+        }
 
         // Re-render images
         renderImages();
@@ -841,10 +933,226 @@ async function loadMoreImages() {
 // Make loadMoreImages available globally for debugging
 window.loadMoreImages = loadMoreImages;
 
+/**
+ * Fetch albums for the filter chips
+ * Returns [] when the request fails, the gallery then just shows everything
+ */
+async function fetchGalleryAlbums() {
+    if (typeof API_ENDPOINTS === 'undefined' || !API_ENDPOINTS.GALLERY_ALBUMS) {
+        return [];
+    }
+
+    try {
+        const response = await fetch(API_ENDPOINTS.GALLERY_ALBUMS, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return Array.isArray(data) ? data : ((data && data.albums) || []);
+    } catch (error) {
+        console.warn('Gallery albums unavailable:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Render the album filter chips ("All" plus each album that has images)
+ */
+function renderAlbumFilters() {
+    const filters = document.getElementById('gallery-filters');
+    if (!filters) return;
+
+    const albums = galleryState.albums.filter(album => album.slug && album.image_count !== 0);
+    filters.hidden = albums.length === 0;
+    filters.innerHTML = '';
+    if (albums.length === 0) return;
+
+    const choices = [{ slug: null, name: 'All' }, ...albums];
+    choices.forEach(album => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'gallery-filter-chip';
+        chip.textContent = album.name;
+        chip.setAttribute('aria-pressed', String(album.slug === galleryState.album));
+        chip.addEventListener('click', () => selectAlbum(album.slug));
+        filters.appendChild(chip);
+    });
+}
+
+/**
+ * Browse one album (or everything with null), keeping the choice in the URL to share
+ */
+function selectAlbum(slug) {
+    if (slug === galleryState.album) return;
+
+    galleryState.album = slug;
+    galleryState.allImages = [];
+    galleryState.nextCursor = null;
+    galleryState.hasMore = true;
+
+    const url = new URL(window.location.href);
+    if (slug) {
+        url.searchParams.set(getAlbumParam(), slug);
+    } else {
+        url.searchParams.delete(getAlbumParam());
+    }
+    history.replaceState(history.state, '', url);
+
+    renderAlbumFilters();
+    renderGallery();
+}
+
+function getAlbumParam() {
+    return window.GalleryAlbums ? window.GalleryAlbums.CONFIG.FILTER_PARAM : 'album';
+}
+
+async function initAlbumFilters() {
+    galleryState.albums = await fetchGalleryAlbums();
+
+    // A link to an album that no longer exists shows everything
+    if (galleryState.album && !galleryState.albums.some(album => album.slug === galleryState.album)) {
+        selectAlbum(null);
+    }
+    renderAlbumFilters();
+}
+
+// ===========================
+// Members Access
+// ===========================
+
+function showAccessMessage(message, isError = false) {
+    const messageEl = document.getElementById('gallery-access-message');
+    if (!messageEl) return;
+    messageEl.textContent = message;
+    messageEl.classList.toggle('is-error', isError);
+}
+
+function describeUnlockError(error) {
+    if (error.status === 400 || error.status === 401 || error.status === 403 || error.status === 404) {
+        return 'That access code is not valid or has expired.';
+    }
+    if (error.status === 429) {
+        return 'Too many attempts. Please wait a few minutes and try again.';
+    }
+    return 'Your access code could not be checked. Please try again.';
+}
+
+/**
+ * Show the unlock form, or the lock button once unlocked
+ */
+function renderAccessPanel() {
+    const panel = document.getElementById('gallery-access');
+    if (!panel) return;
+
+    const unlocked = GalleryAccess.hasAccess();
+    document.getElementById('gallery-access-status').hidden = unlocked;
+    document.getElementById('gallery-unlock-form').hidden = unlocked;
+    document.getElementById('gallery-lock-btn').hidden = !unlocked;
+    panel.classList.toggle('is-unlocked', unlocked);
+}
+
+// Clicking a locked teaser brings the visitor to the unlock form
+function showUnlockForm() {
+    const input = document.getElementById('gallery-access-code');
+    if (!input || GalleryAccess.hasAccess()) return;
+
+    input.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    input.focus({ preventScroll: true });
+}
+
+// Images change with access, so the cached pages are dropped and fetched again
+function refreshForAccess() {
+    clearCachedData();
+    galleryState.allImages = [];
+    galleryState.nextCursor = null;
+    galleryState.hasMore = true;
+    renderAccessPanel();
+    renderGallery();
+}
+
+async function handleUnlockSubmit(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const input = document.getElementById('gallery-access-code');
+    const code = input.value.trim();
+    if (!code) {
+        showAccessMessage('Please enter your access code.', true);
+        input.focus();
+        return;
+    }
+
+    const submitButton = form.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+    showAccessMessage('Checking your code…');
+
+    try {
+        await GalleryAccess.unlock({ code: code });
+        input.value = '';
+        showAccessMessage('Welcome! Members images are unlocked on this device.');
+        refreshForAccess();
+    } catch (error) {
+        console.error('Gallery unlock error:', error);
+        showAccessMessage(describeUnlockError(error), true);
+    } finally {
+        submitButton.disabled = false;
+    }
+}
+
+function lockGallery() {
+    GalleryAccess.clear();
+    showAccessMessage('Members images are locked again on this device.');
+    refreshForAccess();
+}
+
+/**
+ * Wire up the unlock form and redeem a token from the link, if there is one
+ */
+async function initAccess() {
+    const form = document.getElementById('gallery-unlock-form');
+    if (form) {
+        form.addEventListener('submit', handleUnlockSubmit);
+        document.getElementById('gallery-lock-btn').addEventListener('click', lockGallery);
+    }
+
+    const url = new URL(window.location.href);
+    const token = url.searchParams.get(GalleryAccess.CONFIG.TOKEN_PARAM);
+    if (token) {
+        // Keep the token out of the address bar, bookmarks and shared links
+        url.searchParams.delete(GalleryAccess.CONFIG.TOKEN_PARAM);
+        history.replaceState(history.state, '', url);
+
+        try {
+            await GalleryAccess.unlock({ token: token });
+            showAccessMessage('Welcome! Members images are unlocked on this device.');
+            clearCachedData();
+        } catch (error) {
+            console.error('Gallery access link error:', error);
+            showAccessMessage(error.status ? 'This access link is not valid or has expired.' : describeUnlockError(error), true);
+        }
+    }
+
+    renderAccessPanel();
+}
+
+async function initGallery() {
+    galleryState.album = new URLSearchParams(window.location.search).get(getAlbumParam()) || null;
+    await initAccess();
+    renderGallery();
+    initAlbumFilters();
+}
+
 // Initialize gallery when DOM is ready
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', renderGallery);
+    document.addEventListener('DOMContentLoaded', initGallery);
 } else {
-    renderGallery();
+    initGallery();
 }
 
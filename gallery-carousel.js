@@ -10,6 +10,11 @@
 (function() {
     'use strict';
 
+    if (window.GalleryCarousel) {
+        console.warn('gallery-carousel.js is already loaded, skipping');
+        return;
+    }
+
     // ===========================
     // Gallery Carousel
     // ===========================
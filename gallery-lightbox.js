@@ -681,14 +681,15 @@
     // Global API (for backward compatibility)
     // ===========================
     window.openLightbox = function(imageUrl, imageIndex) {
-        // Get images from galleryState if available
-        if (typeof galleryState !== 'undefined' && galleryState.allImages && galleryState.allImages.length > 0) {
+        // Get images from galleryState if available (locked images are left out)
+        const images = typeof galleryState !== 'undefined' ? (galleryState.viewableImages || galleryState.allImages) : null;
+        if (images && images.length > 0) {
             // Validate index
-            if (imageIndex < 0 || imageIndex >= galleryState.allImages.length) {
+            if (imageIndex < 0 || imageIndex >= images.length) {
                 utils.log('Invalid image index:', imageIndex);
                 return;
             }
-            lightbox.open(imageUrl, imageIndex, galleryState.allImages);
+            lightbox.open(imageUrl, imageIndex, images);
         } else {
             utils.log('galleryState not available or empty');
             // Fallback: try to use the provided imageUrl directly
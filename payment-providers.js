@@ -0,0 +1,141 @@
+/**
+ * Payment Providers Module
+ * Deposit payment backends, selected by configuration
+ * - Hosted checkout (our backend creates a provider checkout session and we redirect to it)
+ * - Mock checkout for local development, only on localhost
+ * - Registry so new providers can be added without touching the payment page (plugin-registry.js)
+ * - Requests go through ClientPages.requestJson (client-pages.js)
+ *
+ * The browser never decides whether a deposit was paid: it only hands the provider's
+ * session id to our backend, which confirms the payment with the provider (by
+ * retrieving the session, or from the provider's webhook).
+ */
+
+(function() {
+    'use strict';
+
+    if (!window.PluginRegistry) {
+        console.error('PluginRegistry is not defined! Make sure plugin-registry.js is loaded before payment-providers.js');
+        return;
+    }
+
+    // ===========================
+    // Configuration
+    // ===========================
+    const CONFIG = {
+        // Provider used when nothing else is configured
+        DEFAULT_PROVIDER: 'hosted',
+
+        // Hosts the mock provider runs on; anywhere else it refuses to start
+        MOCK_HOSTS: ['localhost', '127.0.0.1', '[::1]']
+    };
+
+    // ===========================
+    // Registry
+    // ===========================
+
+    // Providers: factory(options) => { pay(payment), complete?(params) }
+    //
+    // pay({ bookingId, token, amount, currency, returnUrl }) resolves to
+    //   { status: 'redirect' } when the page is leaving for a hosted checkout, or
+    //   { status: 'submitted', provider, sessionId } once an in-page payment is with the provider
+    // complete(URLSearchParams) reads the session a hosted checkout returned with:
+    //   { provider, sessionId, cancelled }, or null when the page was not opened from one
+    const registry = window.PluginRegistry.createRegistry('payment provider', {
+        complete: () => null
+    });
+    const register = registry.register;
+    const create = registry.create;
+
+    /**
+     * Create the configured provider
+     * @param {Object} config - { provider: 'hosted', hosted: {...}, mock: {...} }
+     * @returns {{ name: string, pay: Function, complete: Function }}
+     */
+    function resolve(config = {}) {
+        const name = config.provider || CONFIG.DEFAULT_PROVIDER;
+        return create(name, config[name] || {});
+    }
+
+    // ===========================
+    // Built-in Providers
+    // ===========================
+
+    // Session a checkout returned with, from ?payment=success|cancelled&session_id=...
+    function readReturn(provider, params) {
+        const outcome = params.get('payment');
+        if (!outcome) return null;
+
+        return {
+            provider: provider,
+            sessionId: params.get('session_id'),
+            cancelled: outcome === 'cancelled'
+        };
+    }
+
+    // Hosted checkout: our backend creates a checkout session with the payment
+    // provider and returns its URL; the provider sends the client back to
+    // returnUrl with ?payment=success|cancelled&session_id=... (the outcome in the
+    // URL is only a hint, the backend looks the session up)
+    register('hosted', function(options) {
+        const getUrl = (bookingId) => options.url
+            || (typeof API_ENDPOINTS !== 'undefined' ? API_ENDPOINTS.BOOKING_DEPOSIT_CHECKOUT(bookingId) : null);
+
+        return {
+            pay: async function(payment) {
+                const url = getUrl(payment.bookingId);
+                if (!url) {
+                    throw new Error('Payment checkout endpoint is not configured');
+                }
+
+                const data = await window.ClientPages.requestJson(url, {
+                    method: 'POST',
+                    body: { token: payment.token, return_url: payment.returnUrl }
+                });
+                if (!data || !data.url) {
+                    throw new Error('Payment checkout did not return a URL');
+                }
+
+                window.location.assign(data.url);
+                return { status: 'redirect', provider: 'hosted' };
+            },
+
+            complete: params => readReturn('hosted', params)
+        };
+    });
+
+    // Mock: stands in for the hosted checkout while developing. It goes straight back
+    // to returnUrl with ?payment=success&session_id=mock_..., so the page has the session
+    // confirmed by the backend just as after a real checkout (a local backend settles
+    // mock_ sessions). options.outcome = 'cancelled' returns as a cancelled checkout.
+    register('mock', function(options) {
+        if (!CONFIG.MOCK_HOSTS.includes(window.location.hostname)) {
+            throw new Error('The mock payment provider only runs on localhost');
+        }
+
+        return {
+            pay: async function(payment) {
+                const url = new URL(payment.returnUrl);
+                url.searchParams.set('payment', options.outcome === 'cancelled' ? 'cancelled' : 'success');
+                url.searchParams.set('session_id', `mock_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`);
+
+                window.location.assign(url.toString());
+                return { status: 'redirect', provider: 'mock' };
+            },
+
+            complete: params => readReturn('mock', params)
+        };
+    });
+
+    // ===========================
+    // Export to global scope
+    // ===========================
+    window.PaymentProviders = {
+        CONFIG: CONFIG,
+        register: register,
+        create: create,
+        resolve: resolve,
+        list: registry.list
+    };
+
+})();
@@ -0,0 +1,184 @@
+/**
+ * Places Module
+ * Reads the free-text city clients type, shared by the rate card's travel zones
+ * (rate-card.js) and the destination time zones (timezones.js)
+ * - Country and province suffixes are read first: "Devon, England" is abroad,
+ *   "Paris, ON" is in Ontario
+ * - City names match whole comma-separated segments or words, never parts of
+ *   words ("Victoriaville" is not Victoria, "Reynolds" is not Olds)
+ * - Case, accents and periods are ignored ("St. Albert" = "st albert")
+ */
+
+(function() {
+    'use strict';
+
+    // ===========================
+    // Configuration
+    // ===========================
+
+    // Canadian provinces and territories, by the code clients write after the city
+    const REGIONS = {
+        ab: ['alberta'],
+        bc: ['british columbia'],
+        sk: ['saskatchewan'],
+        mb: ['manitoba'],
+        on: ['ontario'],
+        qc: ['quebec', 'pq'],
+        ns: ['nova scotia'],
+        nb: ['new brunswick'],
+        nl: ['newfoundland', 'newfoundland and labrador', 'labrador'],
+        pe: ['prince edward island', 'pei'],
+        yt: ['yukon'],
+        nt: ['northwest territories'],
+        nu: ['nunavut']
+    };
+
+    const CANADA = ['canada', 'can'];
+
+    // Countries and US states a client may give instead of a province
+    // "CA" is read as California unless a province comes before it ("Toronto, ON, CA")
+    const ABROAD = [
+        'usa', 'us', 'united states', 'united states of america', 'america',
+        'uk', 'united kingdom', 'great britain', 'england', 'scotland', 'wales', 'northern ireland', 'ireland',
+        'mexico', 'france', 'spain', 'portugal', 'italy', 'germany', 'netherlands', 'belgium', 'switzerland',
+        'austria', 'greece', 'iceland', 'norway', 'sweden', 'denmark', 'finland', 'poland', 'czechia', 'czech republic',
+        'croatia', 'hungary', 'turkey', 'morocco', 'egypt', 'south africa', 'uae', 'united arab emirates', 'dubai',
+        'japan', 'china', 'hong kong', 'taiwan', 'south korea', 'korea', 'singapore', 'thailand', 'vietnam',
+        'philippines', 'indonesia', 'bali', 'india', 'australia', 'new zealand', 'argentina', 'chile', 'brazil',
+        'peru', 'colombia', 'costa rica', 'cuba', 'jamaica', 'bahamas', 'dominican republic', 'puerto rico',
+        'alabama', 'alaska', 'arizona', 'arkansas', 'california', 'colorado', 'connecticut', 'delaware', 'florida',
+        'georgia', 'hawaii', 'idaho', 'illinois', 'indiana', 'iowa', 'kansas', 'kentucky', 'louisiana', 'maine',
+        'maryland', 'massachusetts', 'michigan', 'minnesota', 'mississippi', 'missouri', 'montana', 'nebraska',
+        'nevada', 'new hampshire', 'new jersey', 'new mexico', 'new york', 'north carolina', 'north dakota', 'ohio',
+        'oklahoma', 'oregon', 'pennsylvania', 'rhode island', 'south carolina', 'south dakota', 'tennessee', 'texas',
+        'utah', 'vermont', 'virginia', 'washington', 'west virginia', 'wisconsin', 'wyoming',
+        'al', 'ak', 'az', 'ar', 'ca', 'co', 'ct', 'de', 'fl', 'ga', 'hi', 'id', 'il', 'in', 'ia', 'ks', 'ky', 'la',
+        'me', 'md', 'ma', 'mi', 'mn', 'ms', 'mo', 'mt', 'ne', 'nv', 'nh', 'nj', 'nm', 'ny', 'nc', 'nd', 'oh', 'ok',
+        'or', 'pa', 'ri', 'sc', 'sd', 'tn', 'tx', 'ut', 'vt', 'va', 'wa', 'wv', 'wi', 'wy', 'dc'
+    ];
+
+    // ===========================
+    // Parsing
+    // ===========================
+
+    // "St. John's,  NL" => "st john's, nl"
+    function normalize(value) {
+        return String(value || '')
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[\u2018\u2019]/g, "'")
+            .replace(/\./g, '')
+            .replace(/-/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    function split(value) {
+        return normalize(value).split(',').map(part => part.trim()).filter(Boolean);
+    }
+
+    // 'alberta' or 'ab' => 'ab'
+    function findRegion(name) {
+        if (REGIONS[name]) return name;
+        return Object.keys(REGIONS).find(code => REGIONS[code].includes(name)) || null;
+    }
+
+    /**
+     * Split a city into its place names and any country or province suffix
+     * @param {string} city - As typed, e.g. "Red Deer, AB" or "Hamilton, New Zealand"
+     * @returns {{ segments: string[], parts: string[], region: string|null, country: 'canada'|'abroad'|null }|null}
+     *   parts are the segments left once the suffixes are taken off; null when no city was entered
+     */
+    function parse(city) {
+        const segments = split(city);
+        if (segments.length === 0) return null;
+
+        const parts = segments.slice();
+        const last = () => parts[parts.length - 1];
+        const place = { segments: segments, parts: parts, region: null, country: null };
+
+        if (CANADA.includes(last()) || (last() === 'ca' && parts.length > 1 && findRegion(parts[parts.length - 2]))) {
+            place.country = 'canada';
+            parts.pop();
+        }
+        if (parts.length > 0) {
+            const region = findRegion(last());
+            if (region) {
+                place.region = region;
+                place.country = 'canada';
+                parts.pop();
+            } else if (!place.country && ABROAD.includes(last())) {
+                place.country = 'abroad';
+                parts.pop();
+            }
+        }
+
+        return place;
+    }
+
+    // ===========================
+    // Matching
+    // ===========================
+
+    // Place list entries, with the leading comma of old-style suffixes (", ab") dropped
+    function readEntries(places) {
+        return (places || []).map(entry => normalize(entry).replace(/^,\s*/, '')).filter(Boolean);
+    }
+
+    function isRegionEntry(entry) {
+        return CANADA.includes(entry) || findRegion(entry) !== null;
+    }
+
+    /**
+     * Whether a parsed city names one of the places (cities, not provinces)
+     * A place with a comma ("london, on") must match whole consecutive segments;
+     * any other place must match whole words within a segment
+     */
+    function matchesName(place, places) {
+        if (!place) return false;
+
+        return readEntries(places).some(entry => {
+            if (isRegionEntry(entry)) return false;
+
+            if (entry.includes(',')) {
+                return `, ${place.segments.join(', ')}, `.includes(`, ${entry}, `);
+            }
+            return place.parts.some(part => ` ${part} `.includes(` ${entry} `));
+        });
+    }
+
+    /**
+     * Whether a parsed city's province (or Canada) is one of the places
+     */
+    function matchesRegion(place, places) {
+        if (!place) return false;
+
+        return readEntries(places).some(entry => {
+            if (CANADA.includes(entry)) return place.country === 'canada';
+            const region = findRegion(entry);
+            return region !== null && region === place.region;
+        });
+    }
+
+    // ===========================
+    // Export to global scope
+    // ===========================
+    const Places = {
+        REGIONS: REGIONS,
+        ABROAD: ABROAD,
+        normalize: normalize,
+        findRegion: findRegion,
+        parse: parse,
+        matchesName: matchesName,
+        matchesRegion: matchesRegion
+    };
+
+    if (typeof window !== 'undefined') {
+        window.Places = Places;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Places;
+    }
+
+})();
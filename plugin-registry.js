@@ -0,0 +1,62 @@
+/**
+ * Plugin Registry Module
+ * Named factories picked by configuration, shared by the booking transports
+ * (booking-transports.js), anti-spam challenges (booking-guard.js) and payment
+ * providers (payment-providers.js)
+ */
+
+(function() {
+    'use strict';
+
+    /**
+     * Create an empty registry
+     * @param {string} kind - What is registered, used in errors (e.g. 'booking transport')
+     * @param {Object} defaults - Members a factory may leave out (e.g. { complete: () => null })
+     * @returns {{ register: Function, create: Function, list: Function }}
+     */
+    function createRegistry(kind, defaults = {}) {
+        // Map<name, factory(options) => plugin>
+        const factories = {};
+
+        return {
+            /**
+             * Register a factory
+             * @param {string} name - Name used in configuration
+             * @param {Function} factory - Receives the plugin's options, returns the plugin
+             */
+            register: function(name, factory) {
+                factories[name] = factory;
+            },
+
+            /**
+             * Create a registered plugin, with its name
+             * @throws {Error} When nothing is registered under the name
+             */
+            create: function(name, options = {}) {
+                const factory = factories[name];
+                if (!factory) {
+                    throw new Error(`Unknown ${kind}: ${name}`);
+                }
+                return Object.assign({}, defaults, factory(options), { name: name });
+            },
+
+            list: () => Object.keys(factories)
+        };
+    }
+
+    // ===========================
+    // Export to global scope
+    // ===========================
+    const PluginRegistry = {
+        createRegistry: createRegistry
+    };
+
+    if (typeof window !== 'undefined') {
+        window.PluginRegistry = PluginRegistry;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = PluginRegistry;
+    }
+
+})();
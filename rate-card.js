@@ -0,0 +1,604 @@
+/**
+ * Rate Card Module
+ * Single source of truth for published rates and pricing rules
+ * - Service categories and tiers (durations, prices, blurbs, footnotes)
+ * - Published rate card loaded from the API, built-in defaults as fallback
+ * - In-date extension and incall fees
+ * - Deposit rules by travel zone (local, drive-to-you, domestic, international)
+ * - Quote calculator used by the booking form
+ * - Cities are read with places.js
+ */
+
+(function() {
+    'use strict';
+
+    if (typeof window !== 'undefined' && !window.Places) {
+        console.error('Places is not defined! Make sure places.js is loaded before rate-card.js');
+    }
+
+    // ===========================
+    // Configuration
+    // ===========================
+    const CONFIG = {
+        // HTTP request timeout (ms)
+        REQUEST_TIMEOUT: 10000
+    };
+
+    // ===========================
+    // Default Rate Card
+    // ===========================
+
+    // Built-in rate card, used until (or if) the published one loads from the API.
+    // The CMS edits and publishes a JSON document of exactly this shape.
+    const DEFAULT_RATE_CARD = {
+        currency: 'CAD',
+
+        // In-date extension, per hour
+        extensionHourly: 400,
+
+        // Dates this long or longer must include a meal
+        mealMinimumHours: 3,
+
+        // Shared footnotes, referenced by key from tiers
+        footnotes: {
+            meal: 'Dates 3 hours or longer must include a meal',
+            duos: 'Disclaimers: the other provider must be bisexual and/or pansexual'
+        },
+
+        categories: [
+            {
+                id: 'offerings',
+                title: '💎 Service Offerings',
+                note: '💳 Consideration must be sent in full at time of booking',
+                tiers: [
+                    { id: 'meet_greet', name: 'Meet & Greet', duration: '1 hour', hours: 1, price: 500, layout: 'horizontal',
+                        description: 'Perfect for those looking for a brief encounter' },
+                    { id: 'stay_awhile', name: 'Stay Awhile', duration: '1.5 hours', hours: 1.5, price: 800,
+                        description: 'Kick back & relax, tell me about your day, enjoy a complementary massage if that\'s your thing' },
+                    { id: 'ideal_rendezvous', name: 'The Ideal Rendezvous', duration: '2 hours', hours: 2, price: 900, layout: 'featured', badge: 'Recommended',
+                        description: 'This is my preference for a first time meet. We can properly get to know each other over cocktails & have some fun without the rush!' },
+                    { id: 'call_me_baby', name: 'Call Me Baby', duration: '3 hours', hours: 3, price: 1400, footnotes: ['meal'],
+                        description: 'Now we\'re talking. Wine me. Dine me. Tell me a secret.' },
+                    { id: 'sweet_spot', name: 'The Sweet Spot', duration: '4 hours', hours: 4, price: 1800, footnotes: ['meal'],
+                        description: 'Take me out on the town! Need date ideas? I love planning itineraries. See my companionship about me.' },
+                    { id: 'real_deal', name: 'The Real Deal', duration: '6 hours', hours: 6, price: 2700, footnotes: ['meal'],
+                        description: 'If you\'re booking this much time, you\'ve likely had a taste already! Which means you understand that, at least with me, more is MORE! Let\'s make the day count.' },
+                    { id: 'day_soiree', name: 'Day Soirée', duration: '8 Waking Hours', hours: 8, price: 3600,
+                        description: 'Itinerary example: art gallery, happy hour, dinner, a show, cocktails, and plenty of fun to be had in between!' },
+                    { id: 'day_to_remember', name: 'Day To Remember', duration: '14 Waking Hours', hours: 14, price: 4400,
+                        description: 'Itinerary example: A hiking/ski/museum day, spa, lunch & dinner, cocktails, and plenty of fun in between!' },
+                    { id: 'consultation', name: 'Coffee or Cocktail Consultation', duration: '30 Minutes', hours: 0.5, price: 250,
+                        description: 'This is perfect for the person that would like to meet me before our first lengthy encounter. The consult allows us to feel each other out and make small talk about our upcoming date. Perhaps we may discuss any lingering details, get a little flirty, share in our excitement. If we hit it off, it may be hard to say goodbye. But think about it...wouldn\'t you rather I leave you wanting more? This is the perfect pre-date teaser!' }
+                ]
+            },
+            {
+                id: 'extended',
+                title: '🌙 Extended Stays',
+                tiers: [
+                    { id: 'overnight', name: 'Overnight', duration: '14 hours', hours: 14, price: 4400, layout: 'horizontal' },
+                    { id: 'full_night_day', name: 'Full Night & Day', duration: '24 hours', hours: 24, price: 5000, layout: 'horizontal' },
+                    { id: 'weekend', name: 'Weekend', duration: '48 Hours', hours: 48, price: 6000, layout: 'horizontal' },
+                    { id: 'three_days', name: 'Three Days', duration: '3 Days', hours: 72, price: 8000, layout: 'horizontal' },
+                    { id: 'four_days', name: 'Four Days', duration: '4 Days', hours: 96, price: 9500, layout: 'horizontal' }
+                ]
+            },
+            {
+                id: 'travel',
+                title: '✈️ Travel',
+                intro: 'Edmonton is my home base, but my heart loves to wander. I\'d be thrilled to plan a getaway with you…or let our paths cross in your city! Let\'s see where the adventure takes us. 🌍',
+                bookable: false,
+                tiers: [
+                    { id: 'dmty', name: 'Drive Me To You', duration: '3 hour minimum', priceLabel: '+$100-200', layout: 'large',
+                        description: 'Can\'t make it to Edmonton? No problem! I accept DMTYs within a 4 hour radius of Edmonton.',
+                        items: [
+                            'An additional $200 fee is added to the consideration to cover my driving time + travel expenses',
+                            'If your location is 1-2 hours from Edmonton, the additional fee is only $100',
+                            'You are responsible for providing an outcall location for us'
+                        ] },
+                    { id: 'sponsored_tour', name: 'Sponsored Tours', duration: '4 hour minimum', layout: 'large',
+                        description: 'Want me to visit your city? You can sponsor a tour! Book a 4 hour minimum date, and cover my travel costs to your city. I\'ll take care of lodging.' },
+                    // Bookable as a date length; flights, lodging and travel fees come from the client's city
+                    { id: 'fmty', name: 'Fly Me To You', duration: '6 hour minimum', hours: 6, price: 1800, priceLabel: '$1,800+', bookable: true, layout: 'large',
+                        description: 'Craving me all to yourself but not in Edmonton? Consider a FMTY! I\'ll happily come to you for an exclusive rendezvous.',
+                        items: [
+                            'Domestic FMTYs require my regular consideration, flight, and lodging (if separate lodging is needed for discretion)',
+                            'International FMTYs require my regular consideration + $1,500 for travel & expenses + lodging (if separate lodging is needed for discretion)',
+                            'International FMTYs are only offered to my established & trusted clients only. If we are new to each other, let\'s hope our schedules align during one of my international tours!'
+                        ] },
+                    { id: 'travel_together', name: 'Travel Together', layout: 'large',
+                        description: 'For my established & trusted clients, I cannot think of a better way to spend our time than traveling to new places together. Let\'s lose ourselves in Patagonia\'s peaks, bathe under the spanish sun, drift away on an alaskan cruise, gawk at the gothic architecture of France. The world is ours <3' },
+                    { id: 'special_fmty', name: 'A Special FMTY Offering', layout: 'large',
+                        description: [
+                            'I adore a rhythm of connection & solitude on longer trips—if you do too, keep reading.',
+                            'If there\'s a dreamy destination you\'d love to take me (what a generous, adventurous suitor you are!), I\'m all about co-creating our ideal experience. Want 2 days together, 3 days apart, then 2 more together? I\'m happy to count that as a 4-day booking, not 7.'
+                        ],
+                        items: [
+                            'Note: I would cover my own lodging and expenses on our solo days',
+                            'Those solo days? Maybe you\'re off on a silent hike, I\'m deep in a retreat, or we\'re reconnecting with friends',
+                            'Why do I offer this? Because connection shouldn\'t come with the pressure to be joined at the hip. Time apart can be just as nourishing as time together'
+                        ] }
+                ]
+            },
+            {
+                id: 'remote',
+                title: '📱 Remote Services',
+                bookable: false,
+                tiers: [
+                    { id: 'phone_date', name: 'Phone Date', duration: '1 Hour', hours: 1, price: 300, layout: 'horizontal',
+                        description: 'Miss me? Want to chat & get a little flirty over a phone or video call? I\'m waiting.' },
+                    { id: 'texting', name: 'Texting Subscription', duration: '30 days', price: 350, layout: 'large',
+                        description: [
+                            'This texting offering is designed for my established clients who crave a little connection in between our in-person moments <3',
+                            'You\'ll receive at least two texts (or emails) daily from yours truly, for 30 days.'
+                        ],
+                        items: [
+                            '1 thoughtful message',
+                            '1 selfie',
+                            'Depending on my energy & availability, you might receive even more. But at the very least, expect a daily dose of ME in your inbox!'
+                        ] }
+                ]
+            },
+            {
+                id: 'details',
+                title: '⚙️ Details & Options',
+                bookable: false,
+                tiers: [
+                    { id: 'customize', name: 'Customize Your Session',
+                        description: 'If you did not see a timeframe that works for you on the list(s) above, just reach out! I am flexible.' },
+                    // Price filled in from extensionHourly
+                    { id: 'extension', name: 'In-Date Extension', derived: 'extension', layout: 'horizontal',
+                        description: 'If you\'re not ready for our date to end, we can extend our time together while in session (if I am available to do so)!' },
+                    // Fee list filled in from incallFees
+                    { id: 'incall', name: 'Incall', derived: 'incall', layout: 'large',
+                        description: 'A hotel incall is available for an additional deposit',
+                        items: ['Once we become trusted & established friends, an incall fee will not be necessary'] },
+                    { id: 'couples', name: 'Couples', layout: 'horizontal',
+                        description: 'I do date couples. Please reach out to me for more info.' },
+                    { id: 'duos', name: 'Duos', layout: 'horizontal', footnotes: ['duos'],
+                        description: 'I do offer duos.' },
+                    { id: 'age', name: 'Age Discretion', layout: 'horizontal',
+                        description: 'I will not date anyone younger than 21 years old' }
+                ]
+            }
+        ],
+
+        // Hotel incall fee (added to the deposit), by start time of day
+        incallFees: [
+            { id: 'day', label: 'Daytime incall', summary: 'during day', fromHour: 6, toHour: 18, min: 89, max: 120 },
+            { id: 'night', label: 'Evening incall', summary: 'at night', fromHour: 18, toHour: 6, min: 180, max: 250 }
+        ],
+
+        // Travel zones, matched against the client's city (places.js): first zone naming
+        // the city, then the first naming its province. A zone with a region only takes
+        // cities given with that province (or none), so "Devon, ON" is not Devon, AB.
+        // The abroad zone takes cities given with another country or a US state.
+        travelZones: [
+            {
+                id: 'local',
+                region: 'ab',
+                label: 'Local Edmonton',
+                deposit: 0.2,
+                fee: 0,
+                places: ['edmonton', 'yeg', 'st. albert', 'st albert', 'sherwood park', 'spruce grove', 'stony plain', 'leduc', 'beaumont', 'fort saskatchewan', 'nisku', 'devon']
+            },
+            {
+                id: 'dmty_near',
+                region: 'ab',
+                label: 'Drive Me To You (1-2 hours)',
+                deposit: 0.2,
+                fee: 100,
+                minimumHours: 3,
+                places: ['red deer', 'camrose', 'wetaskiwin', 'lacombe', 'ponoka', 'westlock', 'barrhead', 'athabasca', 'vegreville', 'drayton valley', 'olds']
+            },
+            {
+                id: 'dmty_far',
+                region: 'ab',
+                label: 'Drive Me To You (2-4 hours)',
+                deposit: 0.2,
+                fee: 200,
+                minimumHours: 3,
+                places: ['calgary', 'yyc', 'airdrie', 'cochrane', 'canmore', 'banff', 'lloydminster', 'whitecourt', 'hinton', 'jasper', 'drumheller', 'edson', 'cold lake', 'bonnyville', 'slave lake', 'okotoks']
+            },
+            {
+                id: 'domestic',
+                label: 'Domestic FMTY',
+                deposit: 0.5,
+                fee: 0,
+                minimumHours: 6,
+                note: 'Domestic FMTYs also require flight and lodging (if separate lodging is needed for discretion)',
+                places: ['vancouver', 'victoria', 'kelowna', 'kamloops', 'saskatoon', 'regina', 'winnipeg', 'toronto', 'ottawa', 'montreal', 'montréal', 'quebec', 'québec', 'halifax', 'fredericton', 'moncton', "st. john's", 'charlottetown', 'whitehorse', 'yellowknife', 'fort mcmurray', 'grande prairie', 'lethbridge', 'medicine hat', 'hamilton', 'london, on', 'mississauga', 'niagara', 'waterloo', 'kitchener', 'windsor',
+                    'canada', 'british columbia', ', bc', 'saskatchewan', ', sk', 'manitoba', ', mb', 'ontario', ', on', 'québec', ', qc', 'nova scotia', ', ns', 'new brunswick', ', nb', 'newfoundland', ', nl', 'prince edward island', ', pe', 'yukon', 'nunavut', 'northwest territories', 'alberta', ', ab']
+            },
+            {
+                id: 'international',
+                label: 'International FMTY',
+                deposit: 1,
+                fee: 1500,
+                minimumHours: 6,
+                note: 'International FMTYs are offered to established & trusted clients only, plus lodging (if separate lodging is needed for discretion)',
+                abroad: true,
+                places: []
+            }
+        ]
+
+        // A city that matches no zone gets no travel fee or deposit rate: it is quoted on request
+    };
+
+    // Retired booking form values (before options came from the rate card),
+    // mapped to the closest published tier for quotes
+    const TIER_ALIASES = {
+        half_hour: 'consultation',
+        '1_hour': 'meet_greet',
+        '2_hours': 'ideal_rendezvous',
+        '3_hours': 'call_me_baby',
+        half_day: 'sweet_spot',
+        full_day: 'day_soiree'
+    };
+
+    // ===========================
+    // State
+    // ===========================
+
+    // Active rate card (defaults until a published one is loaded)
+    let rateCard = clone(DEFAULT_RATE_CARD);
+    let source = 'defaults';
+    const listeners = [];
+
+    function clone(data) {
+        return JSON.parse(JSON.stringify(data));
+    }
+
+    function getData() {
+        return rateCard;
+    }
+
+    function getDefaults() {
+        return clone(DEFAULT_RATE_CARD);
+    }
+
+    /**
+     * Check a rate card document before it is used or published
+     * @returns {string[]} Problems found (empty when valid)
+     */
+    function validate(data) {
+        const errors = [];
+
+        if (!data || typeof data !== 'object') {
+            return ['Rate card must be an object'];
+        }
+        if (!Array.isArray(data.categories) || data.categories.length === 0) {
+            errors.push('Rate card needs at least one category');
+        }
+        if (!Array.isArray(data.travelZones) || data.travelZones.length === 0) {
+            errors.push('Rate card needs at least one travel zone');
+        }
+        if (!Array.isArray(data.incallFees)) {
+            errors.push('Rate card needs an incall fee list');
+        }
+        if (typeof data.extensionHourly !== 'number' || data.extensionHourly < 0) {
+            errors.push('Extension rate must be a positive number');
+        }
+
+        const tierIds = new Set();
+        (data.categories || []).forEach((category, index) => {
+            if (!category.id || !category.title) {
+                errors.push(`Category ${index + 1} needs an id and a title`);
+            }
+            (category.tiers || []).forEach(tier => {
+                const label = tier.name || tier.id || `in ${category.title || category.id}`;
+                if (!tier.id || !tier.name) {
+                    errors.push(`Service ${label} needs an id and a name`);
+                } else if (tierIds.has(tier.id)) {
+                    errors.push(`Service id "${tier.id}" is used more than once`);
+                }
+                tierIds.add(tier.id);
+
+                if (tier.price != null && (typeof tier.price !== 'number' || tier.price < 0)) {
+                    errors.push(`Service ${label} has an invalid price`);
+                }
+                if (tier.hours != null && (typeof tier.hours !== 'number' || tier.hours <= 0)) {
+                    errors.push(`Service ${label} has an invalid length in hours`);
+                }
+                (tier.footnotes || []).forEach(key => {
+                    if (!data.footnotes || !data.footnotes[key]) {
+                        errors.push(`Service ${label} references unknown footnote "${key}"`);
+                    }
+                });
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Replace the active rate card and notify listeners
+     * Throws if the document is invalid
+     */
+    function setData(data, from = 'custom') {
+        const errors = validate(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid rate card: ${errors.join('; ')}`);
+        }
+
+        rateCard = clone(data);
+        source = from;
+        listeners.forEach(listener => {
+            try {
+                listener(rateCard);
+            } catch (error) {
+                console.error('Rate card listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Subscribe to rate card changes (e.g. after the published card loads)
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    /**
+     * Load the published rate card from the API, keeping the current one on failure
+     * @returns {Promise<Object>} Active rate card
+     */
+    async function load() {
+        if (typeof API_ENDPOINTS === 'undefined' || !API_ENDPOINTS.RATE_CARD) {
+            return rateCard;
+        }
+
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeoutId = controller ? setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT) : null;
+
+        try {
+            const response = await fetch(API_ENDPOINTS.RATE_CARD, {
+                method: 'GET',
+                mode: 'cors',
+                credentials: 'omit',
+                signal: controller ? controller.signal : undefined
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            // Endpoint returns null until a rate card has been published
+            if (data) {
+                setData(data.rate_card || data, 'api');
+            }
+        } catch (error) {
+            console.warn('Using built-in rate card:', error.message);
+        } finally {
+            if (timeoutId) clearTimeout(timeoutId);
+        }
+
+        return rateCard;
+    }
+
+    // ===========================
+    // Lookups
+    // ===========================
+
+    function getTiers() {
+        return rateCard.categories.reduce((all, category) => all.concat(
+            (category.tiers || []).map(tier => ({ ...tier, category: category.id }))
+        ), []);
+    }
+
+    /**
+     * Tiers a client can request as a date length (priced, with a length in hours)
+     * A tier's own `bookable` flag overrides its category's
+     */
+    function getBookableTiers() {
+        return getTiers().filter(tier => {
+            const category = rateCard.categories.find(c => c.id === tier.category);
+            const bookable = tier.bookable != null ? tier.bookable : category.bookable !== false;
+            return bookable && typeof tier.price === 'number' && typeof tier.hours === 'number';
+        });
+    }
+
+    /**
+     * Bookable tiers grouped by category, in rate card order
+     * @returns {Array<{ category: Object, tiers: Object[] }>}
+     */
+    function getBookableGroups() {
+        const tiers = getBookableTiers();
+        return rateCard.categories
+            .map(category => ({
+                category: category,
+                tiers: tiers.filter(tier => tier.category === category.id)
+            }))
+            .filter(group => group.tiers.length > 0);
+    }
+
+    /**
+     * Find a bookable tier by id (or a retired booking form value)
+     * @returns {Object|null}
+     */
+    function findTier(id) {
+        if (!id) return null;
+        const tierId = TIER_ALIASES[id] || id;
+        return getBookableTiers().find(tier => tier.id === tierId) || null;
+    }
+
+    /**
+     * Match a free-text city against the travel zones
+     * The country and province are read before the city name (see travelZones)
+     * @returns {Object|null} Zone, or null when no city has been entered or it matches none
+     */
+    function findZone(city) {
+        const places = typeof window !== 'undefined' ? window.Places : null;
+        const place = places ? places.parse(city) : null;
+        if (!place) return null;
+
+        const zones = rateCard.travelZones;
+        if (place.country === 'abroad') {
+            return zones.find(zone => zone.abroad) || null;
+        }
+
+        const inRegion = zone => !place.region || !zone.region || zone.region === place.region;
+        return zones.find(zone => inRegion(zone) && places.matchesName(place, zone.places))
+            || zones.find(zone => places.matchesRegion(place, zone.places))
+            || null;
+    }
+
+    /**
+     * Incall fee band for a start time
+     * @param {Date|string} start - Preferred start date/time
+     */
+    function findIncallFee(start) {
+        const date = start ? new Date(start) : null;
+        const hour = date && !isNaN(date.getTime()) ? date.getHours() : null;
+
+        if (hour === null) return null;
+
+        return rateCard.incallFees.find(fee => fee.fromHour < fee.toHour
+            ? hour >= fee.fromHour && hour < fee.toHour
+            : hour >= fee.fromHour || hour < fee.toHour
+        ) || null;
+    }
+
+    /**
+     * Human-readable name for a stored date_length value
+     * Values that are not a current tier id (e.g. retired form options) are shown as-is
+     */
+    function describeTier(id) {
+        const tier = id ? getTiers().find(t => t.id === id) : null;
+        if (!tier) {
+            return id ? String(id).replace(/_/g, ' ') : '';
+        }
+        return tier.duration ? `${tier.name} (${tier.duration})` : tier.name;
+    }
+
+    function formatPrice(amount) {
+        return '$' + Math.round(amount).toLocaleString('en-US');
+    }
+
+    function formatRange(min, max) {
+        return min === max ? formatPrice(min) : `${formatPrice(min)}–${formatPrice(max)}`;
+    }
+
+    // ===========================
+    // Quote Calculator
+    // ===========================
+
+    /**
+     * Estimate the total and required deposit for a booking
+     * @param {Object} selection - { tier, city, location, start, extensionHours }
+     * @returns {Object|null} Quote, or null when no tier is selected
+     */
+    function quote(selection = {}) {
+        const tier = findTier(selection.tier);
+        if (!tier) return null;
+
+        const zone = findZone(selection.city);
+        const lines = [{ label: tier.name, min: tier.price, max: tier.price }];
+        const notes = [];
+
+        const extensionHours = Number(selection.extensionHours) || 0;
+        if (extensionHours > 0) {
+            const amount = extensionHours * rateCard.extensionHourly;
+            lines.push({ label: `Extension (${extensionHours}h)`, min: amount, max: amount });
+        }
+
+        if (zone && zone.fee > 0) {
+            lines.push({ label: zone.label, min: zone.fee, max: zone.fee });
+        }
+
+        // Incall fee is paid up front with the deposit
+        let incall = null;
+        if (selection.location === 'incall') {
+            incall = findIncallFee(selection.start);
+            if (incall) {
+                lines.push({ label: incall.label, min: incall.min, max: incall.max });
+            } else {
+                const fees = rateCard.incallFees;
+                incall = {
+                    label: 'Incall',
+                    min: Math.min(...fees.map(fee => fee.min)),
+                    max: Math.max(...fees.map(fee => fee.max))
+                };
+                lines.push({ label: incall.label, min: incall.min, max: incall.max });
+                notes.push('Incall fee depends on the time of day');
+            }
+        }
+
+        const total = lines.reduce((sum, line) => ({
+            min: sum.min + line.min,
+            max: sum.max + line.max
+        }), { min: 0, max: 0 });
+
+        // Deposit applies to the consideration and travel fee; incall fee is added in full
+        const depositRate = zone ? zone.deposit : null;
+        let deposit = null;
+        if (depositRate !== null) {
+            const depositBase = {
+                min: total.min - (incall ? incall.min : 0),
+                max: total.max - (incall ? incall.max : 0)
+            };
+            deposit = {
+                rate: depositRate,
+                min: depositBase.min * depositRate + (incall ? incall.min : 0),
+                max: depositBase.max * depositRate + (incall ? incall.max : 0)
+            };
+        } else if ((selection.city || '').trim()) {
+            notes.push('Travel to your city is quoted on request; I\'ll confirm the fee and deposit with you');
+        } else {
+            notes.push('Enter your city to see the required deposit');
+        }
+
+        const hours = tier.hours + extensionHours;
+        if (rateCard.mealMinimumHours && hours >= rateCard.mealMinimumHours) {
+            notes.push((rateCard.footnotes && rateCard.footnotes.meal) ||
+                `Dates ${rateCard.mealMinimumHours} hours or longer must include a meal`);
+        }
+        if (zone && zone.minimumHours && hours < zone.minimumHours) {
+            notes.push(`${zone.label} requires a ${zone.minimumHours} hour minimum`);
+        }
+        if (zone && zone.note) {
+            notes.push(zone.note);
+        }
+
+        return {
+            tier: tier,
+            zone: zone,
+            lines: lines,
+            total: total,
+            deposit: deposit,
+            notes: notes
+        };
+    }
+
+    // ===========================
+    // Export to global scope
+    // ===========================
+    const RateCard = {
+        getData: getData,
+        getDefaults: getDefaults,
+        getSource: () => source,
+        setData: setData,
+        validate: validate,
+        load: load,
+        onChange: onChange,
+        getTiers: getTiers,
+        getBookableTiers: getBookableTiers,
+        getBookableGroups: getBookableGroups,
+        describeTier: describeTier,
+        findTier: findTier,
+        findZone: findZone,
+        findIncallFee: findIncallFee,
+        quote: quote,
+        formatPrice: formatPrice,
+        formatRange: formatRange
+    };
+
+    if (typeof window !== 'undefined') {
+        window.RateCard = RateCard;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = RateCard;
+    }
+
+})();
@@ -56,343 +56,6 @@ revealOnScroll();
 // Check on scroll
 window.addEventListener('scroll', revealOnScroll);
 
-// ===========================
-// Gallery Carousel
-// ===========================
-
-// Global carousel state
-let carouselState = {
-    currentSlideIndex: 0,
-    totalSlides: 0,
-    initialized: false
-};
-
-// Initialize gallery carousel (can be called after images are dynamically loaded)
-function initializeGalleryCarousel() {
-    const carouselSlides = document.querySelectorAll('.gallery-slide');
-    const carouselPrevBtn = document.getElementById('carousel-prev');
-    const carouselNextBtn = document.getElementById('carousel-next');
-    const carouselIndicatorsContainer = document.getElementById('carousel-indicators');
-
-    if (!carouselIndicatorsContainer) {
-        console.warn('Carousel indicators container not found');
-        return;
-    }
-
-    // Only initialize if gallery elements exist
-    if (carouselSlides.length > 0) {
-        // Reset state
-        carouselState.totalSlides = carouselSlides.length;
-        carouselState.currentSlideIndex = 0;
-        carouselState.initialized = true;
-
-        // Ensure first slide is active
-        carouselSlides.forEach((slide, index) => {
-            slide.classList.remove('active');
-            if (index === 0) {
-                slide.classList.add('active');
-            }
-        });
-
-        // Clear existing indicators
-        carouselIndicatorsContainer.innerHTML = '';
-
-        // Create carousel indicators
-        function createIndicators() {
-            for (let i = 0; i < carouselState.totalSlides; i++) {
-                const indicator = document.createElement('div');
-                indicator.classList.add('carousel-indicator');
-                if (i === 0) indicator.classList.add('active');
-                indicator.addEventListener('click', () => goToSlide(i));
-                carouselIndicatorsContainer.appendChild(indicator);
-            }
-        }
-
-        // Update carousel display
-        function updateCarousel() {
-            const carouselSlides = document.querySelectorAll('.gallery-slide');
-            // Remove active class from all slides
-            carouselSlides.forEach(slide => slide.classList.remove('active'));
-            
-            // Add active class to current slide
-            if (carouselSlides[carouselState.currentSlideIndex]) {
-                carouselSlides[carouselState.currentSlideIndex].classList.add('active');
-            }
-            
-            // Update indicators
-            const indicators = document.querySelectorAll('.carousel-indicator');
-            indicators.forEach((indicator, index) => {
-                if (index === carouselState.currentSlideIndex) {
-                    indicator.classList.add('active');
-                } else {
-                    indicator.classList.remove('active');
-                }
-            });
-        }
-
-        // Go to specific slide
-        function goToSlide(index) {
-            if (index >= 0 && index < carouselState.totalSlides) {
-                carouselState.currentSlideIndex = index;
-                updateCarousel();
-            }
-        }
-
-        // Navigate to previous slide
-        function prevSlide() {
-            carouselState.currentSlideIndex = (carouselState.currentSlideIndex - 1 + carouselState.totalSlides) % carouselState.totalSlides;
-            updateCarousel();
-        }
-
-        // Navigate to next slide
-        function nextSlide() {
-            carouselState.currentSlideIndex = (carouselState.currentSlideIndex + 1) % carouselState.totalSlides;
-            updateCarousel();
-        }
-
-        // Event listeners for carousel buttons (remove old listeners first)
-        if (carouselPrevBtn) {
-            carouselPrevBtn.onclick = null; // Clear old handler
-            carouselPrevBtn.onclick = prevSlide;
-        }
-
-        if (carouselNextBtn) {
-            carouselNextBtn.onclick = null; // Clear old handler
-            carouselNextBtn.onclick = nextSlide;
-        }
-
-        // Keyboard navigation for carousel
-        document.addEventListener('keydown', (e) => {
-            // Only navigate if we're in the gallery section
-            const gallerySection = document.getElementById('gallery');
-            if (!gallerySection) return;
-            
-            const rect = gallerySection.getBoundingClientRect();
-            const isInView = rect.top < window.innerHeight && rect.bottom > 0;
-            
-            if (isInView && carouselState.initialized) {
-                if (e.key === 'ArrowLeft') {
-                    e.preventDefault();
-                    prevSlide();
-                } else if (e.key === 'ArrowRight') {
-                    e.preventDefault();
-                    nextSlide();
-                }
-            }
-        });
-
-        // Initialize carousel
-        createIndicators();
-        updateCarousel();
-
-        // Touch/Swipe support for mobile
-        let touchStartX = 0;
-        let touchEndX = 0;
-
-        const gallerySlides = document.querySelector('.gallery-slides');
-        if (gallerySlides) {
-            gallerySlides.addEventListener('touchstart', (e) => {
-                touchStartX = e.changedTouches[0].screenX;
-            });
-            
-            gallerySlides.addEventListener('touchend', (e) => {
-                touchEndX = e.changedTouches[0].screenX;
-                handleSwipe();
-            });
-        }
-
-        function handleSwipe() {
-            const swipeThreshold = 50;
-            const diff = touchStartX - touchEndX;
-            
-            if (Math.abs(diff) > swipeThreshold && carouselState.initialized) {
-                if (diff > 0) {
-                    // Swipe left - next slide
-                    nextSlide();
-                } else {
-                    // Swipe right - previous slide
-                    prevSlide();
-                }
-            }
-        }
-    }
-}
-
-// Listen for gallery loaded event
-window.addEventListener('galleryLoaded', () => {
-    // Only initialize carousel if carousel elements exist
-    const hasCarousel = document.querySelector('.gallery-slide') || document.getElementById('carousel-indicators');
-    if (hasCarousel) {
-        initializeGalleryCarousel();
-    }
-});
-
-// Initialize on page load if slides already exist (fallback for non-API gallery)
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        setTimeout(() => {
-            const hasCarousel = document.querySelector('.gallery-slide') || document.getElementById('carousel-indicators');
-            if (hasCarousel) {
-                initializeGalleryCarousel();
-            }
-        }, 100);
-    });
-} else {
-    setTimeout(() => {
-        const hasCarousel = document.querySelector('.gallery-slide') || document.getElementById('carousel-indicators');
-        if (hasCarousel) {
-            initializeGalleryCarousel();
-        }
-    }, 100);
-}
-
-// ===========================
-// EmailJS Configuration
-// ===========================
-
-// Initialize EmailJS with your public key
-// IMPORTANT: Replace 'YOUR_PUBLIC_KEY' with your actual EmailJS public key
-// Get it from: https://dashboard.emailjs.com/admin/account
-const EMAILJS_PUBLIC_KEY = 'tB3W_IO_tAM6wSXw-';
-const EMAILJS_SERVICE_ID = 'service_42we7vj';
-const EMAILJS_TEMPLATE_ID = 'template_kgkgtf8';
-
-// Initialize EmailJS
-if (typeof emailjs !== 'undefined') {
-    (function() {
-        emailjs.init(EMAILJS_PUBLIC_KEY);
-    })();
-}
-
-// ===========================
-// Booking Form Handler
-// ===========================
-
-const bookingForm = document.getElementById('booking-form');
-
-// Format datetime for display
-const formatDateTime = (datetime) => {
-    const date = new Date(datetime);
-    return date.toLocaleString('en-US', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-    });
-};
-
-if (bookingForm) {
-    bookingForm.addEventListener('submit', async (e) => {
-        e.preventDefault();
-
-        // Show loading state
-        const submitButton = bookingForm.querySelector('button[type="submit"]');
-        const originalButtonText = submitButton.textContent;
-        submitButton.textContent = 'Sending...';
-        submitButton.disabled = true;
-
-        try {
-            // Collect all form data
-            const formData = new FormData(bookingForm);
-            const bookingData = {};
-            
-            formData.forEach((value, key) => {
-                bookingData[key] = value;
-            });
-
-            // Format the email parameters
-            const emailParams = {
-                to_email: 'casperigram@gmail.com',
-                from_name: bookingData.name,
-                from_email: bookingData.email,
-                reply_to: bookingData.email,
-                subject: `New Booking Request from ${bookingData.name}`,
-                
-                // Personal Information
-                client_name: bookingData.name,
-                client_email: bookingData.email,
-                client_phone: bookingData.phone,
-                client_pronouns: bookingData.pronouns,
-                preferred_contact: bookingData.contact_method,
-                
-                // Booking Details
-                desired_city: bookingData.city,
-                date_length: bookingData.date_length.replace(/_/g, ' '),
-                preferred_datetime: formatDateTime(bookingData.preferred_datetime),
-                location_type: bookingData.location_preference.charAt(0).toUpperCase() + bookingData.location_preference.slice(1),
-                additional_info: bookingData.additional_info || 'None provided',
-                
-                // Formatted message body
-                message: `
-═══════════════════════════════════════
-         NEW BOOKING REQUEST
-═══════════════════════════════════════
-
-CLIENT INFORMATION:
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-Name: ${bookingData.name}
-Email: ${bookingData.email}
-Phone: ${bookingData.phone}
-Pronouns: ${bookingData.pronouns}
-Preferred Contact: ${bookingData.contact_method}
-
-BOOKING DETAILS:
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-Desired City: ${bookingData.city}
-Date Length: ${bookingData.date_length.replace(/_/g, ' ')}
-Preferred Date/Time: ${formatDateTime(bookingData.preferred_datetime)}
-Location Preference: ${bookingData.location_preference.charAt(0).toUpperCase() + bookingData.location_preference.slice(1)}
-
-ADDITIONAL INFORMATION:
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-${bookingData.additional_info || 'None provided'}
-
-═══════════════════════════════════════
-Submitted: ${new Date().toLocaleString('en-US')}
-═══════════════════════════════════════
-                `
-            };
-
-            // Send email via EmailJS
-            const response = await emailjs.send(
-                EMAILJS_SERVICE_ID,
-                EMAILJS_TEMPLATE_ID,
-                emailParams
-            );
-
-            if (response.status === 200) {
-                alert('✅ Thank you for your booking request!\n\nYour information has been received. You will receive a response within 24 hours via your preferred contact method.');
-                bookingForm.reset();
-            }
-
-        } catch (error) {
-            console.error('EmailJS Error:', error);
-            
-            // User-friendly error messages
-            let errorMessage = '❌ Booking Submission Failed\n\n';
-            
-            if (error.text && error.text.includes('Invalid')) {
-                errorMessage += 'EmailJS configuration error. Please contact the site administrator.\n\n';
-                errorMessage += 'Alternative: Email your booking to casperigram@gmail.com';
-            } else if (!navigator.onLine) {
-                errorMessage += 'No internet connection detected.\n\n';
-                errorMessage += 'Please check your connection and try again.';
-            } else {
-                errorMessage += 'Network or service error.\n\n';
-                errorMessage += 'Please try again, or email directly to:\ncasperigram@gmail.com';
-            }
-            
-            alert(errorMessage);
-        } finally {
-            // Restore button state
-            submitButton.textContent = originalButtonText;
-            submitButton.disabled = false;
-        }
-    });
-}
-
 // ===========================
 // Intersection Observer for Performance
 // ===========================
@@ -495,127 +158,101 @@ window.addEventListener('load', () => {
 });
 
 // ===========================
-// Datetime Input Optimization
+// Feature Modules
 // ===========================
 
-// Set minimum date to today for datetime-local inputs
-const datetimeInput = document.getElementById('preferred_datetime');
-if (datetimeInput) {
-    const today = new Date();
-    const year = today.getFullYear();
-    const month = String(today.getMonth() + 1).padStart(2, '0');
-    const day = String(today.getDate()).padStart(2, '0');
-    const hours = String(today.getHours()).padStart(2, '0');
-    const minutes = String(today.getMinutes()).padStart(2, '0');
-    const minDateTime = `${year}-${month}-${day}T${hours}:${minutes}`;
-    datetimeInput.min = minDateTime;
-}
+// Feature modules and the pages they belong to. A module is loaded only when its
+// selector matches and it is not already on the page (via its own <script> tag
+// or an earlier load), so no handler is ever registered twice. Each module also
+// returns early when its global already exists, in case a page includes it twice.
+const FEATURE_MODULES = [
+    {
+        name: 'booking',
+        selector: '#booking-form',
+        global: 'BookingForm',
+        scripts: ['plugin-registry.js', 'client-pages.js', 'booking-transports.js', 'booking-guard.js', 'booking-workflow.js', 'places.js', 'rate-card.js', 'availability.js', 'timezones.js', 'tour-dates.js', 'booking-calendar.js', 'booking-validation.js', 'booking-queue.js', 'email-templates.js', 'booking-acknowledgement.js', 'booking-form.js']
+    },
+    {
+        name: 'carousel',
+        selector: '.gallery-slide, #carousel-indicators',
+        global: 'GalleryCarousel',
+        scripts: ['gallery-carousel.js']
+    },
+    {
+        name: 'services-layout',
+        selector: '.services-grid, #services-rate-card',
+        global: 'ServicesLayout',
+        scripts: ['services-layout.js']
+    },
+    {
+        name: 'services-rate-card',
+        selector: '#services-rate-card',
+        global: 'ServicesRateCard',
+        scripts: ['places.js', 'rate-card.js', 'services-layout.js', 'services-rate-card.js']
+    },
+    {
+        name: 'upcoming-cities',
+        selector: '#upcoming-cities',
+        global: 'UpcomingCities',
+        scripts: ['places.js', 'timezones.js', 'tour-dates.js', 'services-layout.js', 'upcoming-cities.js']
+    },
+    {
+        name: 'deposit-payment',
+        selector: '#deposit-payment',
+        global: 'DepositPayment',
+        scripts: ['places.js', 'rate-card.js', 'timezones.js', 'client-pages.js', 'booking-deposit.js', 'plugin-registry.js', 'payment-providers.js', 'deposit-payment.js']
+    },
+    {
+        name: 'booking-cancel',
+        selector: '#booking-cancel',
+        global: 'BookingCancel',
+        scripts: ['places.js', 'rate-card.js', 'timezones.js', 'client-pages.js', 'booking-deposit.js', 'cancellation-policy.js', 'booking-cancel.js']
+    }
+];
+
+// Map<src, Promise> of scripts requested by this bootstrap
+const featureScriptLoads = new Map();
+
+/**
+ * Load a script once, in insertion order
+ * Scripts already included with a <script> tag are not requested again
+ */
+function loadFeatureScript(src) {
+    if (featureScriptLoads.has(src)) {
+        return featureScriptLoads.get(src);
+    }
 
-// ===========================
-// Services Grid Last Row Stretching
-// ===========================
+    if (document.querySelector(`script[src="${src}"]`)) {
+        const included = Promise.resolve();
+        featureScriptLoads.set(src, included);
+        return included;
+    }
 
-function stretchLastRowCards() {
-    const servicesGrids = document.querySelectorAll('.services-grid');
-    
-    servicesGrids.forEach(grid => {
-        // Include all service cards except service-card-info (which spans full width)
-        const cards = Array.from(grid.querySelectorAll('.service-card:not(.service-card-info)'));
-        
-        if (cards.length === 0) return;
-        
-        // Count columns by grouping items by their top position (same row)
-        const firstRowTop = cards[0]?.getBoundingClientRect().top;
-        let columnCount = 0;
-        
-        cards.forEach(card => {
-            const rect = card.getBoundingClientRect();
-            // Items in the same row will have very similar top values (within 5px tolerance)
-            if (Math.abs(rect.top - firstRowTop) < 5) {
-                columnCount++;
-            }
-        });
-        
-        const totalCards = cards.length;
-        
-        // Handle special case: if we have exactly 2 cards, assume 3-column grid and stretch them
-        // This covers cases like Remote Services section
-        if (totalCards === 2) {
-            const first = cards[0];
-            const second = cards[1];
-            
-            if (first && second) {
-                // Clear any previous styles
-                first.style.gridColumn = '';
-                second.style.gridColumn = '';
-                
-                // First card spans 1 column, second card spans 2 columns
-                first.style.gridColumn = 'span 1';
-                second.style.gridColumn = 'span 2';
-            }
-            return; // Exit early for 2-card grids
-        }
-        
-        // For grids with more than 2 cards, check if we have 3 columns
-        if (columnCount === 3) {
-            const remainingCards = totalCards % columnCount;
-            
-            // Clear any previous inline stretching styles from last row items
-            if (remainingCards > 0) {
-                for (let i = totalCards - remainingCards; i < totalCards; i++) {
-                    if (cards[i]) {
-                        cards[i].style.gridColumn = '';
-                    }
-                }
-            }
-            
-            // If last row has 2 cards, stretch them to fill 3 columns
-            if (remainingCards === 2) {
-                const secondToLast = cards[totalCards - 2];
-                const last = cards[totalCards - 1];
-                
-                if (secondToLast && last) {
-                    // First card spans 1 column, second card spans 2 columns
-                    secondToLast.style.gridColumn = 'span 1';
-                    last.style.gridColumn = 'span 2';
-                }
-            }
-            // If last row has 1 card, stretch it to full width
-            else if (remainingCards === 1) {
-                const last = cards[totalCards - 1];
-                if (last) {
-                    last.style.gridColumn = 'span 3';
-                }
-            }
-        }
+    const load = new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.async = false; // Execute dynamically added scripts in order
+        script.onload = () => resolve();
+        script.onerror = () => reject(new Error(`Failed to load ${src}`));
+        document.body.appendChild(script);
     });
+    featureScriptLoads.set(src, load);
+    return load;
 }
 
-// Run on page load and resize
-function initStretchLastRow() {
-    // Wait for layout to settle
-    setTimeout(stretchLastRowCards, 100);
-    // Also run after a longer delay to catch any dynamic content
-    setTimeout(stretchLastRowCards, 500);
-}
+function loadFeatureModules() {
+    FEATURE_MODULES.forEach(feature => {
+        if (window[feature.global] || !document.querySelector(feature.selector)) {
+            return;
+        }
 
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initStretchLastRow);
-} else {
-    initStretchLastRow();
+        Promise.all(feature.scripts.map(loadFeatureScript)).catch(error => {
+            console.error(`Failed to load ${feature.name} module:`, error);
+        });
+    });
 }
 
-// Recalculate on window resize (with debounce)
-let resizeTimeout;
-window.addEventListener('resize', () => {
-    clearTimeout(resizeTimeout);
-    resizeTimeout = setTimeout(stretchLastRowCards, 250);
-});
-
-// Also recalculate when images load (in case they affect layout)
-window.addEventListener('load', () => {
-    setTimeout(stretchLastRowCards, 100);
-});
+loadFeatureModules();
 
 // ===========================
 // Console Message
@@ -9,6 +9,11 @@
 (function() {
     'use strict';
 
+    if (window.ServicesLayout) {
+        console.warn('services-layout.js is already loaded, skipping');
+        return;
+    }
+
     // ===========================
     // Services Grid Last Row Stretching
     // ===========================
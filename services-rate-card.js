@@ -0,0 +1,150 @@
+/**
+ * Services Rate Card Module
+ * Renders the rate card (rate-card.js) into services.html
+ * - Category titles, notes and intros
+ * - Service cards with durations, prices, blurbs and footnotes
+ * - Re-renders when the published rate card loads
+ */
+
+(function() {
+    'use strict';
+
+    if (window.ServicesRateCard) {
+        console.warn('services-rate-card.js is already loaded, skipping');
+        return;
+    }
+
+    // ===========================
+    // Card Rendering
+    // ===========================
+
+    const LAYOUT_CLASSES = {
+        horizontal: 'service-card-horizontal',
+        large: 'service-card-large',
+        featured: 'service-card-featured'
+    };
+
+    function createElement(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text != null) element.textContent = text;
+        return element;
+    }
+
+    /**
+     * Price shown on a card: fixed price, free-text label, or derived from pricing rules
+     */
+    function getPriceLabel(tier, data) {
+        if (tier.derived === 'extension') {
+            return `${RateCard.formatPrice(data.extensionHourly)}/hr`;
+        }
+        if (tier.priceLabel) {
+            return tier.priceLabel;
+        }
+        return typeof tier.price === 'number' ? RateCard.formatPrice(tier.price) : null;
+    }
+
+    function getListItems(tier, data) {
+        const items = [];
+        if (tier.derived === 'incall') {
+            (data.incallFees || []).forEach(fee => {
+                items.push(`${RateCard.formatRange(fee.min, fee.max)} ${fee.summary || fee.label}`);
+            });
+        }
+        return items.concat(tier.items || []);
+    }
+
+    function createServiceCard(tier, data) {
+        const card = createElement('div', 'service-card');
+        if (LAYOUT_CLASSES[tier.layout]) {
+            card.classList.add(LAYOUT_CLASSES[tier.layout]);
+        }
+        card.dataset.tier = tier.id;
+
+        if (tier.badge) {
+            card.appendChild(createElement('div', 'featured-badge', tier.badge));
+        }
+
+        card.appendChild(createElement('h4', 'service-name', tier.name));
+
+        const price = getPriceLabel(tier, data);
+        if (tier.duration || price) {
+            const meta = createElement('div', 'service-meta');
+            if (tier.duration) meta.appendChild(createElement('span', 'service-duration', tier.duration));
+            if (price) meta.appendChild(createElement('span', 'service-price', price));
+            card.appendChild(meta);
+        }
+
+        const paragraphs = Array.isArray(tier.description) ? tier.description : [tier.description];
+        paragraphs.filter(Boolean).forEach(text => {
+            card.appendChild(createElement('p', 'service-description', text));
+        });
+
+        const items = getListItems(tier, data);
+        if (items.length > 0) {
+            const list = createElement('ul', 'service-list');
+            items.forEach(text => list.appendChild(createElement('li', null, text)));
+            card.appendChild(list);
+        }
+
+        (tier.footnotes || []).forEach(key => {
+            const footnote = data.footnotes && data.footnotes[key];
+            if (footnote) {
+                card.appendChild(createElement('p', 'service-note', `*${footnote}`));
+            }
+        });
+
+        return card;
+    }
+
+    function createCategory(category, data) {
+        const fragment = document.createDocumentFragment();
+
+        fragment.appendChild(createElement('h3', 'services-category-title', category.title));
+        if (category.note) {
+            fragment.appendChild(createElement('p', 'services-note', category.note));
+        }
+        if (category.intro) {
+            fragment.appendChild(createElement('p', 'services-intro', category.intro));
+        }
+
+        const grid = createElement('div', 'services-grid');
+        grid.dataset.category = category.id;
+        (category.tiers || []).forEach(tier => grid.appendChild(createServiceCard(tier, data)));
+        fragment.appendChild(grid);
+
+        return fragment;
+    }
+
+    // ===========================
+    // Page Rendering
+    // ===========================
+
+    const container = document.getElementById('services-rate-card');
+
+    function render(data = RateCard.getData()) {
+        if (!container) return;
+
+        container.innerHTML = '';
+        data.categories.forEach(category => container.appendChild(createCategory(category, data)));
+
+        // Re-run last-row stretching for the new cards
+        if (window.ServicesLayout) {
+            window.ServicesLayout.refresh();
+        }
+    }
+
+    if (!window.RateCard) {
+        console.error('RateCard is not defined! Make sure rate-card.js is loaded before services-rate-card.js');
+    } else if (container) {
+        render();
+        RateCard.onChange(render);
+        RateCard.load();
+    }
+
+    // Export for external use if needed
+    window.ServicesRateCard = {
+        render: render
+    };
+
+})();
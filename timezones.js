@@ -0,0 +1,253 @@
+/**
+ * Time Zones Module
+ * Destination time zones for booking requests
+ * - IANA time zone for a city (tour stop, known place, or the client's own zone)
+ * - Wall-clock times in a zone <=> exact instants
+ * - ISO timestamps with offset, e.g. 2026-10-29T19:00:00-06:00
+ * - Formatting in a zone, with its abbreviation (MDT, EST...)
+ * - Cities are read with places.js
+ */
+
+(function() {
+    'use strict';
+
+    if (typeof window !== 'undefined' && !window.Places) {
+        console.error('Places is not defined! Make sure places.js is loaded before timezones.js');
+    }
+
+    // ===========================
+    // Configuration
+    // ===========================
+    const CONFIG = {
+        // Used before a city has been entered
+        HOME_TIMEZONE: 'America/Edmonton',
+        HOME_CITY: 'Edmonton'
+    };
+
+    // Matched like the rate card's travel zones (places.js), but by province first:
+    // "Victoria, PE" is Halifax time, not Vancouver
+    const PLACE_TIMEZONES = [
+        {
+            timeZone: 'America/Edmonton',
+            places: ['edmonton', 'yeg', 'st. albert', 'st albert', 'sherwood park', 'spruce grove', 'stony plain', 'leduc', 'beaumont', 'fort saskatchewan', 'nisku', 'devon',
+                'red deer', 'camrose', 'wetaskiwin', 'lacombe', 'ponoka', 'westlock', 'barrhead', 'athabasca', 'vegreville', 'drayton valley', 'olds',
+                'calgary', 'yyc', 'airdrie', 'cochrane', 'canmore', 'banff', 'lloydminster', 'whitecourt', 'hinton', 'jasper', 'drumheller', 'edson', 'cold lake', 'bonnyville', 'slave lake', 'okotoks',
+                'fort mcmurray', 'grande prairie', 'lethbridge', 'medicine hat', 'alberta', ', ab',
+                'yellowknife', 'northwest territories', ', nt']
+        },
+        { timeZone: 'America/Vancouver', places: ['vancouver', 'victoria', 'kelowna', 'kamloops', 'whistler', 'nanaimo', 'british columbia', ', bc'] },
+        { timeZone: 'America/Regina', places: ['saskatoon', 'regina', 'saskatchewan', ', sk'] },
+        { timeZone: 'America/Winnipeg', places: ['winnipeg', 'manitoba', ', mb'] },
+        {
+            timeZone: 'America/Toronto',
+            places: ['toronto', 'ottawa', 'hamilton', 'mississauga', 'niagara', 'waterloo', 'kitchener', 'windsor', 'london, on', 'ontario', ', on',
+                'montreal', 'montréal', 'quebec', 'québec', ', qc']
+        },
+        { timeZone: 'America/Halifax', places: ['halifax', 'fredericton', 'moncton', 'charlottetown', 'nova scotia', ', ns', 'new brunswick', ', nb', 'prince edward island', ', pe'] },
+        { timeZone: 'America/St_Johns', places: ["st. john's", 'newfoundland', ', nl'] },
+        { timeZone: 'America/Whitehorse', places: ['whitehorse', 'yukon', ', yt'] }
+    ];
+
+    // ===========================
+    // Zone Lookup
+    // ===========================
+
+    function isValidTimeZone(timeZone) {
+        if (!timeZone || typeof timeZone !== 'string') return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    function getBrowserTimeZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || CONFIG.HOME_TIMEZONE;
+        } catch (error) {
+            return CONFIG.HOME_TIMEZONE;
+        }
+    }
+
+    // "calgary, ab" => "Calgary"
+    function cityName(city) {
+        const name = String(city || '').split(',')[0].trim();
+        return name.replace(/\b\w/g, letter => letter.toUpperCase());
+    }
+
+    /**
+     * Time zone for a booking's city
+     * - A tour stop's own zone, when set in the CMS
+     * - A known province, then a known place (cities given with another country are not matched)
+     * - Otherwise the client's own zone (most likely they're booking where they live)
+     * @returns {{ timeZone: string, source: 'home'|'tour'|'place'|'browser', label: string }}
+     */
+    function resolve(city) {
+        const value = String(city || '').trim().toLowerCase();
+        if (!value) {
+            return { timeZone: CONFIG.HOME_TIMEZONE, source: 'home', label: `${CONFIG.HOME_CITY} time` };
+        }
+
+        const tourDates = typeof window !== 'undefined' ? window.TourDates : null;
+        const tour = tourDates ? tourDates.findTours(city).find(stop => isValidTimeZone(stop.timezone)) : null;
+        if (tour) {
+            return { timeZone: tour.timezone, source: 'tour', label: `${tour.city} time` };
+        }
+
+        const places = typeof window !== 'undefined' ? window.Places : null;
+        const place = places ? places.parse(city) : null;
+        const match = place && place.country !== 'abroad'
+            ? PLACE_TIMEZONES.find(entry => places.matchesRegion(place, entry.places))
+                || PLACE_TIMEZONES.find(entry => places.matchesName(place, entry.places))
+            : null;
+        if (match) {
+            return { timeZone: match.timeZone, source: 'place', label: `${cityName(city)} time` };
+        }
+
+        return { timeZone: getBrowserTimeZone(), source: 'browser', label: 'your local time' };
+    }
+
+    // ===========================
+    // Conversions
+    // ===========================
+
+    // Wall-clock fields of an instant in a zone
+    function getParts(date, timeZone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }).formatToParts(date).forEach(part => {
+            if (part.type !== 'literal') parts[part.type] = Number(part.value);
+        });
+        return parts;
+    }
+
+    /**
+     * Minutes the zone is ahead of UTC at an instant (e.g. -360 for MDT)
+     */
+    function getOffsetMinutes(date, timeZone) {
+        const parts = getParts(date, timeZone);
+        const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+        return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+    }
+
+    // -360 => '-06:00'
+    function formatOffset(minutes) {
+        const sign = minutes < 0 ? '-' : '+';
+        const absolute = Math.abs(minutes);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+    }
+
+    /**
+     * Instant for a wall-clock time in a zone
+     * @param {string} value - Local 'YYYY-MM-DDTHH:MM' (datetime-local input value)
+     * @returns {Date|null}
+     */
+    function toInstant(value, timeZone) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(String(value));
+        if (!match) return null;
+
+        const wall = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]), Number(match[4]), Number(match[5]));
+        // The offset depends on the instant; a second pass settles times near a DST change
+        let instant = wall - getOffsetMinutes(new Date(wall), timeZone) * 60000;
+        const offset = getOffsetMinutes(new Date(instant), timeZone);
+        instant = wall - offset * 60000;
+        return new Date(instant);
+    }
+
+    /**
+     * ISO timestamp with the zone's offset, e.g. '2026-10-29T19:00:00-06:00'
+     * A time skipped by a DST change comes out as the nearest real time, an hour away
+     * @param {string} value - Local 'YYYY-MM-DDTHH:MM' in the zone
+     */
+    function toIsoString(value, timeZone) {
+        const instant = toInstant(value, timeZone);
+        if (!instant) return null;
+
+        const parts = getParts(instant, timeZone);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour % 24)}:${pad(parts.minute)}:${pad(parts.second)}` +
+            formatOffset(getOffsetMinutes(instant, timeZone));
+    }
+
+    /**
+     * The zone's wall-clock time as a browser-local Date, for comparing with
+     * times entered for that zone (availability windows, minimum notice)
+     */
+    function toWallClock(date, timeZone) {
+        const parts = getParts(date, timeZone);
+        return new Date(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+    }
+
+    // ===========================
+    // Formatting
+    // ===========================
+
+    /**
+     * Short zone name at an instant, e.g. 'MDT' (or 'GMT-6' where none exists)
+     */
+    function getZoneName(date, timeZone) {
+        const part = new Intl.DateTimeFormat('en-US', { timeZone: timeZone, timeZoneName: 'short' })
+            .formatToParts(date)
+            .find(item => item.type === 'timeZoneName');
+        return part ? part.value : timeZone;
+    }
+
+    /**
+     * Format an instant in a zone, with the zone name
+     * @param {Date|string} date - Instant, or an ISO timestamp with offset
+     * @param {Object} options - Intl options (defaults to a full date and time)
+     */
+    function format(date, timeZone, options) {
+        const instant = date instanceof Date ? date : new Date(date);
+        if (isNaN(instant.getTime())) return String(date);
+
+        return instant.toLocaleString('en-US', Object.assign({
+            weekday: 'long',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        }, options, {
+            timeZone: timeZone,
+            timeZoneName: 'short'
+        }));
+    }
+
+    // ===========================
+    // Export to global scope
+    // ===========================
+    const TimeZones = {
+        CONFIG: CONFIG,
+        PLACE_TIMEZONES: PLACE_TIMEZONES,
+        isValidTimeZone: isValidTimeZone,
+        getBrowserTimeZone: getBrowserTimeZone,
+        resolve: resolve,
+        getOffsetMinutes: getOffsetMinutes,
+        formatOffset: formatOffset,
+        toInstant: toInstant,
+        toIsoString: toIsoString,
+        toWallClock: toWallClock,
+        getZoneName: getZoneName,
+        format: format
+    };
+
+    if (typeof window !== 'undefined') {
+        window.TimeZones = TimeZones;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TimeZones;
+    }
+
+})();
@@ -0,0 +1,315 @@
+/**
+ * Tour Dates Module
+ * Cities I'm visiting and when, shared by the site, booking form and CMS
+ * - Tour stops with city, date range and status
+ * - Upcoming stops for the "Upcoming Cities" section and city suggestions
+ * - Checks that a requested date falls while I'm in the requested city
+ * - Loads the published schedule from the API
+ * - Time zone names are checked with timezones.js
+ */
+
+(function() {
+    'use strict';
+
+    if (typeof window !== 'undefined' && !window.TimeZones) {
+        console.error('TimeZones is not defined! Make sure timezones.js is loaded before tour-dates.js');
+    }
+
+    // ===========================
+    // Configuration
+    // ===========================
+    const CONFIG = {
+        // Request timeout in milliseconds
+        REQUEST_TIMEOUT: 10000
+    };
+
+    // Stop statuses; cancelled stops are kept for the record but never shown or bookable
+    const STATUSES = {
+        confirmed: 'Confirmed',
+        tentative: 'Tentative',
+        cancelled: 'Cancelled'
+    };
+
+    // ===========================
+    // State
+    // ===========================
+
+    const clone = (value) => JSON.parse(JSON.stringify(value));
+
+    // { tours: [{ id, city, start: 'YYYY-MM-DD', end: 'YYYY-MM-DD', status, timezone, note }] }
+    // timezone is an optional IANA name (e.g. 'America/Vancouver') for cities timezones.js doesn't know
+    let schedule = { tours: [] };
+    let source = 'default';
+    const listeners = [];
+
+    // ===========================
+    // Helpers
+    // ===========================
+
+    /**
+     * Comparable city name: "Calgary, AB" and "calgary" both give "calgary"
+     */
+    function normalizeCity(value) {
+        return String(value || '')
+            .split(',')[0]
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .trim()
+            .toLowerCase();
+    }
+
+    /**
+     * Local midnight for a 'YYYY-MM-DD' string, or null if invalid
+     */
+    function parseDay(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+        if (!match) return null;
+
+        const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        return date.getDate() === Number(match[3]) ? date : null;
+    }
+
+    // [first day 00:00, day after last day 00:00)
+    function getRange(tour) {
+        const start = parseDay(tour.start);
+        const end = parseDay(tour.end);
+        if (!start || !end) return null;
+
+        const until = new Date(end);
+        until.setDate(until.getDate() + 1);
+        return { start: start, end: until };
+    }
+
+    /**
+     * Readable date range, e.g. "Nov 3 – 6, 2026" or "Nov 30 – Dec 2, 2026"
+     */
+    function formatRange(tour) {
+        const start = parseDay(tour.start);
+        const end = parseDay(tour.end);
+        if (!start || !end) return '';
+
+        const month = { month: 'short' };
+        const startMonth = start.toLocaleDateString('en-US', month);
+        const endMonth = end.toLocaleDateString('en-US', month);
+
+        if (tour.start === tour.end) {
+            return `${startMonth} ${start.getDate()}, ${start.getFullYear()}`;
+        }
+        if (start.getFullYear() !== end.getFullYear()) {
+            return `${startMonth} ${start.getDate()}, ${start.getFullYear()} – ${endMonth} ${end.getDate()}, ${end.getFullYear()}`;
+        }
+        const endLabel = startMonth === endMonth ? end.getDate() : `${endMonth} ${end.getDate()}`;
+        return `${startMonth} ${start.getDate()} – ${endLabel}, ${end.getFullYear()}`;
+    }
+
+    // ===========================
+    // Data Access
+    // ===========================
+
+    function getData() {
+        return schedule;
+    }
+
+    function getSource() {
+        return source;
+    }
+
+    /**
+     * Check a schedule before it is used or published
+     * @returns {string[]} Problems found (empty when valid)
+     */
+    function validate(data) {
+        const errors = [];
+
+        if (!data || !Array.isArray(data.tours)) {
+            return ['Tour schedule must have a list of tours'];
+        }
+
+        data.tours.forEach((tour, index) => {
+            const label = tour.city ? `"${tour.city}"` : `Tour stop ${index + 1}`;
+            if (!tour.city || !String(tour.city).trim()) {
+                errors.push(`Tour stop ${index + 1} needs a city`);
+            }
+            if (!parseDay(tour.start) || !parseDay(tour.end)) {
+                errors.push(`${label} needs valid start and end dates`);
+            } else if (tour.end < tour.start) {
+                errors.push(`${label} must end on or after its start date`);
+            }
+            if (!STATUSES[tour.status]) {
+                errors.push(`${label} has an unknown status`);
+            }
+            if (tour.timezone && !(window.TimeZones && window.TimeZones.isValidTimeZone(tour.timezone))) {
+                errors.push(`${label} has an unknown time zone (use a name like America/Vancouver)`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Replace the active schedule and notify listeners
+     * @param {Object} data - Schedule document
+     * @param {string} from - Where it came from ('api', 'cms', ...)
+     */
+    function setData(data, from = 'custom') {
+        const errors = validate(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid tour schedule: ${errors.join('; ')}`);
+        }
+
+        schedule = clone(data);
+        source = from;
+        listeners.forEach(listener => {
+            try {
+                listener(schedule);
+            } catch (error) {
+                console.error('Tour dates listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Register a listener called whenever the schedule changes
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    /**
+     * Load the published schedule from the API, keeping the current one on failure
+     * @returns {Promise<Object>} Active schedule
+     */
+    async function load() {
+        if (typeof API_ENDPOINTS === 'undefined' || !API_ENDPOINTS.TOUR_DATES) {
+            return schedule;
+        }
+
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeoutId = controller ? setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT) : null;
+
+        try {
+            const response = await fetch(API_ENDPOINTS.TOUR_DATES, {
+                method: 'GET',
+                mode: 'cors',
+                credentials: 'omit',
+                signal: controller ? controller.signal : undefined
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            // Endpoint returns null until a schedule has been published
+            if (data) {
+                setData(Array.isArray(data) ? { tours: data } : (data.tour_dates || data), 'api');
+            }
+        } catch (error) {
+            console.warn('Tour dates unavailable:', error.message);
+        } finally {
+            if (timeoutId) clearTimeout(timeoutId);
+        }
+
+        return schedule;
+    }
+
+    // ===========================
+    // Lookups
+    // ===========================
+
+    /**
+     * Stops that haven't finished yet (and aren't cancelled), soonest first
+     */
+    function getUpcoming(now = new Date()) {
+        return schedule.tours
+            .filter(tour => tour.status !== 'cancelled')
+            .filter(tour => {
+                const range = getRange(tour);
+                return range && range.end > now;
+            })
+            .sort((a, b) => a.start.localeCompare(b.start));
+    }
+
+    /**
+     * Upcoming stops in a city
+     */
+    function findTours(city, now = new Date()) {
+        const name = normalizeCity(city);
+        if (!name) return [];
+        return getUpcoming(now).filter(tour => normalizeCity(tour.city) === name);
+    }
+
+    /**
+     * Stop I'm on at a given time (anywhere), or null
+     */
+    function findTourAt(date, now = new Date()) {
+        return getUpcoming(now).find(tour => {
+            const range = getRange(tour);
+            return date >= range.start && date < range.end;
+        }) || null;
+    }
+
+    /**
+     * Check a requested city and date against the schedule
+     * - Tour cities can only be booked while I'm there
+     * - My home city can't be booked while I'm away on tour
+     * - Anywhere else (e.g. Fly Me To You) isn't restricted by the schedule
+     * @param {string} city - Requested city
+     * @param {Date} date - Requested start
+     * @param {Object} options - { home: true when the city is my home base }
+     * @returns {string|null} Reason the date doesn't fit, or null
+     */
+    function checkDate(city, date, options = {}) {
+        if (!(date instanceof Date) || isNaN(date.getTime())) return null;
+
+        const tours = findTours(city);
+        if (tours.length > 0) {
+            const inCity = tours.some(tour => {
+                const range = getRange(tour);
+                return date >= range.start && date < range.end;
+            });
+            if (inCity) return null;
+
+            const dates = tours.map(formatRange).join(' and ');
+            return `I'm in ${tours[0].city} ${dates}, please choose a date during my visit`;
+        }
+
+        if (options.home) {
+            const away = findTourAt(date);
+            if (away && normalizeCity(away.city) !== normalizeCity(city)) {
+                return `I'm touring in ${away.city} ${formatRange(away)}, please choose another date`;
+            }
+        }
+
+        return null;
+    }
+
+    // ===========================
+    // Export to global scope
+    // ===========================
+    const TourDates = {
+        CONFIG: CONFIG,
+        STATUSES: STATUSES,
+        getData: getData,
+        getSource: getSource,
+        validate: validate,
+        setData: setData,
+        onChange: onChange,
+        load: load,
+        normalizeCity: normalizeCity,
+        parseDay: parseDay,
+        formatRange: formatRange,
+        getUpcoming: getUpcoming,
+        findTours: findTours,
+        findTourAt: findTourAt,
+        checkDate: checkDate
+    };
+
+    if (typeof window !== 'undefined') {
+        window.TourDates = TourDates;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TourDates;
+    }
+
+})();
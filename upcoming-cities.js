@@ -0,0 +1,86 @@
+/**
+ * Upcoming Cities Module
+ * Renders upcoming tour stops (tour-dates.js) into services.html
+ * - One card per city with its dates and status
+ * - "Request a date" links prefill the city on the booking form
+ * - Hidden while nothing is scheduled; re-renders when the schedule loads
+ */
+
+(function() {
+    'use strict';
+
+    if (window.UpcomingCities) {
+        console.warn('upcoming-cities.js is already loaded, skipping');
+        return;
+    }
+
+    // ===========================
+    // Card Rendering
+    // ===========================
+
+    function createElement(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text != null) element.textContent = text;
+        return element;
+    }
+
+    function createCityCard(tour) {
+        const card = createElement('div', 'service-card upcoming-city');
+        card.dataset.status = tour.status;
+
+        card.appendChild(createElement('h4', 'service-name', tour.city));
+
+        const meta = createElement('div', 'service-meta');
+        meta.appendChild(createElement('span', 'service-duration', TourDates.formatRange(tour)));
+        if (tour.status === 'tentative') {
+            meta.appendChild(createElement('span', 'upcoming-city-status', TourDates.STATUSES.tentative));
+        }
+        card.appendChild(meta);
+
+        if (tour.note) {
+            card.appendChild(createElement('p', 'service-description', tour.note));
+        }
+
+        const link = createElement('a', 'btn btn-primary btn-small upcoming-city-book', 'Request a date');
+        link.href = `book.html?city=${encodeURIComponent(tour.city)}`;
+        card.appendChild(link);
+
+        return card;
+    }
+
+    // ===========================
+    // Page Rendering
+    // ===========================
+
+    const section = document.getElementById('upcoming-cities');
+    const grid = document.getElementById('upcoming-cities-grid');
+
+    function render() {
+        if (!section || !grid) return;
+
+        const tours = TourDates.getUpcoming();
+        grid.innerHTML = '';
+        tours.forEach(tour => grid.appendChild(createCityCard(tour)));
+        section.classList.toggle('hidden', tours.length === 0);
+
+        // Re-run last-row stretching for the new cards
+        if (window.ServicesLayout) {
+            window.ServicesLayout.refresh();
+        }
+    }
+
+    if (!window.TourDates) {
+        console.error('TourDates is not defined! Make sure tour-dates.js is loaded before upcoming-cities.js');
+    } else if (section) {
+        render();
+        TourDates.onChange(render);
+        TourDates.load();
+    }
+
+    // Export for external use if needed
+    window.UpcomingCities = {
+        render: render
+    };
+
+})();